@@ -1,5 +1,66 @@
 // @ts-check
-import { defineConfig } from 'astro/config';
+import { defineConfig, envField } from 'astro/config';
+import vercel from '@astrojs/vercel';
+import { site } from './src/site.config.ts';
+
+// Canonical URLs, hreflang alternates and link previews need the deployed
+// address: `identity.url` in the site config, else Vercel's production domain
+const productionDomain = process.env.VERCEL_PROJECT_PRODUCTION_URL;
 
 // https://astro.build/config
-export default defineConfig({});
+export default defineConfig({
+    site: site.identity.url ?? (productionDomain ? `https://${productionDomain}` : undefined),
+
+    // Pages are still prerendered; only routes with `prerender = false` (the API) run on the server
+    adapter: vercel(),
+
+    // Every page is generated under /en/ and /ja/ by src/pages/[lang]/; the
+    // locales match LANGUAGES in src/lib/i18n. Routing is manual because
+    // Astro's own prefix routing would 404 the unprefixed /admin pages, and the
+    // root page picks a language itself.
+    i18n: {
+        locales: ['en', 'ja'],
+        defaultLocale: 'en',
+        routing: 'manual',
+    },
+
+    env: {
+        schema: {
+            // Where contact form messages go: a real SMTP server, .eml files, or the server log
+            MAIL_TRANSPORT: envField.enum({
+                context: 'server',
+                access: 'public',
+                values: ['smtp', 'file', 'console'],
+                default: 'console',
+            }),
+            MAIL_OUTBOX_DIR: envField.string({ context: 'server', access: 'public', default: '.mail-outbox' }),
+            CONTACT_TO: envField.string({ context: 'server', access: 'public', default: 'photo@example.com' }),
+            CONTACT_FROM: envField.string({
+                context: 'server',
+                access: 'public',
+                default: 'Portfolio contact form <no-reply@example.com>',
+            }),
+            SMTP_HOST: envField.string({ context: 'server', access: 'public', optional: true }),
+            SMTP_PORT: envField.number({ context: 'server', access: 'public', default: 587 }),
+            SMTP_SECURE: envField.boolean({ context: 'server', access: 'public', default: false }),
+            SMTP_USER: envField.string({ context: 'server', access: 'public', optional: true }),
+            SMTP_PASS: envField.string({ context: 'server', access: 'secret', optional: true }),
+
+            // Signs the time-to-submit token; set it in production so every server instance accepts the same tokens
+            CONTACT_TOKEN_SECRET: envField.string({ context: 'server', access: 'secret', optional: true }),
+            // Where contact form rate limits are counted: process memory, or a JSON file that survives restarts
+            RATE_LIMIT_STORE: envField.enum({
+                context: 'server',
+                access: 'public',
+                values: ['memory', 'file'],
+                default: 'memory',
+            }),
+            RATE_LIMIT_FILE: envField.string({ context: 'server', access: 'public', default: '.data/rate-limits.json' }),
+
+            // Every accepted inquiry is also saved here, one JSON object per line
+            INQUIRY_STORE_FILE: envField.string({ context: 'server', access: 'public', default: '.data/inquiries.jsonl' }),
+            // Password for /admin/inquiries; the admin pages are disabled while it is unset
+            ADMIN_PASSWORD: envField.string({ context: 'server', access: 'secret', optional: true }),
+        },
+    },
+});
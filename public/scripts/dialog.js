@@ -0,0 +1,139 @@
+// Dialog controller: focus trap, inert background and focus restoration
+
+// Elements that can take keyboard focus inside a dialog
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Lists the focusable elements inside a container, in tab order
+ * @param {HTMLElement} container - The element to search
+ * @returns {HTMLElement[]} - Focusable elements that are not hidden
+ */
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden]'));
+}
+
+/**
+ * Creates a controller for a modal dialog. While the dialog is open, Tab and
+ * Shift+Tab cycle through the focusable elements of its content, everything
+ * else on the page is marked inert, and closing returns focus to the element
+ * that opened it.
+ * @param {HTMLElement} dialog - The role="dialog" element
+ * @param {Object} [options]
+ * @param {string} [options.contentSelector='.modal-content'] - The part of the dialog that keeps focus
+ * @param {string} [options.activeClass='active'] - Class that shows the dialog
+ * @returns {{open: function(HTMLElement=): void, close: function(): void, isOpen: function(): boolean}}
+ */
+function createDialogController(dialog, options = {}) {
+    const contentSelector = options.contentSelector || '.modal-content';
+    const activeClass = options.activeClass || 'active';
+    const content = dialog.querySelector(contentSelector) || dialog;
+
+    let invoker = null;
+    let inertElements = [];
+
+    // Keep Tab and Shift+Tab inside the dialog content
+    function trapFocus(e) {
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusableElements(content);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || !content.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !content.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Mark every top-level element outside the dialog inert, skipping any that
+    // already were so closing doesn't undo someone else's state
+    function makeBackgroundInert() {
+        inertElements = Array.from(document.body.children).filter(element =>
+            element !== dialog &&
+            !element.contains(dialog) &&
+            element.tagName !== 'SCRIPT' &&
+            !element.hasAttribute('inert')
+        );
+        inertElements.forEach(element => element.setAttribute('inert', ''));
+    }
+
+    function restoreBackground() {
+        inertElements.forEach(element => element.removeAttribute('inert'));
+        inertElements = [];
+    }
+
+    function isOpen() {
+        return dialog.classList.contains(activeClass);
+    }
+
+    /**
+     * Shows the dialog and moves focus into it
+     * @param {HTMLElement} [opener=document.activeElement] - Element to return focus to on close
+     */
+    function open(opener) {
+        if (isOpen()) {
+            return;
+        }
+
+        invoker = opener || document.activeElement;
+        dialog.classList.add(activeClass);
+        makeBackgroundInert();
+        document.addEventListener('keydown', trapFocus);
+
+        // Prevent body scroll when dialog is open
+        document.body.style.overflow = 'hidden';
+
+        const focusable = getFocusableElements(content);
+        if (focusable.length > 0) {
+            focusable[0].focus();
+        }
+    }
+
+    /**
+     * Hides the dialog and returns focus to the element that opened it
+     */
+    function close() {
+        if (!isOpen()) {
+            return;
+        }
+
+        dialog.classList.remove(activeClass);
+        restoreBackground();
+        document.removeEventListener('keydown', trapFocus);
+        document.body.style.overflow = '';
+
+        if (invoker && invoker !== document.body && document.contains(invoker)) {
+            invoker.focus();
+        }
+        invoker = null;
+    }
+
+    return { open, close, isOpen };
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDialogController,
+        getFocusableElements
+    };
+}
@@ -1,5 +1,27 @@
 // Form validation functionality
 
+// Error messages; src/lib/contact.ts returns the same ones from the server.
+// These are the English defaults - loadFormMessages() swaps in the page's language.
+const VALIDATION_MESSAGES = {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    choice: 'Please choose an option',
+    date: 'Please enter a valid date',
+    laterDate: 'Please choose a later date',
+    wholeNumber: 'Please enter a whole number',
+    numberRange: 'Please enter a number between {min} and {max}'
+};
+
+/**
+ * Fills in a message's {placeholders}
+ * @param {string} message - e.g. "Please enter a number between {min} and {max}"
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} - The message with every known placeholder replaced
+ */
+function formatMessage(message, values) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+}
+
 /**
  * Validates email format using regex
  * @param {string} email - The email address to validate
@@ -19,6 +41,58 @@ function validateRequired(value) {
     return value.trim().length > 0;
 }
 
+/**
+ * Validates a yyyy-mm-dd date as produced by <input type="date">
+ * @param {string} value - The date to validate
+ * @returns {boolean} - True if the value is a real calendar date
+ */
+function validateDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validates a whole number against an optional range
+ * @param {string} value - The number to validate
+ * @param {string} min - The field's min attribute, or empty for no minimum
+ * @param {string} max - The field's max attribute, or empty for no maximum
+ * @returns {string} - The error message, or an empty string if the value is valid
+ */
+function getNumberError(value, min, max) {
+    if (!/^-?\d+$/.test(value.trim())) {
+        return VALIDATION_MESSAGES.wholeNumber;
+    }
+
+    const number = Number(value);
+    if ((min !== '' && number < Number(min)) || (max !== '' && number > Number(max))) {
+        return formatMessage(VALIDATION_MESSAGES.numberRange, { min, max });
+    }
+    return '';
+}
+
+/**
+ * Formats a date as yyyy-mm-dd in the visitor's time zone, for date inputs' min attribute
+ * @param {Date} date - The date to format
+ * @returns {string} - e.g. "2025-03-14"
+ */
+function formatInputDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Checks whether a field is switched off, e.g. inside a hidden inquiry fieldset
+ * @param {HTMLElement} field - The field to check
+ * @returns {boolean} - True if the field is disabled and will not be submitted
+ */
+function isFieldDisabled(field) {
+    return field.disabled === true || (typeof field.matches === 'function' && field.matches(':disabled'));
+}
+
 /**
  * Shows error message for a form field
  * @param {HTMLElement} formGroup - The form group element
@@ -52,23 +126,53 @@ function clearError(formGroup) {
 function validateField(field) {
     const formGroup = field.closest('.form-group');
     const value = field.value;
-    const fieldName = field.name;
     
     // Clear previous error
     clearError(formGroup);
     
+    // Fields of other inquiry types are disabled, so they are neither required nor sent
+    if (isFieldDisabled(field)) {
+        return true;
+    }
+    
     // Check if field is required and empty
     if (field.hasAttribute('required') && !validateRequired(value)) {
-        showError(formGroup, 'This field is required');
+        showError(formGroup, field.tagName === 'SELECT' ? VALIDATION_MESSAGES.choice : VALIDATION_MESSAGES.required);
         return false;
     }
     
+    // Optional fields left empty have nothing else to check
+    if (value.trim().length === 0) {
+        return true;
+    }
+    
     // Validate email field
-    if (field.type === 'email' && value.trim().length > 0 && !validateEmail(value)) {
-        showError(formGroup, 'Please enter a valid email address');
+    if (field.type === 'email' && !validateEmail(value)) {
+        showError(formGroup, VALIDATION_MESSAGES.email);
         return false;
     }
     
+    // Validate date field, including its earliest allowed date
+    if (field.type === 'date') {
+        if (!validateDate(value)) {
+            showError(formGroup, VALIDATION_MESSAGES.date);
+            return false;
+        }
+        if (field.min && value < field.min) {
+            showError(formGroup, VALIDATION_MESSAGES.laterDate);
+            return false;
+        }
+    }
+    
+    // Validate number field against its min and max
+    if (field.type === 'number') {
+        const error = getNumberError(value, field.min, field.max);
+        if (error) {
+            showError(formGroup, error);
+            return false;
+        }
+    }
+    
     return true;
 }
 
@@ -78,7 +182,9 @@ function validateField(field) {
  * @returns {boolean} - True if all fields are valid, false otherwise
  */
 function validateForm(form) {
-    const fields = form.querySelectorAll('input[required], textarea[required], input[type="email"]');
+    const fields = form.querySelectorAll(
+        'input[required], textarea[required], select[required], input[type="email"], input[type="date"], input[type="number"]'
+    );
     let isValid = true;
     
     fields.forEach(field => {
@@ -90,49 +196,369 @@ function validateForm(form) {
     return isValid;
 }
 
+/**
+ * Shows the extra fields for the selected inquiry type and switches off the rest
+ * @param {HTMLFormElement} form - The contact form
+ */
+function showInquiryFields(form) {
+    const select = form.elements.namedItem('inquiryType');
+    const selectedType = select ? select.value : '';
+
+    form.querySelectorAll('.inquiry-fields').forEach(fieldset => {
+        const isSelected = fieldset.dataset.inquiry === selectedType;
+
+        // A disabled fieldset's fields are skipped by validation and left out of the submission
+        fieldset.hidden = !isSelected;
+        fieldset.disabled = !isSelected;
+
+        if (!isSelected) {
+            fieldset.querySelectorAll('.form-group').forEach(group => clearError(group));
+        }
+    });
+}
+
+/**
+ * Stops date fields that only accept upcoming dates from offering past days
+ * @param {HTMLFormElement} form - The contact form
+ * @param {Date} today - The current date
+ */
+function setMinimumDates(form, today) {
+    form.querySelectorAll('input[type="date"][data-future]').forEach(field => {
+        field.min = formatInputDate(today);
+    });
+}
+
+/**
+ * Records which photo the visitor is asking about, from the query string set by
+ * the "Ask about this photo" links
+ * @param {HTMLFormElement} form - The contact form
+ * @param {string} search - The page's query string, e.g. "?series=urban-moments&photo=2"
+ * @returns {boolean} - True if the form now refers to a photo
+ */
+function applyPhotoReference(form, search) {
+    const params = new URLSearchParams(search);
+    const series = form.elements.namedItem('series');
+    const photo = form.elements.namedItem('photo');
+    if (!series || !photo || !params.get('series')) {
+        return false;
+    }
+
+    series.value = params.get('series');
+    photo.value = params.get('photo') || '';
+    return true;
+}
+
+/**
+ * Shows the per-field errors returned by /api/contact on their form groups
+ * @param {HTMLFormElement} form - The submitted form
+ * @param {Object<string, string>} errors - Error messages keyed by field name
+ * @returns {boolean} - True if at least one error was shown
+ */
+function applyServerErrors(form, errors) {
+    let firstInvalidField = null;
+
+    Object.keys(errors).forEach(name => {
+        const field = form.elements.namedItem(name);
+        const formGroup = field && field.closest ? field.closest('.form-group') : null;
+        if (!formGroup) {
+            return;
+        }
+
+        showError(formGroup, errors[name]);
+        firstInvalidField = firstInvalidField || field;
+    });
+
+    if (firstInvalidField) {
+        firstInvalidField.focus();
+    }
+    return firstInvalidField !== null;
+}
+
+// Messages shown in the form's status region and on the submit button
+const STATUS_MESSAGES = {
+    pending: 'Sending your message…',
+    sending: 'Sending…',
+    success: 'Thanks! Your message has been sent. I\'ll get back to you soon.',
+    invalid: 'Please fix the highlighted fields and send again.',
+    failed: 'Your message could not be sent. Please try again later.',
+    offline: 'You appear to be offline. Your message is still here - send it again once you\'re back online.',
+    network: 'The server could not be reached. Your message is still here - check your connection and press Send Message to try again.'
+};
+
+/**
+ * Replaces the English messages with the ones the page rendered in its own
+ * language (a JSON block built by getFormMessages() in src/lib/i18n)
+ * @param {Document} doc - The page
+ * @returns {boolean} - True if the page provided messages
+ */
+function loadFormMessages(doc) {
+    const source = doc.getElementById('form-messages');
+    if (!source) {
+        return false;
+    }
+
+    try {
+        const messages = JSON.parse(source.textContent);
+        Object.assign(VALIDATION_MESSAGES, messages.validation);
+        Object.assign(STATUS_MESSAGES, messages.status);
+        return true;
+    } catch (error) {
+        console.error('Could not read the contact form messages', error);
+        return false;
+    }
+}
+
+// Network failures are retried this many times, this far apart, before giving up
+const NETWORK_RETRIES = 1;
+const RETRY_DELAY = 1500;
+
+// Each form's latest token request, so a submission can wait for one still loading
+const tokenRequests = new WeakMap();
+
+/**
+ * Fetches the time-to-submit token from the contact endpoint into the form's
+ * hidden token field; the server turns away messages sent too soon after it was issued
+ * @param {HTMLFormElement} form - The contact form
+ * @returns {Promise<boolean>} - True if a token was loaded
+ */
+function loadFormToken(form) {
+    const request = requestFormToken(form);
+    tokenRequests.set(form, request);
+    return request;
+}
+
+// Does the fetching for loadFormToken()
+async function requestFormToken(form) {
+    const tokenField = form.elements.namedItem('token');
+    if (!tokenField) {
+        return false;
+    }
+
+    try {
+        const response = await fetch(form.action, { headers: { 'Accept': 'application/json' } });
+        const body = await response.json();
+        tokenField.value = body.token || '';
+        return Boolean(body.token);
+    } catch (error) {
+        console.error('Could not load the contact form token', error);
+        return false;
+    }
+}
+
+/**
+ * Makes sure the form has a token before it is sent: waits for the one
+ * loading since the page opened, and asks again if that failed
+ * @param {HTMLFormElement} form - The contact form
+ * @returns {Promise<boolean>} - False if no token could be loaded
+ */
+async function ensureFormToken(form) {
+    const tokenField = form.elements.namedItem('token');
+    if (!tokenField || tokenField.value) {
+        return true;
+    }
+    return (await tokenRequests.get(form)) || loadFormToken(form);
+}
+
+/**
+ * Sends the form to its action URL as JSON
+ * @param {HTMLFormElement} form - The form to submit
+ * @returns {Promise<{status: number, body: Object}>} - The HTTP status and parsed JSON response
+ */
+async function submitForm(form) {
+    const response = await fetch(form.action, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify(Object.fromEntries(new FormData(form)))
+    });
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, body };
+}
+
+/**
+ * Submits the form, retrying when the request never reached the server
+ * @param {HTMLFormElement} form - The form to submit
+ * @param {number} retries - How many times to retry a network failure
+ * @param {number} delay - Milliseconds to wait before each retry
+ * @returns {Promise<{status: number, body: Object}>} - The first response received
+ */
+async function submitWithRetry(form, retries = NETWORK_RETRIES, delay = RETRY_DELAY) {
+    try {
+        return await submitForm(form);
+    } catch (error) {
+        // fetch only rejects for network errors; HTTP errors resolve with a status
+        if (retries <= 0) {
+            throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return submitWithRetry(form, retries - 1, delay);
+    }
+}
+
+/**
+ * Submits the form, sending it again once with a new token if the server
+ * refused the old one, and once more if the server asks to wait because it
+ * came too soon after the token was issued
+ * @param {HTMLFormElement} form - The form to submit
+ * @returns {Promise<{status: number, body: Object}>} - The last response received
+ */
+async function sendForm(form) {
+    let response = await submitWithRetry(form);
+    if (response.status === 400 && response.body.code === 'token' && await loadFormToken(form)) {
+        response = await submitWithRetry(form);
+    }
+    if (response.status !== 400 || response.body.code !== 'too-fast') {
+        return response;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, (response.body.retryAfter || 1) * 1000));
+    return submitWithRetry(form);
+}
+
+/**
+ * Shows a message in the form's status region, or clears it
+ * @param {HTMLElement} statusElement - The .form-status live region
+ * @param {string} state - 'pending', 'success' or 'error'; empty to clear the region
+ * @param {string} message - The message to announce
+ */
+function setStatus(statusElement, state, message) {
+    // The region stays in the page (it is only styled away while empty) so
+    // screen readers are already watching it when the message changes
+    statusElement.className = state ? `form-status is-${state}` : 'form-status';
+    statusElement.textContent = message || '';
+}
+
+/**
+ * Disables the submit button while a submission is in flight
+ * @param {HTMLFormElement} form - The contact form
+ * @param {boolean} isPending - Whether a submission is in flight
+ */
+function setPending(form, isPending) {
+    const button = form.querySelector('.submit-button');
+    form.setAttribute('aria-busy', String(isPending));
+
+    if (!button) {
+        return;
+    }
+
+    // Remember the original label so it can be restored afterwards
+    if (!button.dataset.label) {
+        button.dataset.label = button.textContent;
+    }
+    button.disabled = isPending;
+    button.textContent = isPending ? STATUS_MESSAGES.sending : button.dataset.label;
+}
+
+/**
+ * Validates and sends the contact form, reporting the outcome inline
+ * @param {HTMLFormElement} form - The contact form
+ * @param {HTMLElement} statusElement - The .form-status live region
+ * @returns {Promise<string>} - 'invalid', 'success', 'rejected', 'failed' or 'network'
+ */
+async function handleSubmit(form, statusElement) {
+    // Validate all fields
+    if (!validateForm(form)) {
+        // Form is invalid - errors are already displayed by validateForm
+        setStatus(statusElement, 'error', STATUS_MESSAGES.invalid);
+        return 'invalid';
+    }
+
+    if (navigator.onLine === false) {
+        setStatus(statusElement, 'error', STATUS_MESSAGES.offline);
+        return 'network';
+    }
+
+    setPending(form, true);
+    setStatus(statusElement, 'pending', STATUS_MESSAGES.pending);
+
+    try {
+        if (!(await ensureFormToken(form))) {
+            setStatus(statusElement, 'error', STATUS_MESSAGES.network);
+            return 'network';
+        }
+
+        const { body } = await sendForm(form);
+
+        if (body.ok) {
+            setStatus(statusElement, 'success', STATUS_MESSAGES.success);
+
+            // Only clear what the visitor typed once it has definitely been sent
+            form.reset();
+            showInquiryFields(form);
+            form.querySelectorAll('.form-group').forEach(group => clearError(group));
+            return 'success';
+        }
+
+        if (body.errors && applyServerErrors(form, body.errors)) {
+            setStatus(statusElement, 'error', STATUS_MESSAGES.invalid);
+            return 'rejected';
+        }
+
+        setStatus(statusElement, 'error', body.message || STATUS_MESSAGES.failed);
+        return 'failed';
+    } catch (error) {
+        console.error('Contact form submission failed', error);
+        setStatus(statusElement, 'error', STATUS_MESSAGES.network);
+        return 'network';
+    } finally {
+        setPending(form, false);
+    }
+}
+
 // Initialize form validation when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     const contactForm = document.getElementById('contact-form');
+    const formStatus = document.getElementById('form-status');
     
     if (!contactForm) {
         return;
     }
     
+    loadFormMessages(document);
+    loadFormToken(contactForm);
+    setMinimumDates(contactForm, new Date());
+    applyPhotoReference(contactForm, window.location.search);
+    showInquiryFields(contactForm);
+    
+    // Reveal the fields for the chosen inquiry type
+    const inquiryType = contactForm.elements.namedItem('inquiryType');
+    if (inquiryType) {
+        inquiryType.addEventListener('change', function() {
+            showInquiryFields(contactForm);
+        });
+    }
+    
     // Add blur event listeners to all form fields for real-time validation
-    const formFields = contactForm.querySelectorAll('input, textarea');
+    // (only visible fields live in a .form-group; the honeypot and token do not)
+    const formFields = contactForm.querySelectorAll('.form-group input, .form-group textarea, .form-group select');
     formFields.forEach(field => {
         field.addEventListener('blur', function() {
             validateField(this);
         });
         
-        // Clear error when user starts typing
-        field.addEventListener('input', function() {
+        // Clear error when user starts typing or picks an option
+        const clearOnChange = function() {
             const formGroup = this.closest('.form-group');
             if (formGroup.classList.contains('error')) {
                 clearError(formGroup);
             }
-        });
+        };
+        field.addEventListener('input', clearOnChange);
+        field.addEventListener('change', clearOnChange);
     });
     
     // Handle form submission
     contactForm.addEventListener('submit', function(event) {
         event.preventDefault();
         
-        // Validate all fields
-        if (validateForm(this)) {
-            // Form is valid - in a real application, this would submit the data
-            alert('Form submitted successfully! (This is a demo - no data was actually sent)');
-            
-            // Reset form
-            this.reset();
-            
-            // Clear any remaining error states
-            const formGroups = this.querySelectorAll('.form-group');
-            formGroups.forEach(group => clearError(group));
-        } else {
-            // Form is invalid - errors are already displayed by validateForm
-            console.log('Form validation failed');
+        // Ignore repeat submissions (e.g. pressing Enter) while one is in flight
+        if (this.getAttribute('aria-busy') === 'true') {
+            return;
         }
+        
+        handleSubmit(this, formStatus);
     });
 });
 
@@ -141,9 +567,26 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         validateEmail,
         validateRequired,
+        validateDate,
+        getNumberError,
+        formatMessage,
+        formatInputDate,
         validateField,
         validateForm,
         showError,
-        clearError
+        clearError,
+        showInquiryFields,
+        setMinimumDates,
+        applyPhotoReference,
+        applyServerErrors,
+        loadFormMessages,
+        loadFormToken,
+        ensureFormToken,
+        submitForm,
+        submitWithRetry,
+        sendForm,
+        setStatus,
+        setPending,
+        handleSubmit
     };
 }
@@ -1,8 +1,8 @@
 // Unit tests for form validation functions
 // Requirements: 5.2, 5.3
 
-import { describe, it, expect } from 'vitest';
-import { validateEmail, validateRequired, validateForm, validateField } from './form-validation.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { validateEmail, validateRequired, validateForm, validateField, showInquiryFields, setMinimumDates, applyPhotoReference, applyServerErrors, loadFormMessages, loadFormToken, setPending, submitWithRetry, handleSubmit } from './form-validation.js';
 import * as fc from 'fast-check';
 
 describe('Form Validation - validateEmail', () => {
@@ -278,3 +278,477 @@ describe('Property Test - Email validation', () => {
     );
   });
 });
+
+describe('Form Validation - applyServerErrors', () => {
+  const renderForm = () => {
+    document.body.innerHTML = `
+      <form id="contact-form">
+        <div class="form-group">
+          <input type="text" id="name" name="name" required>
+          <span class="error-message"></span>
+        </div>
+        <div class="form-group">
+          <input type="email" id="email" name="email" required>
+          <span class="error-message"></span>
+        </div>
+        <div class="form-group">
+          <textarea id="message" name="message" required></textarea>
+          <span class="error-message"></span>
+        </div>
+      </form>
+    `;
+    return document.getElementById('contact-form');
+  };
+
+  it('should show each error on its field\'s form group', () => {
+    const form = renderForm();
+
+    const shown = applyServerErrors(form, {
+      email: 'Please enter a valid email address',
+      message: 'This field is required'
+    });
+
+    const groups = form.querySelectorAll('.form-group');
+    expect(shown).toBe(true);
+    expect(groups[0].classList.contains('error')).toBe(false);
+    expect(groups[1].classList.contains('error')).toBe(true);
+    expect(groups[1].querySelector('.error-message').textContent).toBe('Please enter a valid email address');
+    expect(groups[2].querySelector('.error-message').textContent).toBe('This field is required');
+  });
+
+  it('should focus the first invalid field', () => {
+    const form = renderForm();
+
+    applyServerErrors(form, { email: 'Please enter a valid email address', message: 'This field is required' });
+
+    expect(document.activeElement).toBe(document.getElementById('email'));
+  });
+
+  it('should ignore errors for fields the form does not have', () => {
+    const form = renderForm();
+
+    expect(applyServerErrors(form, { phone: 'This field is required' })).toBe(false);
+    expect(form.querySelectorAll('.form-group.error')).toHaveLength(0);
+  });
+});
+
+describe('Form Submission - handleSubmit', () => {
+  let form;
+  let status;
+  let button;
+
+  const respondWith = (status, body) => Promise.resolve({
+    status,
+    json: () => Promise.resolve(body)
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="contact-form" action="/api/contact" method="post">
+        <div class="form-group">
+          <input type="text" id="name" name="name" required>
+          <span class="error-message"></span>
+        </div>
+        <div class="form-group">
+          <input type="email" id="email" name="email" required>
+          <span class="error-message"></span>
+        </div>
+        <div class="form-group">
+          <textarea id="message" name="message" required></textarea>
+          <span class="error-message"></span>
+        </div>
+        <button type="submit" class="submit-button">Send Message</button>
+        <p class="form-status" id="form-status" role="status"></p>
+      </form>
+    `;
+    form = document.getElementById('contact-form');
+    status = document.getElementById('form-status');
+    button = form.querySelector('.submit-button');
+    document.getElementById('name').value = 'Aiko';
+    document.getElementById('email').value = 'aiko@example.com';
+    document.getElementById('message').value = 'Do you sell prints?';
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should disable the submit button while the request is pending', async () => {
+    let resolve;
+    vi.stubGlobal('fetch', vi.fn(() => new Promise(r => { resolve = r; })));
+
+    const result = handleSubmit(form, status);
+    await vi.waitFor(() => expect(resolve).toBeTypeOf('function'));
+
+    expect(button.disabled).toBe(true);
+    expect(form.getAttribute('aria-busy')).toBe('true');
+    expect(status.classList.contains('is-pending')).toBe(true);
+
+    resolve({ status: 200, json: () => Promise.resolve({ ok: true }) });
+    await result;
+
+    expect(button.disabled).toBe(false);
+    expect(button.textContent).toBe('Send Message');
+    expect(form.getAttribute('aria-busy')).toBe('false');
+  });
+
+  it('should announce success inline and clear the form', async () => {
+    const alertSpy = vi.fn();
+    vi.stubGlobal('alert', alertSpy);
+    vi.stubGlobal('fetch', vi.fn(() => respondWith(200, { ok: true })));
+
+    await expect(handleSubmit(form, status)).resolves.toBe('success');
+
+    expect(status.classList.contains('is-success')).toBe(true);
+    expect(status.textContent).toContain('Your message has been sent');
+    expect(document.getElementById('message').value).toBe('');
+    expect(alertSpy).not.toHaveBeenCalled();
+  });
+
+  it('should keep the visitor\'s text and show field errors the server rejected', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => respondWith(422, { ok: false, errors: { email: 'Please enter a valid email address' } })));
+
+    await expect(handleSubmit(form, status)).resolves.toBe('rejected');
+
+    expect(document.getElementById('message').value).toBe('Do you sell prints?');
+    expect(document.getElementById('email').closest('.form-group').classList.contains('error')).toBe(true);
+    expect(status.classList.contains('is-error')).toBe(true);
+  });
+
+  it('should show the server\'s message when sending fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => respondWith(502, { ok: false, message: 'Mail server unavailable' })));
+
+    await expect(handleSubmit(form, status)).resolves.toBe('failed');
+
+    expect(status.textContent).toBe('Mail server unavailable');
+    expect(document.getElementById('name').value).toBe('Aiko');
+  });
+
+  it('should retry a network error once, then explain it and keep the text', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = handleSubmit(form, status);
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBe('network');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(status.textContent).toContain('could not be reached');
+    expect(document.getElementById('message').value).toBe('Do you sell prints?');
+    expect(button.disabled).toBe(false);
+  });
+
+  it('should send again once the server stops turning it away as too fast', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn()
+      .mockReturnValueOnce(respondWith(400, { ok: false, code: 'too-fast', retryAfter: 3, message: 'Too soon' }))
+      .mockReturnValueOnce(respondWith(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = handleSubmit(form, status);
+    await vi.advanceTimersByTimeAsync(2999);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBe('success');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fetch a new token and send again when the server refuses the old one', async () => {
+    form.insertAdjacentHTML('beforeend', '<input type="hidden" name="token" value="stale">');
+    const fetchMock = vi.fn()
+      .mockReturnValueOnce(respondWith(400, { ok: false, code: 'token', message: 'This form has expired.' }))
+      .mockReturnValueOnce(respondWith(200, { token: 'fresh' }))
+      .mockReturnValueOnce(respondWith(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(handleSubmit(form, status)).resolves.toBe('success');
+
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body).token).toBe('fresh');
+    expect(status.textContent).not.toContain('expired');
+  });
+
+  it('should wait for the token still loading before sending', async () => {
+    form.insertAdjacentHTML('beforeend', '<input type="hidden" name="token" value="">');
+    let deliverToken;
+    const fetchMock = vi.fn()
+      .mockReturnValueOnce(new Promise(resolve => { deliverToken = resolve; }))
+      .mockReturnValueOnce(respondWith(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    loadFormToken(form);
+
+    const result = handleSubmit(form, status);
+    await Promise.resolve();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    deliverToken({ status: 200, json: () => Promise.resolve({ token: 'late' }) });
+
+    await expect(result).resolves.toBe('success');
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).token).toBe('late');
+  });
+
+  it('should ask for the token again if it failed to load, and report a network error if it still cannot', async () => {
+    form.insertAdjacentHTML('beforeend', '<input type="hidden" name="token" value="">');
+    const fetchMock = vi.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    vi.stubGlobal('fetch', fetchMock);
+    await loadFormToken(form);
+
+    await expect(handleSubmit(form, status)).resolves.toBe('network');
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls.some(([, options]) => options.method === 'POST')).toBe(false);
+    expect(status.textContent).toContain('could not be reached');
+    expect(button.disabled).toBe(false);
+  });
+
+  it('should not send anything when client-side validation fails', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    document.getElementById('name').value = '';
+
+    await expect(handleSubmit(form, status)).resolves.toBe('invalid');
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(status.classList.contains('is-error')).toBe(true);
+  });
+});
+
+describe('Form Submission - submitWithRetry', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return the first response that reaches the server', async () => {
+    document.body.innerHTML = '<form action="/api/contact"><input name="name" value="Aiko"></form>';
+    const fetchMock = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ status: 200, json: () => Promise.resolve({ ok: true }) });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const response = await submitWithRetry(document.querySelector('form'), 2, 0);
+
+    expect(response).toEqual({ status: 200, body: { ok: true } });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Form Submission - loadFormToken', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('should store the token from the contact endpoint in the hidden field', async () => {
+    document.body.innerHTML = '<form action="/api/contact"><input type="hidden" name="token" value=""></form>';
+    const form = document.querySelector('form');
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ json: () => Promise.resolve({ token: '1735689600000.abc' }) })));
+
+    await expect(loadFormToken(form)).resolves.toBe(true);
+
+    expect(form.elements.token.value).toBe('1735689600000.abc');
+  });
+
+  it('should leave the field empty when the token cannot be loaded', async () => {
+    document.body.innerHTML = '<form action="/api/contact"><input type="hidden" name="token" value=""></form>';
+    const form = document.querySelector('form');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(() => Promise.reject(new TypeError('Failed to fetch'))));
+
+    await expect(loadFormToken(form)).resolves.toBe(false);
+
+    expect(form.elements.token.value).toBe('');
+  });
+});
+
+describe('Form Validation - inquiry type fields', () => {
+  let form;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="contact-form">
+        <div class="form-group">
+          <select id="inquiryType" name="inquiryType" required>
+            <option value="general" selected>General question</option>
+            <option value="prints">Buying prints</option>
+            <option value="commissions">Commissioning a shoot</option>
+          </select>
+          <span class="error-message"></span>
+        </div>
+        <fieldset class="inquiry-fields" data-inquiry="prints" disabled hidden>
+          <div class="form-group">
+            <select id="printSize" name="printSize" required>
+              <option value="">Choose…</option>
+              <option value="11x14">11 × 14 in</option>
+            </select>
+            <span class="error-message"></span>
+          </div>
+          <div class="form-group">
+            <input type="number" id="quantity" name="quantity" min="1" max="20" step="1" value="1" required>
+            <span class="error-message"></span>
+          </div>
+        </fieldset>
+        <fieldset class="inquiry-fields" data-inquiry="commissions" disabled hidden>
+          <div class="form-group">
+            <input type="date" id="shootDate" name="shootDate" data-future required>
+            <span class="error-message"></span>
+          </div>
+        </fieldset>
+      </form>
+    `;
+    form = document.getElementById('contact-form');
+  });
+
+  const selectInquiry = (value) => {
+    form.elements.inquiryType.value = value;
+    showInquiryFields(form);
+  };
+  const errorFor = (id) => document.getElementById(id).closest('.form-group').querySelector('.error-message').textContent;
+
+  it('should reveal only the selected type\'s fieldset', () => {
+    selectInquiry('prints');
+
+    const [prints, commissions] = form.querySelectorAll('.inquiry-fields');
+    expect(prints.hidden).toBe(false);
+    expect(prints.disabled).toBe(false);
+    expect(commissions.hidden).toBe(true);
+    expect(commissions.disabled).toBe(true);
+  });
+
+  it('should not require fields of other inquiry types', () => {
+    expect(validateForm(form)).toBe(true);
+    expect(form.querySelectorAll('.form-group.error')).toHaveLength(0);
+  });
+
+  it('should require a choice in the selected type\'s selects', () => {
+    selectInquiry('prints');
+
+    expect(validateForm(form)).toBe(false);
+    expect(errorFor('printSize')).toBe('Please choose an option');
+  });
+
+  it('should clear errors from a fieldset when another type is chosen', () => {
+    selectInquiry('prints');
+    validateForm(form);
+
+    selectInquiry('general');
+
+    expect(form.querySelectorAll('.form-group.error')).toHaveLength(0);
+  });
+
+  it('should check numbers are whole and within min and max', () => {
+    selectInquiry('prints');
+    const quantity = document.getElementById('quantity');
+
+    quantity.value = '25';
+    expect(validateField(quantity)).toBe(false);
+    expect(errorFor('quantity')).toBe('Please enter a number between 1 and 20');
+
+    quantity.value = '3';
+    expect(validateField(quantity)).toBe(true);
+  });
+
+  it('should reject dates before the field\'s minimum', () => {
+    selectInquiry('commissions');
+    setMinimumDates(form, new Date(2025, 2, 14));
+    const shootDate = document.getElementById('shootDate');
+
+    expect(shootDate.min).toBe('2025-03-14');
+
+    shootDate.value = '2025-03-01';
+    expect(validateField(shootDate)).toBe(false);
+    expect(errorFor('shootDate')).toBe('Please choose a later date');
+
+    shootDate.value = '2025-03-14';
+    expect(validateField(shootDate)).toBe(true);
+  });
+});
+
+describe('Form Submission - applyPhotoReference', () => {
+  const renderForm = () => {
+    document.body.innerHTML = `
+      <form id="contact-form">
+        <input type="hidden" name="series" value="">
+        <input type="hidden" name="photo" value="">
+      </form>
+    `;
+    return document.getElementById('contact-form');
+  };
+
+  it('should copy the series and photo from an "Ask about this photo" link', () => {
+    const form = renderForm();
+
+    expect(applyPhotoReference(form, '?series=urban-moments&photo=2')).toBe(true);
+
+    expect(form.elements.series.value).toBe('urban-moments');
+    expect(form.elements.photo.value).toBe('2');
+  });
+
+  it('should leave the form alone without a series', () => {
+    const form = renderForm();
+
+    expect(applyPhotoReference(form, '?photo=2')).toBe(false);
+    expect(form.elements.photo.value).toBe('');
+  });
+});
+
+describe('Form Validation - loadFormMessages', () => {
+  const english = {
+    validation: { required: 'This field is required', numberRange: 'Please enter a number between {min} and {max}' },
+    status: { sending: 'Sending…' }
+  };
+  const renderMessages = (messages) => {
+    document.body.innerHTML = `
+      <form id="contact-form">
+        <div class="form-group">
+          <input type="text" id="name" name="name" value="" required>
+          <span class="error-message"></span>
+        </div>
+        <div class="form-group">
+          <input type="number" id="quantity" name="quantity" min="1" max="20" step="1" value="30" required>
+          <span class="error-message"></span>
+        </div>
+        <button type="submit" class="submit-button">送信する</button>
+      </form>
+      <script type="application/json" id="form-messages">${JSON.stringify(messages)}</script>
+    `;
+  };
+  const errorFor = (id) => document.getElementById(id).closest('.form-group').querySelector('.error-message').textContent;
+
+  // The messages are shared module state, so put the English ones back
+  afterEach(() => {
+    renderMessages(english);
+    loadFormMessages(document);
+  });
+
+  it('should show errors in the page\'s language', () => {
+    renderMessages({
+      validation: { required: 'この項目は必須です', numberRange: '{min}から{max}までの数を入力してください' },
+      status: { sending: '送信中…' }
+    });
+
+    expect(loadFormMessages(document)).toBe(true);
+    validateForm(document.getElementById('contact-form'));
+
+    expect(errorFor('name')).toBe('この項目は必須です');
+    expect(errorFor('quantity')).toBe('1から20までの数を入力してください');
+  });
+
+  it('should label the submit button in the page\'s language while sending', () => {
+    renderMessages({ validation: {}, status: { sending: '送信中…' } });
+    loadFormMessages(document);
+    const form = document.getElementById('contact-form');
+
+    setPending(form, true);
+    expect(form.querySelector('.submit-button').textContent).toBe('送信中…');
+    setPending(form, false);
+    expect(form.querySelector('.submit-button').textContent).toBe('送信する');
+  });
+
+  it('should keep the English messages when the page has none', () => {
+    document.body.innerHTML = '';
+    expect(loadFormMessages(document)).toBe(false);
+  });
+});
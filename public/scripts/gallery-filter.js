@@ -0,0 +1,182 @@
+// Gallery filter bar: combine facets to narrow the portfolio grid
+//
+// Facets describe photos, but the grid shows series: a series card stays
+// when one of its photos matches, and counts are of series cards
+
+// Facets and photos rendered at build time (see src/lib/gallery-filters.ts)
+const filterDataElement = document.getElementById('gallery-filter-data');
+const filterData = filterDataElement
+    ? JSON.parse(filterDataElement.textContent)
+    : { groups: [], photos: [], status: { one: '{count} series shown', other: '{count} series shown' } };
+
+/**
+ * Reads the selected filters from a query string, ignoring values the gallery does not have
+ * @param {string} search - e.g. "?film=kodak-tri-x-400&subject=street&subject=night"
+ * @param {Array<{name: string, options: Array<{value: string}>}>} groups - The filter bar's groups
+ * @returns {Object<string, string[]>} - Selected values by facet; facets with none are left out
+ */
+function readFilters(search, groups) {
+    const params = new URLSearchParams(search);
+    const filters = {};
+
+    groups.forEach(group => {
+        const known = group.options.map(option => option.value);
+        const values = params.getAll(group.name).filter(value => known.includes(value));
+        if (values.length > 0) {
+            filters[group.name] = values;
+        }
+    });
+
+    return filters;
+}
+
+/**
+ * Writes the selected filters into a query string, keeping any other parameters
+ * @param {string} search - The current query string
+ * @param {Object<string, string[]>} filters - Selected values by facet
+ * @param {Array<{name: string}>} groups - The filter bar's groups
+ * @returns {string} - The new query string, "" when nothing is left
+ */
+function writeFilters(search, filters, groups) {
+    const params = new URLSearchParams(search);
+
+    groups.forEach(group => {
+        params.delete(group.name);
+        (filters[group.name] || []).forEach(value => params.append(group.name, value));
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Checks a photo against the filters: any selected value within a facet, every facet
+ * @param {{values: Object<string, string[]>}} photo - A photo's facet values
+ * @param {Object<string, string[]>} filters - Selected values by facet
+ * @param {string} [ignoredFacet] - A facet to leave out, for counting its own options
+ * @returns {boolean} - Whether the photo matches
+ */
+function photoMatches(photo, filters, ignoredFacet) {
+    return Object.keys(filters).every(facet =>
+        facet === ignoredFacet || filters[facet].some(value => (photo.values[facet] || []).includes(value))
+    );
+}
+
+/**
+ * Lists the series with at least one of the given photos
+ * @param {Array<{series: string}>} photos - Photos, e.g. the ones matching the filters
+ * @returns {Set<string>} - Series slugs
+ */
+function seriesOf(photos) {
+    return new Set(photos.map(photo => photo.series));
+}
+
+/**
+ * Counts the series cards each option would show, given the other facets' selections
+ * @param {Array<{series: string, values: Object<string, string[]>}>} photos - Every photo in the gallery
+ * @param {Object<string, string[]>} filters - Selected values by facet
+ * @param {Array<{name: string, options: Array<{value: string}>}>} groups - The filter bar's groups
+ * @returns {Object<string, Object<string, number>>} - Counts by facet, then by value
+ */
+function countOptions(photos, filters, groups) {
+    const counts = {};
+
+    groups.forEach(group => {
+        const candidates = photos.filter(photo => photoMatches(photo, filters, group.name));
+        counts[group.name] = {};
+        group.options.forEach(option => {
+            counts[group.name][option.value] = seriesOf(candidates.filter(photo =>
+                (photo.values[group.name] || []).includes(option.value)
+            )).size;
+        });
+    });
+
+    return counts;
+}
+
+/**
+ * Formats the live region text
+ * @param {number} count - Series cards shown
+ * @param {{one: string, other: string}} status - Messages with a {count} placeholder
+ * @returns {string} - e.g. "2 series shown"
+ */
+function formatFilterStatus(count, status) {
+    return (count === 1 ? status.one : status.other).replace('{count}', String(count));
+}
+
+/**
+ * Shows the cards and counts for the filter bar's current selection
+ * @param {HTMLFormElement} form - The filter bar
+ * @param {boolean} updateUrl - Whether to record the selection in the query string
+ */
+function applyFilters(form, updateUrl) {
+    const { groups, photos, status } = filterData;
+    const filters = {};
+    form.querySelectorAll('input[type="checkbox"]:checked').forEach(input => {
+        (filters[input.name] = filters[input.name] || []).push(input.value);
+    });
+
+    const shownSeries = seriesOf(photos.filter(photo => photoMatches(photo, filters)));
+    document.querySelectorAll('.portfolio-item').forEach(item => {
+        item.hidden = !shownSeries.has(item.dataset.series);
+    });
+
+    const counts = countOptions(photos, filters, groups);
+    form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        const count = counts[input.name][input.value];
+        const option = input.closest('.filter-option');
+        option.querySelector('[data-count]').textContent = `(${count})`;
+        option.classList.toggle('is-empty', count === 0 && !input.checked);
+    });
+
+    const statusElement = form.querySelector('.filter-status');
+    const message = formatFilterStatus(shownSeries.size, status);
+    if (statusElement.textContent !== message) {
+        statusElement.textContent = message;
+    }
+
+    if (updateUrl) {
+        // Replace rather than push, so Back still leaves the page; keep the
+        // lightbox's history state and any hash
+        const search = writeFilters(window.location.search, filters, groups);
+        history.replaceState(history.state, '', window.location.pathname + search + window.location.hash);
+    }
+}
+
+/**
+ * Shows the filter bar and restores a selection from the query string
+ * @param {HTMLFormElement} form - The filter bar
+ */
+function initGalleryFilter(form) {
+    const selected = readFilters(window.location.search, filterData.groups);
+    form.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        input.checked = (selected[input.name] || []).includes(input.value);
+    });
+
+    form.addEventListener('change', () => applyFilters(form, true));
+    // Reset fires before the checkboxes clear
+    form.addEventListener('reset', () => setTimeout(() => applyFilters(form, true)));
+    form.addEventListener('submit', e => e.preventDefault());
+
+    form.hidden = false;
+    applyFilters(form, false);
+}
+
+const galleryFilterForm = document.getElementById('gallery-filters');
+if (galleryFilterForm && filterDataElement) {
+    initGalleryFilter(galleryFilterForm);
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readFilters,
+        writeFilters,
+        photoMatches,
+        seriesOf,
+        countOptions,
+        formatFilterStatus,
+        applyFilters,
+        initGalleryFilter
+    };
+}
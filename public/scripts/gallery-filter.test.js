@@ -0,0 +1,105 @@
+// Unit tests for the gallery filter bar
+// For any combination of facets, the grid should show only matching series, with counts and a status message
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { readFilters, writeFilters, photoMatches, seriesOf, countOptions, formatFilterStatus } from './gallery-filter.js';
+
+const groups = [
+  { name: 'film', options: [{ value: 'kodak-tri-x-400' }, { value: 'kodak-portra-400' }, { value: 'ilford-hp5-plus-400' }] },
+  { name: 'palette', options: [{ value: 'bw' }, { value: 'colour' }] },
+  { name: 'subject', options: [{ value: 'street' }, { value: 'portrait' }, { value: 'landscape' }] },
+];
+
+const photos = [
+  { series: 'urban-moments', values: { film: ['kodak-tri-x-400'], palette: ['bw'], subject: ['street'] } },
+  { series: 'portraits-on-film', values: { film: ['kodak-portra-400'], palette: ['colour'], subject: ['portrait', 'street'] } },
+  { series: 'landscapes', values: { film: ['ilford-hp5-plus-400'], palette: ['bw'], subject: ['landscape'] } },
+];
+
+describe('Gallery filter - query string', () => {
+  it('should read repeated parameters and drop values the gallery does not have', () => {
+    expect(readFilters('?film=kodak-tri-x-400&subject=street&subject=night&series=landscapes', groups)).toEqual({
+      film: ['kodak-tri-x-400'],
+      subject: ['street'],
+    });
+  });
+
+  it('should keep other parameters when writing the selection', () => {
+    expect(writeFilters('?series=landscapes&palette=colour', { palette: ['bw'], subject: ['street', 'landscape'] }, groups)).toBe(
+      '?series=landscapes&palette=bw&subject=street&subject=landscape'
+    );
+    expect(writeFilters('?palette=bw', {}, groups)).toBe('');
+  });
+
+  it('should read back whatever it writes', () => {
+    const selection = fc.record({
+      film: fc.subarray(groups[0].options.map((option) => option.value), { minLength: 1 }),
+      subject: fc.subarray(groups[2].options.map((option) => option.value), { minLength: 1 }),
+    });
+    fc.assert(fc.property(selection, (filters) => {
+      expect(readFilters(writeFilters('', filters, groups), groups)).toEqual(filters);
+    }));
+  });
+});
+
+describe('Gallery filter - matching', () => {
+  it('should match any value within a facet and every facet', () => {
+    const filters = { palette: ['bw'], subject: ['street', 'portrait'] };
+    expect(photos.filter((photo) => photoMatches(photo, filters)).map((photo) => photo.series)).toEqual(['urban-moments']);
+    expect(photos.filter((photo) => photoMatches(photo, {}))).toHaveLength(3);
+  });
+
+  it('should count each option against the other facets only', () => {
+    const counts = countOptions(photos, { palette: ['bw'] }, groups);
+    expect(counts.palette).toEqual({ bw: 2, colour: 1 });
+    expect(counts.subject).toEqual({ street: 1, portrait: 0, landscape: 1 });
+    expect(counts.film).toEqual({ 'kodak-tri-x-400': 1, 'kodak-portra-400': 0, 'ilford-hp5-plus-400': 1 });
+  });
+
+  it('should never count more series than the gallery has', () => {
+    const filters = fc.record({ palette: fc.subarray(['bw', 'colour'], { minLength: 1 }) }, { requiredKeys: [] });
+    fc.assert(fc.property(filters, (selection) => {
+      const counts = countOptions(photos, selection, groups);
+      Object.values(counts.film).forEach((count) => expect(count).toBeLessThanOrEqual(seriesOf(photos).size));
+    }));
+  });
+});
+
+describe('Gallery filter - series cards', () => {
+  // One series with three street frames on a Canon and one portrait on a Leica
+  const mixed = [
+    ...[1, 2, 3].map(() => ({ series: 'urban-moments', values: { camera: ['canon-ae-1'], subject: ['street'] } })),
+    { series: 'urban-moments', values: { camera: ['leica-m6'], subject: ['portrait'] } },
+    { series: 'landscapes', values: { camera: ['mamiya-rb67'], subject: ['landscape'] } },
+  ];
+  const mixedGroups = [
+    { name: 'camera', options: [{ value: 'canon-ae-1' }, { value: 'leica-m6' }, { value: 'mamiya-rb67' }] },
+    { name: 'subject', options: [{ value: 'street' }, { value: 'portrait' }, { value: 'landscape' }] },
+  ];
+
+  it('should show a series once, however many of its photos match', () => {
+    const filters = { camera: ['canon-ae-1'] };
+    expect([...seriesOf(mixed.filter((photo) => photoMatches(photo, filters)))]).toEqual(['urban-moments']);
+  });
+
+  it('should count the series cards each option would show, not photos', () => {
+    const counts = countOptions(mixed, {}, mixedGroups);
+    expect(counts.camera).toEqual({ 'canon-ae-1': 1, 'leica-m6': 1, 'mamiya-rb67': 1 });
+    expect(counts.subject).toEqual({ street: 1, portrait: 1, landscape: 1 });
+  });
+
+  it('should need one photo to match every facet, not the series as a whole', () => {
+    const filters = { camera: ['leica-m6'], subject: ['street'] };
+    expect(seriesOf(mixed.filter((photo) => photoMatches(photo, filters))).size).toBe(0);
+    expect(countOptions(mixed, filters, mixedGroups).subject).toEqual({ street: 0, portrait: 1, landscape: 0 });
+  });
+});
+
+describe('Gallery filter - status', () => {
+  it('should announce how many series are shown', () => {
+    const status = { one: '{count} series shown', other: '{count} series shown' };
+    expect(formatFilterStatus(2, status)).toBe('2 series shown');
+    expect(formatFilterStatus(1, status)).toBe('1 series shown');
+  });
+});
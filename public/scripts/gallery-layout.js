@@ -0,0 +1,255 @@
+// Gallery layout: justified rows or masonry columns sized from each cover's
+// aspect ratio, so photos are shown whole instead of cropped to one box.
+// Without JavaScript the grid keeps its CSS layout.
+
+/**
+ * Splits widths into whole pixels that add up exactly, so a row never wraps
+ * @param {number[]} widths - Exact widths
+ * @param {number} total - What they should add up to
+ * @returns {number[]} - Whole widths, the leftover pixels given to the ones rounded down most
+ */
+function roundWidths(widths, total) {
+    const rounded = widths.map(width => Math.floor(width));
+    let leftover = Math.floor(total) - rounded.reduce((sum, width) => sum + width, 0);
+
+    const byFraction = widths
+        .map((width, index) => ({ index, fraction: width - Math.floor(width) }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; leftover > 0 && byFraction.length > 0; i = (i + 1) % byFraction.length) {
+        rounded[byFraction[i].index] += 1;
+        leftover -= 1;
+    }
+
+    return rounded;
+}
+
+/**
+ * Lays photos out in rows of equal height that fill the width (Flickr-style).
+ * Each row takes photos until its height is as close as it gets to the target.
+ * The last row fills the width too if that keeps it under the maximum height;
+ * otherwise it keeps the target height and leaves the rest of the row empty.
+ * @param {number[]} ratios - Width / height of each photo, in order
+ * @param {number} width - The container's width
+ * @param {Object} options
+ * @param {number} options.rowHeight - Target row height
+ * @param {number} options.gap - Space between photos
+ * @param {number} [options.maxRowHeight=rowHeight * 1.25] - Tallest the last row may stretch to
+ * @param {number} [options.singleColumnBelow=rowHeight * 2] - Narrower containers get one photo per row at its natural height
+ * @returns {Array<{height: number, items: Array<{index: number, width: number}>}>} - Rows, in order
+ */
+function justifiedLayout(ratios, width, options) {
+    const { rowHeight, gap } = options;
+    const maxRowHeight = options.maxRowHeight ?? rowHeight * 1.25;
+    const singleColumnBelow = options.singleColumnBelow ?? rowHeight * 2;
+
+    if (width < singleColumnBelow) {
+        return ratios.map((ratio, index) => ({
+            height: Math.round(width / ratio),
+            items: [{ index, width: Math.round(width) }]
+        }));
+    }
+
+    const rows = [];
+    // Height a row of these photos would need to fill the width
+    const fitHeight = (count, ratioSum) => (width - gap * (count - 1)) / ratioSum;
+
+    function closeRow(indexes, height) {
+        const exact = indexes.map(index => ratios[index] * height);
+        const widths = roundWidths(exact, width - gap * (indexes.length - 1));
+        rows.push({
+            height: Math.round(height),
+            items: indexes.map((index, position) => ({ index, width: widths[position] }))
+        });
+    }
+
+    let row = [];
+    let ratioSum = 0;
+    ratios.forEach((ratio, index) => {
+        const height = fitHeight(row.length + 1, ratioSum + ratio);
+        if (height > rowHeight) {
+            row.push(index);
+            ratioSum += ratio;
+            return;
+        }
+
+        // Adding this photo makes the row too short; keep it for the next row
+        // if the row is closer to the target without it
+        const heightWithout = row.length > 0 ? fitHeight(row.length, ratioSum) : Infinity;
+        if (heightWithout - rowHeight < rowHeight - height) {
+            closeRow(row, heightWithout);
+            row = [];
+            ratioSum = 0;
+            if (fitHeight(1, ratio) <= rowHeight) {
+                closeRow([index], fitHeight(1, ratio));
+                return;
+            }
+            row.push(index);
+            ratioSum = ratio;
+            return;
+        }
+
+        row.push(index);
+        closeRow(row, height);
+        row = [];
+        ratioSum = 0;
+    });
+
+    if (row.length > 0 && fitHeight(row.length, ratioSum) <= maxRowHeight) {
+        closeRow(row, fitHeight(row.length, ratioSum));
+    } else if (row.length > 0) {
+        rows.push({
+            height: rowHeight,
+            items: row.map(index => ({ index, width: Math.round(ratios[index] * rowHeight) }))
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Works out how many masonry columns fit
+ * @param {number} width - The container's width
+ * @param {number} minColumnWidth - Narrowest a column may be
+ * @param {number} gap - Space between columns
+ * @returns {{count: number, width: number}} - Column count and width
+ */
+function masonryColumns(width, minColumnWidth, gap) {
+    const count = Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+    return { count, width: Math.floor((width - gap * (count - 1)) / count) };
+}
+
+/**
+ * Places items in masonry columns, each into the shortest column so far
+ * @param {number[]} heights - Each item's height at the column width, in order
+ * @param {{count: number, width: number}} columns - From masonryColumns()
+ * @param {number} gap - Space between items, across and down
+ * @returns {{positions: Array<{x: number, y: number}>, height: number}} - Each item's offset, and the container height
+ */
+function masonryLayout(heights, columns, gap) {
+    const columnHeights = new Array(columns.count).fill(0);
+
+    const positions = heights.map(height => {
+        const column = columnHeights.indexOf(Math.min(...columnHeights));
+        const position = { x: column * (columns.width + gap), y: columnHeights[column] };
+        columnHeights[column] += height + gap;
+        return position;
+    });
+
+    return { positions, height: Math.max(0, Math.max(...columnHeights) - gap) };
+}
+
+/**
+ * Tells the browser the width a card's image is shown at, so it picks the right file
+ * @param {HTMLElement} item - A .portfolio-item
+ * @param {number} width - The card's width
+ */
+function setImageSizes(item, width) {
+    const sizes = `${width}px`;
+    item.querySelectorAll('source, img').forEach(element => {
+        if (element.getAttribute('sizes') !== sizes) {
+            element.setAttribute('sizes', sizes);
+        }
+    });
+}
+
+/**
+ * Sizes and places the grid's visible cards
+ * @param {HTMLElement} grid - The .portfolio-grid, with data-layout="justified" or "masonry"
+ */
+function layoutGallery(grid) {
+    const items = Array.from(grid.querySelectorAll('.portfolio-item')).filter(item => !item.hidden);
+    const ratios = items.map(item => Number(item.dataset.width) / Number(item.dataset.height) || 1);
+    const width = grid.clientWidth;
+    const gap = parseFloat(getComputedStyle(grid).columnGap) || 0;
+
+    if (grid.dataset.layout === 'masonry') {
+        grid.classList.add('is-masonry');
+        const columns = masonryColumns(width, Number(grid.dataset.columnWidth), gap);
+
+        // Size every card first, then read their heights in one go
+        items.forEach((item, index) => {
+            item.style.width = `${columns.width}px`;
+            item.style.setProperty('--image-height', `${Math.round(columns.width / ratios[index])}px`);
+            setImageSizes(item, columns.width);
+        });
+        const { positions, height } = masonryLayout(items.map(item => item.offsetHeight), columns, gap);
+
+        items.forEach((item, index) => {
+            item.style.left = `${positions[index].x}px`;
+            item.style.top = `${positions[index].y}px`;
+        });
+        grid.style.height = `${height}px`;
+        return;
+    }
+
+    grid.classList.add('is-justified');
+    justifiedLayout(ratios, width, { rowHeight: Number(grid.dataset.rowHeight), gap }).forEach(row => {
+        row.items.forEach(({ index, width: itemWidth }) => {
+            items[index].style.width = `${itemWidth}px`;
+            items[index].style.setProperty('--image-height', `${row.height}px`);
+            setImageSizes(items[index], itemWidth);
+        });
+    });
+}
+
+/**
+ * Lays the grid out now, and again when it changes width or cards are shown or hidden
+ * @param {HTMLElement} grid - The .portfolio-grid
+ */
+function initGalleryLayout(grid) {
+    // Without these the CSS grid is the better layout
+    if (typeof ResizeObserver === 'undefined' || typeof MutationObserver === 'undefined') {
+        return;
+    }
+
+    let frame = null;
+    let lastWidth = grid.clientWidth;
+
+    // Batch changes into one layout per frame
+    function scheduleLayout() {
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                layoutGallery(grid);
+            });
+        }
+    }
+
+    new ResizeObserver(entries => {
+        const width = entries[entries.length - 1].contentRect.width;
+        if (width !== lastWidth) {
+            lastWidth = width;
+            scheduleLayout();
+        }
+    }).observe(grid);
+
+    // The filter bar hides cards, and cards can be added or removed
+    new MutationObserver(scheduleLayout).observe(grid, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['hidden']
+    });
+
+    // Masonry measures the cards' text, which moves once web fonts arrive
+    if (document.fonts && grid.dataset.layout === 'masonry') {
+        document.fonts.ready.then(scheduleLayout);
+    }
+
+    layoutGallery(grid);
+}
+
+document.querySelectorAll('.portfolio-grid[data-layout="justified"], .portfolio-grid[data-layout="masonry"]')
+    .forEach(initGalleryLayout);
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        roundWidths,
+        justifiedLayout,
+        masonryColumns,
+        masonryLayout,
+        layoutGallery,
+        initGalleryLayout
+    };
+}
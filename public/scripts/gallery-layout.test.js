@@ -0,0 +1,113 @@
+// Unit tests for the gallery layout engine
+// For any set of aspect ratios, justified rows should fill the width without cropping, and masonry columns should not overlap
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { roundWidths, justifiedLayout, masonryColumns, masonryLayout } from './gallery-layout.js';
+
+// 35mm landscape and portrait frames, 6×7 and square medium format, and a panorama
+const ratios = [3 / 2, 2 / 3, 7 / 6, 1, 3 / 2, 3];
+const arbitraryRatios = fc.array(fc.double({ min: 0.3, max: 4, noNaN: true }), { maxLength: 40 });
+const options = { rowHeight: 280, gap: 32 };
+
+describe('Gallery layout - justified rows', () => {
+  it('should split widths into whole pixels that add up exactly', () => {
+    expect(roundWidths([100.6, 100.6, 100.8], 302)).toEqual([101, 100, 101]);
+    fc.assert(
+      fc.property(fc.array(fc.double({ min: 1, max: 2000, noNaN: true }), { minLength: 1, maxLength: 10 }), widths => {
+        const total = Math.floor(widths.reduce((sum, width) => sum + width, 0));
+        expect(roundWidths(widths, total).reduce((sum, width) => sum + width, 0)).toBe(total);
+      })
+    );
+  });
+
+  it('should keep every photo once, in order', () => {
+    fc.assert(
+      fc.property(arbitraryRatios, fc.integer({ min: 300, max: 2000 }), (photoRatios, width) => {
+        const indexes = justifiedLayout(photoRatios, width, options).flatMap(row => row.items.map(item => item.index));
+        expect(indexes).toEqual(photoRatios.map((_, index) => index));
+      })
+    );
+  });
+
+  it('should fill the width with every row but the last, which never overflows', () => {
+    fc.assert(
+      fc.property(arbitraryRatios, fc.integer({ min: 560, max: 2000 }), (photoRatios, width) => {
+        const rows = justifiedLayout(photoRatios, width, options);
+        rows.forEach((row, position) => {
+          const used = row.items.reduce((sum, item) => sum + item.width, 0) + options.gap * (row.items.length - 1);
+          if (position < rows.length - 1) {
+            expect(used).toBe(width);
+          } else {
+            expect(used).toBeLessThanOrEqual(width);
+          }
+        });
+      })
+    );
+  });
+
+  it('should keep each photo’s aspect ratio to within a pixel or two', () => {
+    justifiedLayout(ratios, 1160, options).forEach(row => {
+      row.items.forEach(({ index, width }) => {
+        expect(Math.abs(width - ratios[index] * row.height)).toBeLessThan(2);
+      });
+    });
+  });
+
+  it('should aim rows at the target height', () => {
+    const rows = justifiedLayout(ratios, 1160, options);
+    expect(rows.map(row => row.items.map(item => item.index))).toEqual([[0, 1, 2, 3], [4, 5]]);
+    rows.slice(0, -1).forEach(row => {
+      expect(row.height).toBeGreaterThan(options.rowHeight * 0.6);
+      expect(row.height).toBeLessThan(options.rowHeight * 1.5);
+    });
+  });
+
+  it('should stretch a last row that is nearly full, and leave a sparse one at the target height', () => {
+    const [nearlyFull] = justifiedLayout([3 / 2, 3 / 2, 2 / 3], 1160, options);
+    expect(nearlyFull.height).toBe(299);
+    expect(nearlyFull.items.map(item => item.width)).toEqual([449, 448, 199]);
+    expect(justifiedLayout([3 / 2], 1160, options)).toEqual([{ height: 280, items: [{ index: 0, width: 420 }] }]);
+  });
+
+  it('should give narrow screens one whole photo per row', () => {
+    expect(justifiedLayout([3 / 2, 2 / 3], 360, options)).toEqual([
+      { height: 240, items: [{ index: 0, width: 360 }] },
+      { height: 540, items: [{ index: 1, width: 360 }] },
+    ]);
+  });
+});
+
+describe('Gallery layout - masonry', () => {
+  it('should fit as many columns as the minimum width allows', () => {
+    expect(masonryColumns(1160, 320, 32)).toEqual({ count: 3, width: 365 });
+    expect(masonryColumns(300, 320, 32)).toEqual({ count: 1, width: 300 });
+  });
+
+  it('should add each item to the shortest column', () => {
+    const { positions, height } = masonryLayout([400, 200, 300, 100], { count: 2, width: 300 }, 20);
+    expect(positions).toEqual([
+      { x: 0, y: 0 },
+      { x: 320, y: 0 },
+      { x: 320, y: 220 },
+      { x: 0, y: 420 },
+    ]);
+    expect(height).toBe(520);
+  });
+
+  it('should never overlap items in a column', () => {
+    fc.assert(
+      fc.property(fc.array(fc.integer({ min: 50, max: 800 }), { maxLength: 30 }), fc.integer({ min: 1, max: 5 }), (heights, count) => {
+        const gap = 16;
+        const { positions, height } = masonryLayout(heights, { count, width: 200 }, gap);
+        const columns = new Map();
+        positions.forEach((position, index) => {
+          const previous = columns.get(position.x) ?? -gap;
+          expect(position.y).toBe(previous + gap);
+          columns.set(position.x, position.y + heights[index]);
+        });
+        expect(height).toBe(Math.max(0, ...columns.values()));
+      })
+    );
+  });
+});
@@ -2,7 +2,7 @@
 // For any interactive element (links, buttons, form inputs), it should be focusable and operable using only keyboard navigation
 // Validates: Requirements 7.3
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import * as fc from 'fast-check';
 import { JSDOM } from 'jsdom';
 import { readFileSync } from 'fs';
@@ -417,3 +417,134 @@ describe('Property 10: Keyboard accessibility', () => {
     );
   });
 });
+
+// Feature: personal-website, Property 10: Keyboard accessibility (portfolio dialog)
+// For any open dialog, Tab and Shift+Tab should stay inside it, the rest of the page should be inert,
+// and closing should return focus to the element that opened it
+// Validates: Requirements 7.3
+
+describe('Property 10: Keyboard accessibility - dialog focus management', () => {
+  let createDialogController;
+  let dialog;
+  let controller;
+  let invoker;
+
+  const pressTab = (shiftKey = false) => {
+    const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(async () => {
+    ({ createDialogController } = await import('./dialog.js'));
+
+    document.body.innerHTML = `
+      <header><a href="#home" class="nav-link">Home</a></header>
+      <main>
+        <article class="portfolio-item" tabindex="0" role="button">Urban Moments</article>
+      </main>
+      <footer><a href="#">GitHub</a></footer>
+      <div id="portfolio-modal" class="modal" role="dialog" aria-modal="true">
+        <div class="modal-content">
+          <button class="modal-close" aria-label="Close modal">&times;</button>
+          <button class="modal-nav modal-prev" aria-label="Previous frame">&lsaquo;</button>
+          <button class="modal-nav modal-next" aria-label="Next frame" hidden>&rsaquo;</button>
+          <a href="/series/urban-moments" class="modal-series-link">Open full series</a>
+        </div>
+      </div>
+    `;
+
+    dialog = document.getElementById('portfolio-modal');
+    invoker = document.querySelector('.portfolio-item');
+    controller = createDialogController(dialog);
+
+    invoker.focus();
+    controller.open(invoker);
+  });
+
+  afterEach(() => {
+    controller.close();
+  });
+
+  it('should move focus to the first focusable element when opened', () => {
+    expect(controller.isOpen()).toBe(true);
+    expect(document.activeElement).toBe(document.querySelector('.modal-close'));
+  });
+
+  it('should wrap Tab from the last focusable element back to the first', () => {
+    document.querySelector('.modal-series-link').focus();
+
+    const event = pressTab();
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(document.querySelector('.modal-close'));
+  });
+
+  it('should wrap Shift+Tab from the first focusable element to the last', () => {
+    const event = pressTab(true);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(document.querySelector('.modal-series-link'));
+  });
+
+  it('should leave Tab alone between elements inside the dialog', () => {
+    const event = pressTab();
+
+    expect(event.defaultPrevented).toBe(false);
+  });
+
+  it('should skip hidden controls when trapping focus', () => {
+    document.querySelector('.modal-prev').hidden = true;
+    document.querySelector('.modal-series-link').focus();
+
+    pressTab();
+    expect(document.activeElement).toBe(document.querySelector('.modal-close'));
+
+    pressTab(true);
+    expect(document.activeElement).toBe(document.querySelector('.modal-series-link'));
+  });
+
+  it('should pull focus back into the dialog if it escaped', () => {
+    document.querySelector('footer a').focus();
+
+    pressTab();
+
+    expect(dialog.contains(document.activeElement)).toBe(true);
+  });
+
+  it('should mark everything outside the dialog inert while open', () => {
+    ['header', 'main', 'footer'].forEach(selector => {
+      expect(document.querySelector(selector).hasAttribute('inert'), `${selector} should be inert`).toBe(true);
+    });
+    expect(dialog.hasAttribute('inert')).toBe(false);
+  });
+
+  it('should restore the page and return focus to the invoking element on close', () => {
+    controller.close();
+
+    expect(controller.isOpen()).toBe(false);
+    expect(document.activeElement).toBe(invoker);
+    ['header', 'main', 'footer'].forEach(selector => {
+      expect(document.querySelector(selector).hasAttribute('inert'), `${selector} should not be inert`).toBe(false);
+    });
+  });
+
+  it('should not trap Tab once the dialog is closed', () => {
+    controller.close();
+    document.querySelector('footer a').focus();
+
+    const event = pressTab();
+
+    expect(event.defaultPrevented).toBe(false);
+  });
+
+  it('should keep elements that were already inert inert after closing', () => {
+    controller.close();
+    document.querySelector('footer').setAttribute('inert', '');
+
+    controller.open(invoker);
+    controller.close();
+
+    expect(document.querySelector('footer').hasAttribute('inert')).toBe(true);
+  });
+});
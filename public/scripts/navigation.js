@@ -54,6 +54,15 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
 
+    // Switching language keeps the section or open lightbox frame in view
+    document.querySelectorAll('.language-link').forEach(link => {
+        link.addEventListener('click', function() {
+            if (window.location.hash) {
+                this.href = this.href.split('#')[0] + window.location.hash;
+            }
+        });
+    });
+
     // Highlight active navigation item based on scroll position
     function highlightActiveSection() {
         const scrollPosition = window.scrollY;
@@ -0,0 +1,50 @@
+// Blur-up placeholders: fade images in over their placeholder once decoded
+
+/**
+ * Reveals an image once it has loaded and decoded, so it cross-fades over the
+ * placeholder painted behind it instead of drawing in line by line
+ * @param {HTMLImageElement} image - An image inside an .image-placeholder
+ */
+function revealWhenDecoded(image) {
+    const reveal = () => image.classList.add('is-loaded');
+
+    // Already in the cache (or loaded before this script ran)
+    if (image.complete && image.naturalWidth > 0) {
+        reveal();
+        return;
+    }
+
+    image.addEventListener('load', function() {
+        if (typeof image.decode === 'function') {
+            image.decode().then(reveal, reveal);
+        } else {
+            reveal();
+        }
+    }, { once: true });
+
+    // Show the alt text rather than leaving a blurred box forever
+    image.addEventListener('error', reveal, { once: true });
+}
+
+/**
+ * Swaps the placeholder behind an image and hides the image until the new source decodes
+ * @param {HTMLElement} wrapper - The .image-placeholder element
+ * @param {HTMLImageElement} image - The image inside it
+ * @param {{dataUri: string, color: string}} placeholder - Placeholder built by src/lib/placeholders.ts
+ */
+function resetPlaceholder(wrapper, image, placeholder) {
+    wrapper.style.backgroundColor = placeholder.color;
+    wrapper.style.backgroundImage = `url(${placeholder.dataUri})`;
+    image.classList.remove('is-loaded');
+}
+
+// Initialize every placeholder image rendered into the page
+document.querySelectorAll('.image-placeholder img').forEach(revealWhenDecoded);
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        revealWhenDecoded,
+        resetPlaceholder
+    };
+}
@@ -0,0 +1,74 @@
+// Unit tests for blur-up image placeholders
+// For any placeholder image, it should stay hidden until it has loaded and then be revealed
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { revealWhenDecoded, resetPlaceholder } from './placeholders.js';
+
+describe('Blur-up placeholders - revealWhenDecoded', () => {
+  let image;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="image-placeholder"><img src="" alt="Frame"></div>
+    `;
+    image = document.querySelector('img');
+  });
+
+  it('should reveal an image that has already loaded', () => {
+    Object.defineProperty(image, 'complete', { value: true });
+    Object.defineProperty(image, 'naturalWidth', { value: 1200 });
+
+    revealWhenDecoded(image);
+
+    expect(image.classList.contains('is-loaded')).toBe(true);
+  });
+
+  it('should wait for the load event before revealing', async () => {
+    Object.defineProperty(image, 'complete', { value: false });
+    image.decode = () => Promise.resolve();
+
+    revealWhenDecoded(image);
+    expect(image.classList.contains('is-loaded')).toBe(false);
+
+    image.dispatchEvent(new Event('load'));
+    await Promise.resolve();
+
+    expect(image.classList.contains('is-loaded')).toBe(true);
+  });
+
+  it('should reveal even if decoding fails', async () => {
+    Object.defineProperty(image, 'complete', { value: false });
+    image.decode = () => Promise.reject(new Error('EncodingError'));
+
+    revealWhenDecoded(image);
+    image.dispatchEvent(new Event('load'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(image.classList.contains('is-loaded')).toBe(true);
+  });
+
+  it('should reveal a broken image so its alt text shows', () => {
+    Object.defineProperty(image, 'complete', { value: false });
+
+    revealWhenDecoded(image);
+    image.dispatchEvent(new Event('error'));
+
+    expect(image.classList.contains('is-loaded')).toBe(true);
+  });
+});
+
+describe('Blur-up placeholders - resetPlaceholder', () => {
+  it('should paint the new placeholder and hide the image until it reloads', () => {
+    document.body.innerHTML = `
+      <div class="image-placeholder"><img class="is-loaded" src="" alt="Frame"></div>
+    `;
+    const wrapper = document.querySelector('.image-placeholder');
+    const image = document.querySelector('img');
+
+    resetPlaceholder(wrapper, image, { color: '#282828', dataUri: 'data:image/webp;base64,AAAA' });
+
+    expect(wrapper.style.backgroundColor).toBe('rgb(40, 40, 40)');
+    expect(wrapper.style.backgroundImage).toContain('data:image/webp;base64,AAAA');
+    expect(image.classList.contains('is-loaded')).toBe(false);
+  });
+});
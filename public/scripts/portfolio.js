@@ -1,78 +1,264 @@
 // Portfolio interaction functionality
 
-// Portfolio data with detailed information
-const portfolioData = {
-    'Project One': {
-        image: 'images/project1.jpg',
-        imageAlt: 'Screenshot of Project 1',
-        title: 'Project One',
-        description: 'A responsive web application built with modern technologies.',
-        detailedDescription: 'This project showcases a fully responsive web application that adapts seamlessly to different screen sizes. Built using HTML5, CSS3, and JavaScript, it features smooth animations, intuitive navigation, and optimized performance. The application demonstrates best practices in web development including semantic HTML, accessibility features, and clean code architecture.'
-    },
-    'Project Two': {
-        image: 'images/project2.jpg',
-        imageAlt: 'Screenshot of Project 2',
-        title: 'Project Two',
-        description: 'An interactive website featuring smooth animations and user-friendly design.',
-        detailedDescription: 'An engaging interactive website that combines beautiful design with functional user experience. Features include scroll-triggered animations, dynamic content loading, and responsive layouts. The project emphasizes user engagement through thoughtful interactions and visual feedback, creating an immersive browsing experience.'
-    },
-    'Project Three': {
-        image: 'images/project3.jpg',
-        imageAlt: 'Screenshot of Project 3',
-        title: 'Project Three',
-        description: 'A portfolio website showcasing creative work and design skills.',
-        detailedDescription: 'A comprehensive portfolio website designed to showcase creative work and professional achievements. The site features a clean, modern design with emphasis on visual presentation. Includes project galleries, detailed case studies, and contact integration. Built with performance and accessibility in mind, ensuring fast load times and compatibility across all devices.'
-    }
-};
+// Series data rendered at build time from the `series` content collection,
+// keyed by series slug (see src/lib/series.ts)
+const portfolioDataElement = document.getElementById('portfolio-data');
+const portfolioData = portfolioDataElement ? JSON.parse(portfolioDataElement.textContent) : {};
 
 // Get modal elements
 const modal = document.getElementById('portfolio-modal');
 const modalImage = document.getElementById('modal-image');
+const modalSources = Array.from(document.querySelectorAll('#modal-picture source'));
+const modalFigure = document.getElementById('modal-figure');
 const modalTitle = document.getElementById('modal-title');
 const modalDescription = document.getElementById('modal-description');
 const modalDetails = document.getElementById('modal-details');
+const modalSeriesLink = document.getElementById('modal-series-link');
+const modalInquireLink = document.getElementById('modal-inquire-link');
+const modalCaption = document.getElementById('modal-caption');
+const modalCounter = document.getElementById('modal-counter');
+const modalPrev = document.querySelector('.modal-prev');
+const modalNext = document.querySelector('.modal-next');
 const modalClose = document.querySelector('.modal-close');
 
+// Focus trap, inert background and focus restoration (see dialog.js)
+const dialog = createDialogController(modal);
+
+// Series and frame currently shown in the lightbox
+let currentSlug = null;
+let currentSeries = null;
+let currentFrame = 0;
+
+// Number of history entries the lightbox has pushed on top of the page's own
+// entry, so closing it can step back past all of them
+let historyDepth = 0;
+
 // Get all portfolio items
 const portfolioItems = document.querySelectorAll('.portfolio-item');
 
+/**
+ * Renders a frame's film record as a definition list spec sheet
+ * @param {HTMLElement} container - The element to render into
+ * @param {Array<{label: string, value: string}>} specs - Rows built by src/lib/film-metadata.ts
+ */
+function renderSpecSheet(container, specs) {
+    container.textContent = '';
+    
+    const list = document.createElement('dl');
+    list.className = 'spec-sheet';
+    
+    specs.forEach(spec => {
+        const term = document.createElement('dt');
+        term.textContent = spec.label;
+        const detail = document.createElement('dd');
+        detail.textContent = spec.value;
+        list.append(term, detail);
+    });
+    
+    container.appendChild(list);
+}
+
+/**
+ * Wraps a frame index so stepping past either end of a series loops around
+ * @param {number} index - The requested frame index (may be out of range)
+ * @param {number} length - The number of frames in the series
+ * @returns {number} - An index between 0 and length - 1
+ */
+function wrapIndex(index, length) {
+    return ((index % length) + length) % length;
+}
+
+/**
+ * Formats the frame counter shown in the lightbox
+ * @param {number} index - The zero-based frame index
+ * @param {number} length - The number of frames in the series
+ * @returns {string} - e.g. "12 / 36"
+ */
+function formatFrameCounter(index, length) {
+    return `${index + 1} / ${length}`;
+}
+
+/**
+ * Points an image and its <picture> sources at a frame's generated image set
+ * @param {HTMLImageElement} image - The fallback <img>
+ * @param {HTMLSourceElement[]} sources - The <source> elements, one per modern format
+ * @param {Object} responsive - Image data built by src/lib/images.ts
+ */
+function applyResponsiveImage(image, sources, responsive) {
+    // Sources first, so the browser doesn't start fetching the fallback
+    sources.forEach(source => {
+        const match = responsive.sources.find(candidate => candidate.type === source.type);
+        source.srcset = match ? match.srcset : '';
+        source.sizes = responsive.sizes;
+    });
+    
+    image.width = responsive.width;
+    image.height = responsive.height;
+    image.sizes = responsive.sizes;
+    image.srcset = responsive.srcset;
+    image.src = responsive.src;
+}
+
+/**
+ * Preloads the frames either side of the current one so stepping is instant.
+ * A detached <picture> picks the same format and width the modal will.
+ * @param {Array<{image: Object}>} photos - The frames of the series
+ * @param {number} index - The current frame index
+ */
+function preloadNeighbours(photos, index) {
+    if (photos.length < 2) {
+        return;
+    }
+    
+    [index - 1, index + 1].forEach(neighbour => {
+        const responsive = photos[wrapIndex(neighbour, photos.length)].image;
+        const picture = document.createElement('picture');
+        const sources = responsive.sources.map(({ type }) => {
+            const source = document.createElement('source');
+            source.type = type;
+            picture.appendChild(source);
+            return source;
+        });
+        const image = document.createElement('img');
+        picture.appendChild(image);
+        applyResponsiveImage(image, sources, responsive);
+    });
+}
+
+/**
+ * Shows a frame of the current series in the lightbox
+ * @param {number} index - The frame index, wrapped around the series length
+ */
+function showFrame(index) {
+    const photos = currentSeries.photos;
+    currentFrame = wrapIndex(index, photos.length);
+    
+    const photo = photos[currentFrame];
+    // Show the frame's blurred placeholder until the full image decodes (see placeholders.js)
+    resetPlaceholder(modalFigure, modalImage, photo.placeholder);
+    applyResponsiveImage(modalImage, modalSources, photo.image);
+    modalImage.alt = photo.alt;
+    revealWhenDecoded(modalImage);
+    modalCaption.textContent = photo.caption || '';
+    modalCaption.hidden = !photo.caption;
+    modalCounter.textContent = formatFrameCounter(currentFrame, photos.length);
+    renderSpecSheet(modalDetails, photo.specs);
+    modalInquireLink.href = photo.inquiryUrl;
+    
+    preloadNeighbours(photos, currentFrame);
+}
+
+/**
+ * Parses a lightbox deep link such as "#/series/urban-moments/7"
+ * @param {string} hash - The URL hash, including the leading "#"
+ * @returns {{slug: string, frame: number}|null} - Series slug and zero-based frame, or null if the hash is not a lightbox link
+ */
+function parseLightboxHash(hash) {
+    const match = /^#\/series\/([a-z0-9]+(?:-[a-z0-9]+)*)(?:\/(\d+))?\/?$/.exec(hash);
+    if (!match) {
+        return null;
+    }
+    
+    const frameNumber = match[2] ? parseInt(match[2], 10) : 1;
+    return {
+        slug: match[1],
+        frame: Math.max(frameNumber, 1) - 1
+    };
+}
+
+/**
+ * Builds the deep link for a frame of a series
+ * @param {string} slug - The series slug
+ * @param {number} frame - The zero-based frame index
+ * @returns {string} - e.g. "#/series/urban-moments/7"
+ */
+function buildLightboxHash(slug, frame) {
+    return `#/series/${slug}/${frame + 1}`;
+}
+
+/**
+ * Records the frame currently shown in the lightbox as a new history entry
+ */
+function pushLightboxState() {
+    historyDepth += 1;
+    history.pushState({ lightboxDepth: historyDepth }, '', buildLightboxHash(currentSlug, currentFrame));
+}
+
+// Step to the previous or next frame, wrapping around the series
+function showPreviousFrame() {
+    showFrame(currentFrame - 1);
+    pushLightboxState();
+}
+
+function showNextFrame() {
+    showFrame(currentFrame + 1);
+    pushLightboxState();
+}
+
+/**
+ * Opens the lightbox on a frame of a series without touching history
+ * @param {string} seriesSlug - The series slug
+ * @param {number} frame - The zero-based frame index to show first
+ * @param {HTMLElement} [invoker] - Element to return focus to on close; defaults to the series' card
+ * @returns {boolean} - False if there is no series with that slug
+ */
+function openSeries(seriesSlug, frame, invoker) {
+    // Get series data
+    const seriesData = portfolioData[seriesSlug];
+    
+    if (!seriesData) {
+        return false;
+    }
+    
+    // Populate modal with the series and the requested frame
+    currentSlug = seriesSlug;
+    currentSeries = seriesData;
+    modalTitle.textContent = seriesData.title;
+    modalDescription.textContent = seriesData.longDescription;
+    modalSeriesLink.href = seriesData.url;
+    
+    // Hide frame navigation for single-frame series
+    const hasMultipleFrames = seriesData.photos.length > 1;
+    modalPrev.hidden = !hasMultipleFrames;
+    modalNext.hidden = !hasMultipleFrames;
+    
+    // Frames past the end of the series fall back to the first one
+    showFrame(frame < seriesData.photos.length ? frame : 0);
+    
+    // Show modal, moving focus to the close button. Deep links and history
+    // navigation have no invoking element, so focus returns to the card.
+    dialog.open(invoker || document.querySelector(`.portfolio-item[data-series="${seriesSlug}"]`));
+    
+    return true;
+}
+
 // Function to open portfolio modal
 function openPortfolioModal(item) {
-    // Get the project title from the item
-    const projectTitle = item.querySelector('.portfolio-title').textContent;
-    
-    // Get project data
-    const projectData = portfolioData[projectTitle];
-    
-    if (projectData) {
-        // Populate modal with project data
-        modalImage.src = projectData.image;
-        modalImage.alt = projectData.imageAlt;
-        modalTitle.textContent = projectData.title;
-        modalDescription.textContent = projectData.description;
-        modalDetails.textContent = projectData.detailedDescription;
-        
-        // Show modal
-        modal.classList.add('active');
-        
-        // Prevent body scroll when modal is open
-        document.body.style.overflow = 'hidden';
-        
-        // Focus on close button for keyboard accessibility
-        modalClose.focus();
+    // Get the series slug from the item and open its first frame
+    if (openSeries(item.dataset.series, 0, item)) {
+        pushLightboxState();
     }
 }
 
 // Add click event listeners to portfolio items
 portfolioItems.forEach(item => {
     item.addEventListener('click', function(e) {
-        // Prevent default link behavior
+        // Let the "View Series" link navigate to the series page
+        if (e.target.closest('.portfolio-link')) {
+            return;
+        }
+        
         e.preventDefault();
         openPortfolioModal(this);
     });
     
     // Add keyboard event listener for Enter and Space keys
     item.addEventListener('keydown', function(e) {
+        // Ignore keys pressed on the link inside the card
+        if (e.target !== this) {
+            return;
+        }
+        
         if (e.key === 'Enter' || e.key === ' ') {
             e.preventDefault();
             openPortfolioModal(this);
@@ -80,31 +266,110 @@ portfolioItems.forEach(item => {
     });
 });
 
+// Contact sheet frames open the lightbox on their own frame of the series
+document.querySelectorAll('.contact-frame[data-series]').forEach(link => {
+    link.addEventListener('click', function(e) {
+        if (openSeries(this.dataset.series, Number(this.dataset.frame), this)) {
+            e.preventDefault();
+            pushLightboxState();
+        }
+    });
+});
+
 // Close modal when close button is clicked
-modalClose.addEventListener('click', closeModal);
+modalClose.addEventListener('click', dismissModal);
 
 // Close modal when clicking outside the modal content
 modal.addEventListener('click', function(e) {
     if (e.target === modal) {
-        closeModal();
+        dismissModal();
     }
 });
 
-// Close modal with Escape key
+// Step through the series with the on-screen buttons
+modalPrev.addEventListener('click', showPreviousFrame);
+modalNext.addEventListener('click', showNextFrame);
+
+// Close modal with Escape key, step through frames with the arrow keys
 document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape' && modal.classList.contains('active')) {
-        closeModal();
+    if (!dialog.isOpen()) {
+        return;
+    }
+    
+    if (e.key === 'Escape') {
+        dismissModal();
+    } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        showPreviousFrame();
+    } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        showNextFrame();
     }
 });
 
+/**
+ * Shows whatever the current URL hash points at: a lightbox frame, or nothing
+ */
+function syncModalWithUrl() {
+    const route = parseLightboxHash(window.location.hash);
+    
+    if (!route || !portfolioData[route.slug]) {
+        if (dialog.isOpen()) {
+            closeModal();
+        }
+        return;
+    }
+    
+    if (dialog.isOpen() && route.slug === currentSlug) {
+        showFrame(route.frame);
+    } else {
+        openSeries(route.slug, route.frame);
+    }
+}
+
+// Back/forward move between frames and past the first one close the lightbox
+window.addEventListener('popstate', function(e) {
+    historyDepth = (e.state && e.state.lightboxDepth) || 0;
+    syncModalWithUrl();
+});
+
+// Closes the lightbox by stepping back to the page's own history entry, so the
+// popstate listener above does the actual closing
+function dismissModal() {
+    if (historyDepth > 0) {
+        history.go(-historyDepth);
+    } else {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        closeModal();
+    }
+}
+
 // Function to close modal
 function closeModal() {
-    modal.classList.remove('active');
-    document.body.style.overflow = '';
+    currentSlug = null;
+    currentSeries = null;
     
-    // Return focus to the last focused portfolio item
-    const focusedItem = document.querySelector('.portfolio-item:focus');
-    if (focusedItem) {
-        focusedItem.focus();
+    // Hide the modal and return focus to the element that opened it
+    dialog.close();
+}
+
+// Restore a deep link on load. The page's own entry is rewritten without the
+// hash and the frame pushed on top, so closing returns to the plain page.
+const initialRoute = parseLightboxHash(window.location.hash);
+if (initialRoute && portfolioData[initialRoute.slug]) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (openSeries(initialRoute.slug, initialRoute.frame)) {
+        pushLightboxState();
     }
 }
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        wrapIndex,
+        formatFrameCounter,
+        preloadNeighbours,
+        parseLightboxHash,
+        buildLightboxHash
+    };
+}
@@ -2,7 +2,7 @@
 // For any portfolio item displayed on the page, it should contain a title, description, and image element
 // Validates: Requirements 4.2
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, beforeAll } from 'vitest';
 import * as fc from 'fast-check';
 import { JSDOM } from 'jsdom';
 import { readFileSync } from 'fs';
@@ -361,3 +361,124 @@ describe('Property 5: Portfolio item interaction', () => {
     );
   });
 });
+
+// Feature: personal-website, Lightbox frame navigation
+// For any series, stepping through the lightbox should wrap around and always show a valid frame
+// Validates: frame counter and wrap-around in the portfolio lightbox
+
+/**
+ * Loads portfolio.js against a minimal modal. The script wires up the modal as
+ * soon as it loads, so the markup and the dialog.js and placeholders.js
+ * globals it uses must exist before the first import.
+ */
+async function loadPortfolioScript() {
+  if (!globalThis.document.getElementById('portfolio-modal')) {
+    globalThis.document.body.innerHTML = `
+      <div id="portfolio-modal" class="modal">
+        <div class="modal-content">
+          <button class="modal-close"></button>
+          <div id="modal-figure">
+            <picture id="modal-picture">
+              <source type="image/avif">
+              <source type="image/webp">
+              <img id="modal-image">
+            </picture>
+          </div>
+          <button class="modal-prev"></button>
+          <button class="modal-next"></button>
+          <p id="modal-counter"></p>
+          <h2 id="modal-title"></h2>
+          <p id="modal-caption"></p>
+          <p id="modal-description"></p>
+          <div id="modal-details"></div>
+          <a id="modal-series-link"></a>
+          <a id="modal-inquire-link"></a>
+        </div>
+      </div>
+    `;
+  }
+  const { createDialogController } = await import('./dialog.js');
+  const { revealWhenDecoded, resetPlaceholder } = await import('./placeholders.js');
+  Object.assign(globalThis, { createDialogController, revealWhenDecoded, resetPlaceholder });
+  return import('./portfolio.js');
+}
+
+describe('Lightbox frame navigation', () => {
+  let portfolio;
+
+  beforeAll(async () => {
+    portfolio = await loadPortfolioScript();
+  });
+
+  it('should wrap indexes past either end of the series', () => {
+    expect(portfolio.wrapIndex(36, 36)).toBe(0);
+    expect(portfolio.wrapIndex(-1, 36)).toBe(35);
+    expect(portfolio.wrapIndex(11, 36)).toBe(11);
+  });
+
+  it('should keep any stepped index within the series', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: -1000, max: 1000 }),
+        fc.integer({ min: 1, max: 100 }),
+        (index, length) => {
+          const wrapped = portfolio.wrapIndex(index, length);
+          expect(wrapped).toBeGreaterThanOrEqual(0);
+          expect(wrapped).toBeLessThan(length);
+          expect(Math.abs((wrapped - index) % length)).toBe(0);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should format the frame counter as a one-based position', () => {
+    expect(portfolio.formatFrameCounter(11, 36)).toBe('12 / 36');
+    expect(portfolio.formatFrameCounter(0, 1)).toBe('1 / 1');
+  });
+});
+
+// Feature: personal-website, Lightbox deep links
+// For any series and frame, the URL hash written by the lightbox should parse back to the same frame
+// Validates: deep-linkable lightbox state via URL hash
+
+describe('Lightbox deep links', () => {
+  let portfolio;
+
+  beforeAll(async () => {
+    portfolio = await loadPortfolioScript();
+  });
+
+  it('should build one-based frame links', () => {
+    expect(portfolio.buildLightboxHash('urban-moments', 6)).toBe('#/series/urban-moments/7');
+  });
+
+  it('should parse frame links into a slug and zero-based frame', () => {
+    expect(portfolio.parseLightboxHash('#/series/urban-moments/7')).toEqual({ slug: 'urban-moments', frame: 6 });
+  });
+
+  it('should default to the first frame when the link names only a series', () => {
+    expect(portfolio.parseLightboxHash('#/series/landscapes')).toEqual({ slug: 'landscapes', frame: 0 });
+    expect(portfolio.parseLightboxHash('#/series/landscapes/0')).toEqual({ slug: 'landscapes', frame: 0 });
+  });
+
+  it('should ignore ordinary section anchors', () => {
+    expect(portfolio.parseLightboxHash('#portfolio')).toBeNull();
+    expect(portfolio.parseLightboxHash('')).toBeNull();
+    expect(portfolio.parseLightboxHash('#/series/Not A Slug/2')).toBeNull();
+  });
+
+  it('should round-trip any series frame through the URL hash', () => {
+    fc.assert(
+      fc.property(
+        fc.stringMatching(/^[a-z0-9]+(-[a-z0-9]+)*$/),
+        fc.integer({ min: 0, max: 999 }),
+        (slug, frame) => {
+          const hash = portfolio.buildLightboxHash(slug, frame);
+          expect(portfolio.parseLightboxHash(hash)).toEqual({ slug, frame });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
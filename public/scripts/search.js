@@ -0,0 +1,548 @@
+// Site search: an overlay that searches the build-time index in the browser
+// (see src/lib/search-index.ts)
+
+// Fields searched, best first; a match in a title outranks one in a caption
+const SEARCH_FIELDS = [
+    { name: 'title', weight: 8 },
+    { name: 'location', weight: 4 },
+    { name: 'equipment', weight: 4 },
+    { name: 'context', weight: 2 },
+    { name: 'text', weight: 1 }
+];
+
+// Results listed at most
+const SEARCH_LIMIT = 20;
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 120;
+
+// Messages rendered by the layout in the page's language
+const searchMessagesElement = document.getElementById('search-messages');
+const searchMessages = searchMessagesElement
+    ? JSON.parse(searchMessagesElement.textContent)
+    : {
+        loading: 'Loading…',
+        error: 'Search is unavailable right now. Please try again later.',
+        none: 'No results for “{query}”',
+        count: { one: '{count} result', other: '{count} results' },
+        kind: { series: 'Series', photo: 'Photo' }
+    };
+
+/**
+ * Lowercases text and strips accents, keeping track of where each character
+ * came from so matches can be highlighted in the original
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, map: number[]}} - The normalized text, and the original index of each of its characters
+ */
+function normalizeWithMap(text) {
+    let normalized = '';
+    const map = [];
+
+    for (let index = 0; index < text.length; index++) {
+        const folded = text[index].toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        normalized += folded;
+        for (let i = 0; i < folded.length; i++) {
+            map.push(index);
+        }
+    }
+
+    return { text: normalized, map };
+}
+
+/**
+ * Lowercases text and strips accents, so "kyōto" matches "Kyoto"
+ * @param {string} text - Text to normalize
+ * @returns {string} - The normalized text
+ */
+function normalizeText(text) {
+    return normalizeWithMap(text).text;
+}
+
+/**
+ * Splits a query into normalized search terms
+ * @param {string} query - What the visitor typed
+ * @returns {string[]} - Distinct terms, in order
+ */
+function tokenize(query) {
+    const terms = normalizeText(query).split(/[\s\p{P}]+/u).filter(Boolean);
+    return [...new Set(terms)];
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions and swaps of
+ * neighbouring characters) that turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Give up once the distance is known to exceed this
+ * @returns {number} - The distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previous[j - 2] + 1);
+            }
+            next.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = row;
+        row = next;
+    }
+
+    return Math.min(row[b.length], max + 1);
+}
+
+/**
+ * Typos allowed in a term: none in short ones, where they match too much
+ * @param {string} term - A search term
+ * @returns {number} - Edits allowed
+ */
+function allowedTypos(term) {
+    if (term.length < 4) {
+        return 0;
+    }
+    return term.length < 7 ? 1 : 2;
+}
+
+/**
+ * Finds a term in normalized text: as a substring, or failing that as a word
+ * (or the start of one) within a few typos
+ * @param {string} term - A normalized search term
+ * @param {string} text - Normalized text to search
+ * @returns {{quality: number, ranges: Array<[number, number]>} | null} - How good the match is (3 at the start of a word, 2 inside one, 1 with typos) and where it is, or null
+ */
+function matchTerm(term, text) {
+    const ranges = [];
+    let quality = 0;
+    let index = text.indexOf(term);
+
+    while (index !== -1) {
+        ranges.push([index, index + term.length]);
+        const wordStart = index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+        quality = Math.max(quality, wordStart ? 3 : 2);
+        index = text.indexOf(term, index + term.length);
+    }
+    if (ranges.length > 0) {
+        return { quality, ranges };
+    }
+
+    const max = allowedTypos(term);
+    if (max === 0) {
+        return null;
+    }
+
+    const words = /[\p{L}\p{N}]+/gu;
+    let word;
+    while ((word = words.exec(text)) !== null) {
+        const [value] = word;
+        // Compare with the start of longer words too, so a half-typed word still matches
+        const distance = Math.min(
+            editDistance(term, value, max),
+            value.length > term.length ? editDistance(term, value.slice(0, term.length), max) : max + 1
+        );
+        if (distance <= max) {
+            ranges.push([word.index, word.index + value.length]);
+        }
+    }
+
+    return ranges.length > 0 ? { quality: 1, ranges } : null;
+}
+
+/**
+ * Sorts ranges and joins the ones that overlap or touch
+ * @param {Array<[number, number]>} ranges - Start and end offsets
+ * @returns {Array<[number, number]>} - Ranges in order, without overlaps
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    sorted.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Normalizes every document's fields once, ready for searching
+ * @param {{docs: Object[]}} index - The index from /<lang>/search.json
+ * @returns {Object[]} - Each document with its normalized fields
+ */
+function prepareIndex(index) {
+    return index.docs.map(doc => ({
+        doc,
+        fields: Object.fromEntries(SEARCH_FIELDS.map(({ name }) => [name, normalizeWithMap(doc[name] || '')]))
+    }));
+}
+
+/**
+ * Finds the documents that match every term of a query, best first
+ * @param {Object[]} entries - Documents from prepareIndex()
+ * @param {string} query - What the visitor typed
+ * @param {number} [limit=SEARCH_LIMIT] - Results to return at most
+ * @returns {Array<{doc: Object, score: number, ranges: Object<string, Array<[number, number]>>}>} - Matches, with highlight ranges in the original text of each field
+ */
+function searchDocs(entries, query, limit = SEARCH_LIMIT) {
+    const terms = tokenize(query);
+    if (terms.length === 0) {
+        return [];
+    }
+
+    const results = [];
+    entries.forEach(({ doc, fields }) => {
+        const ranges = {};
+        let score = 0;
+
+        const matchedAll = terms.every(term => {
+            let best = 0;
+            SEARCH_FIELDS.forEach(({ name, weight }) => {
+                const field = fields[name];
+                const match = matchTerm(term, field.text);
+                if (!match) {
+                    return;
+                }
+                best = Math.max(best, match.quality * weight);
+                // Map back to the original text; a range ends after the character its last one came from
+                (ranges[name] = ranges[name] || []).push(...match.ranges.map(([start, end]) =>
+                    [field.map[start], field.map[end - 1] + 1]
+                ));
+            });
+            score += best;
+            return best > 0;
+        });
+
+        if (matchedAll) {
+            Object.keys(ranges).forEach(name => {
+                ranges[name] = mergeRanges(ranges[name]);
+            });
+            results.push({ doc, score, ranges });
+        }
+    });
+
+    // Array#sort is stable, so equal scores keep the gallery's order
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Cuts a window of text around its first highlight
+ * @param {string} text - The field's text
+ * @param {Array<[number, number]>} ranges - Highlights in the text, in order
+ * @param {number} [length=SNIPPET_LENGTH] - Characters to keep
+ * @returns {{text: string, ranges: Array<[number, number]>}} - The snippet, with "…" where it was cut, and the highlights inside it
+ */
+function buildSnippet(text, ranges, length = SNIPPET_LENGTH) {
+    if (text.length <= length) {
+        return { text, ranges };
+    }
+
+    const first = ranges.length > 0 ? ranges[0][0] : 0;
+    // Start a little before the match, at a word boundary when there is one nearby
+    let start = Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+    const space = text.lastIndexOf(' ', first);
+    if (start > 0 && space >= start - 20 && space < first) {
+        start = space + 1;
+    }
+    const end = Math.min(text.length, start + length);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+        text: prefix + text.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(([rangeStart, rangeEnd]) => rangeEnd > start && rangeStart < end)
+            .map(([rangeStart, rangeEnd]) => [Math.max(rangeStart, start) + offset, Math.min(rangeEnd, end) + offset])
+    };
+}
+
+/**
+ * Fills an element with text, wrapping the highlighted parts in <mark>
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - The text
+ * @param {Array<[number, number]>} ranges - Highlights, in order and without overlaps
+ */
+function renderHighlighted(element, text, ranges) {
+    element.textContent = '';
+    let position = 0;
+
+    ranges.forEach(([start, end]) => {
+        if (start > position) {
+            element.append(text.slice(position, start));
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        element.append(mark);
+        position = end;
+    });
+
+    if (position < text.length) {
+        element.append(text.slice(position));
+    }
+}
+
+/**
+ * Fills in a message's placeholders
+ * @param {string} message - e.g. "No results for “{query}”"
+ * @param {Object<string, string|number>} values - Values by placeholder name
+ * @returns {string} - The message
+ */
+function formatSearchMessage(message, values) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        name in values ? String(values[name]) : placeholder
+    );
+}
+
+/**
+ * Builds a result's list item: its title, what it is, and a snippet
+ * @param {{doc: Object, ranges: Object<string, Array<[number, number]>>}} result - A match from searchDocs()
+ * @param {number} position - The result's position in the list
+ * @returns {HTMLLIElement} - The option element
+ */
+function createResultItem(result, position) {
+    const { doc, ranges } = result;
+    const item = document.createElement('li');
+    item.id = `search-result-${position}`;
+    item.className = 'search-result';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+
+    const link = document.createElement('a');
+    link.href = doc.url;
+    link.tabIndex = -1;
+
+    const title = document.createElement('span');
+    title.className = 'search-result-title';
+    renderHighlighted(title, doc.title, ranges.title || []);
+
+    const context = document.createElement('span');
+    context.className = 'search-result-context';
+    context.textContent = [searchMessages.kind[doc.kind], doc.context].filter(Boolean).join(' · ');
+
+    link.append(title, context);
+
+    // Show where the query matched, if not in the title; otherwise the start of the text
+    const field = SEARCH_FIELDS.map(({ name }) => name).find(name => name !== 'title' && ranges[name]) || 'text';
+    if (doc[field]) {
+        const snippet = buildSnippet(doc[field], ranges[field] || []);
+        const text = document.createElement('span');
+        text.className = 'search-result-snippet';
+        renderHighlighted(text, snippet.text, snippet.ranges);
+        link.append(text);
+    }
+
+    item.append(link);
+    return item;
+}
+
+/**
+ * Wires up the search button, the "/" shortcut and the overlay
+ * @param {HTMLElement} overlay - The role="dialog" element
+ * @param {HTMLElement} toggle - The navbar button that opens it
+ */
+function initSearch(overlay, toggle) {
+    const input = overlay.querySelector('#search-input');
+    const list = overlay.querySelector('#search-results');
+    const status = overlay.querySelector('.search-status');
+    const closeButton = overlay.querySelector('.search-close');
+    const controller = createDialogController(overlay, { contentSelector: '.search-panel' });
+
+    let entries = null;
+    let loading = null;
+    let activeIndex = -1;
+
+    function setStatus(message) {
+        if (status.textContent !== message) {
+            status.textContent = message;
+        }
+    }
+
+    // Fetches the index the first time it is needed; a failed fetch is retried on the next search
+    function loadIndex() {
+        if (!loading) {
+            setStatus(searchMessages.loading);
+            loading = fetch(overlay.dataset.index)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Search index request failed with ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(index => {
+                    entries = prepareIndex(index);
+                })
+                .catch(error => {
+                    console.error('Could not load the search index', error);
+                    loading = null;
+                    setStatus(searchMessages.error);
+                });
+        }
+        return loading;
+    }
+
+    function options() {
+        return Array.from(list.querySelectorAll('[role="option"]'));
+    }
+
+    function setActive(index) {
+        const items = options();
+        activeIndex = items.length === 0 ? -1 : (index + items.length) % items.length;
+        items.forEach((item, position) => {
+            item.setAttribute('aria-selected', String(position === activeIndex));
+        });
+
+        if (activeIndex === -1) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        input.setAttribute('aria-activedescendant', items[activeIndex].id);
+        items[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function render() {
+        const query = input.value.trim();
+        list.textContent = '';
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+
+        if (!query || !entries) {
+            input.setAttribute('aria-expanded', 'false');
+            if (entries) {
+                setStatus('');
+            }
+            return;
+        }
+
+        const results = searchDocs(entries, query);
+        results.forEach((result, position) => list.append(createResultItem(result, position)));
+        input.setAttribute('aria-expanded', String(results.length > 0));
+
+        if (results.length === 0) {
+            setStatus(formatSearchMessage(searchMessages.none, { query }));
+        } else {
+            const count = results.length === 1 ? searchMessages.count.one : searchMessages.count.other;
+            setStatus(formatSearchMessage(count, { count: results.length }));
+        }
+    }
+
+    function search() {
+        if (entries) {
+            render();
+        } else {
+            loadIndex().then(render);
+        }
+    }
+
+    function openSearch(opener) {
+        controller.open(opener);
+        toggle.setAttribute('aria-expanded', 'true');
+        input.focus();
+        input.select();
+        search();
+    }
+
+    function closeSearch() {
+        controller.close();
+        toggle.setAttribute('aria-expanded', 'false');
+    }
+
+    toggle.addEventListener('click', () => openSearch(toggle));
+    closeButton.addEventListener('click', closeSearch);
+    input.addEventListener('input', search);
+
+    input.addEventListener('keydown', e => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive(activeIndex === -1 && step === -1 ? -1 : activeIndex + step);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const item = options()[activeIndex === -1 ? 0 : activeIndex];
+            if (item) {
+                item.querySelector('a').click();
+            }
+        }
+    });
+
+    // Following a result to a frame on the current page only changes the hash
+    list.addEventListener('click', e => {
+        if (e.target.closest('a')) {
+            closeSearch();
+        }
+    });
+
+    // Clicking the backdrop closes the overlay
+    overlay.addEventListener('click', e => {
+        if (e.target === overlay) {
+            closeSearch();
+        }
+    });
+
+    document.addEventListener('keydown', e => {
+        if (controller.isOpen()) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeSearch();
+            }
+            return;
+        }
+
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) {
+            return;
+        }
+        // Leave "/" alone while typing, and while another dialog such as the lightbox is open
+        const target = e.target;
+        const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (typing || document.querySelector('[aria-modal="true"].active')) {
+            return;
+        }
+        e.preventDefault();
+        openSearch(document.activeElement);
+    });
+
+    toggle.hidden = false;
+}
+
+const searchOverlay = document.getElementById('search-dialog');
+const searchToggle = document.querySelector('.search-toggle');
+if (searchOverlay && searchToggle) {
+    initSearch(searchOverlay, searchToggle);
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeText,
+        normalizeWithMap,
+        tokenize,
+        editDistance,
+        matchTerm,
+        mergeRanges,
+        prepareIndex,
+        searchDocs,
+        buildSnippet,
+        renderHighlighted,
+        formatSearchMessage,
+        initSearch
+    };
+}
@@ -0,0 +1,188 @@
+// Unit tests for the site search
+// For any query, results should match every term, best fields first, with highlights that point at the matched text
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  normalizeText,
+  normalizeWithMap,
+  tokenize,
+  editDistance,
+  matchTerm,
+  mergeRanges,
+  prepareIndex,
+  searchDocs,
+  buildSnippet,
+  renderHighlighted,
+  formatSearchMessage
+} from './search.js';
+
+const index = {
+  docs: [
+    {
+      url: '/en/series/urban-moments/',
+      kind: 'series',
+      title: 'Urban Moments',
+      context: 'Kodak Tri-X 400 · 35mm',
+      location: 'Shibuya, Tokyo',
+      equipment: 'Kodak Tri-X 400 · 35mm · Canon AE-1',
+      text: 'Street photography in Tokyo, shot on black-and-white film.'
+    },
+    {
+      url: '/en/series/landscapes/#frame-1',
+      kind: 'photo',
+      title: 'Kinkaku-ji reflected in the Kyōko-chi pond',
+      context: 'Landscapes · Ilford HP5 Plus 400',
+      location: 'Kinkaku-ji, Kyoto',
+      equipment: 'Ilford HP5 Plus 400 · 120 · Mamiya RB67 Pro S',
+      text: 'A golden temple reflected in a pond, with Tokyo far away.'
+    },
+    {
+      url: '/en/series/portraits-on-film/',
+      kind: 'series',
+      title: 'Portraits on Film',
+      context: 'Kodak Portra 400 · 35mm',
+      location: 'Tokyo',
+      equipment: 'Kodak Portra 400 · 35mm · Canon AE-1',
+      text: 'Friends and strangers in natural light.'
+    }
+  ]
+};
+const entries = prepareIndex(index);
+const urls = results => results.map(result => result.doc.url);
+
+describe('Search - normalizing text', () => {
+  it('should ignore case and accents', () => {
+    expect(normalizeText('Kyōko-chi CAFÉ')).toBe('kyoko-chi cafe');
+    expect(tokenize('  Kyōto, tri-x  kyoto ')).toEqual(['kyoto', 'tri', 'x']);
+  });
+
+  it('should map every normalized character back into the original text', () => {
+    fc.assert(
+      fc.property(fc.string(), text => {
+        const { text: normalized, map } = normalizeWithMap(text);
+        expect(map).toHaveLength(normalized.length);
+        map.forEach((original, position) => {
+          expect(original).toBeGreaterThanOrEqual(0);
+          expect(original).toBeLessThan(text.length);
+          if (position > 0) {
+            expect(original).toBeGreaterThanOrEqual(map[position - 1]);
+          }
+        });
+      })
+    );
+  });
+});
+
+describe('Search - fuzzy matching', () => {
+  it('should count a swap of neighbouring letters as one edit', () => {
+    expect(editDistance('protra', 'portra', 2)).toBe(1);
+    expect(editDistance('kyoto', 'tokyo', 2)).toBe(3);
+    expect(editDistance('', 'abc', 5)).toBe(3);
+  });
+
+  it('should be symmetric and never exceed the limit plus one', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: 12 }), fc.string({ maxLength: 12 }), fc.nat(4), (a, b, max) => {
+        const distance = editDistance(a, b, max);
+        expect(distance).toBe(editDistance(b, a, max));
+        expect(distance).toBeLessThanOrEqual(max + 1);
+        expect(editDistance(a, a, max)).toBe(0);
+      })
+    );
+  });
+
+  it('should match substrings, then whole or half-typed words with a typo', () => {
+    expect(matchTerm('kyo', 'kinkaku-ji, kyoto')).toEqual({ quality: 3, ranges: [[12, 15]] });
+    expect(matchTerm('aku', 'kinkaku-ji')).toEqual({ quality: 2, ranges: [[4, 7]] });
+    expect(matchTerm('protra', 'kodak portra 400')).toEqual({ quality: 1, ranges: [[6, 12]] });
+    expect(matchTerm('mamya', 'mamiya rb67')).toEqual({ quality: 1, ranges: [[0, 6]] });
+  });
+
+  it('should not allow typos in short terms', () => {
+    expect(matchTerm('kyt', 'kyoto')).toBeNull();
+  });
+});
+
+describe('Search - searchDocs', () => {
+  it('should require every term to match', () => {
+    expect(urls(searchDocs(entries, 'tokyo portra'))).toEqual(['/en/series/portraits-on-film/']);
+    expect(searchDocs(entries, 'tokyo medium')).toEqual([]);
+    expect(searchDocs(entries, '   ')).toEqual([]);
+  });
+
+  it('should rank a title or place above a mention in the text', () => {
+    expect(urls(searchDocs(entries, 'tokyo'))).toEqual([
+      '/en/series/urban-moments/',
+      '/en/series/portraits-on-film/',
+      '/en/series/landscapes/#frame-1'
+    ]);
+    expect(urls(searchDocs(entries, 'kyoko'))[0]).toBe('/en/series/landscapes/#frame-1');
+    expect(searchDocs(entries, 'tokyo', 1)).toHaveLength(1);
+  });
+
+  it('should highlight the original text, accents and all', () => {
+    const [result] = searchDocs(entries, 'kyoko');
+    const [[start, end]] = result.ranges.title;
+    expect(result.doc.title.slice(start, end)).toBe('Kyōko');
+  });
+
+  it('should point every highlight at text that matches a term', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('tokyo', 'kodak', 'film', 'tri-x', 'pond', 'canon ae'), query => {
+        const terms = tokenize(query);
+        searchDocs(entries, query).forEach(({ doc, ranges }) => {
+          Object.entries(ranges).forEach(([field, fieldRanges]) => {
+            fieldRanges.forEach(([start, end]) => {
+              const highlighted = normalizeText(doc[field].slice(start, end));
+              expect(terms.some(term => highlighted.includes(term))).toBe(true);
+            });
+          });
+        });
+      })
+    );
+  });
+});
+
+describe('Search - snippets', () => {
+  const text = 'Morning light over the rooftops of an old town, where the streets are still empty and the first trams run past shuttered cafés towards the station and the river.';
+
+  it('should keep short text whole', () => {
+    expect(buildSnippet('Tokyo', [[0, 5]])).toEqual({ text: 'Tokyo', ranges: [[0, 5]] });
+  });
+
+  it('should cut long text around the first highlight', () => {
+    const start = text.indexOf('station');
+    const snippet = buildSnippet(text, [[start, start + 7]], 60);
+    expect(snippet.text.startsWith('…')).toBe(true);
+    const [[from, to]] = snippet.ranges;
+    expect(snippet.text.slice(from, to)).toBe('station');
+  });
+
+  it('should keep highlights on the same text after cutting', () => {
+    fc.assert(
+      fc.property(fc.nat(text.length - 1), fc.integer({ min: 1, max: 10 }), fc.integer({ min: 20, max: 80 }), (start, size, length) => {
+        const range = [start, Math.min(text.length, start + size)];
+        const snippet = buildSnippet(text, [range], length);
+        snippet.ranges.forEach(([from, to]) => {
+          expect(text.slice(range[0], range[1])).toContain(snippet.text.slice(from, to));
+        });
+      })
+    );
+  });
+
+  it('should merge overlapping highlights', () => {
+    expect(mergeRanges([[5, 8], [0, 2], [1, 3], [8, 9]])).toEqual([[0, 3], [5, 9]]);
+  });
+
+  it('should mark highlights without parsing the text as HTML', () => {
+    const element = document.createElement('span');
+    renderHighlighted(element, '<b>Tokyo</b> at night', [[3, 8]]);
+    expect(element.innerHTML).toBe('&lt;b&gt;<mark>Tokyo</mark>&lt;/b&gt; at night');
+  });
+
+  it('should fill in message placeholders', () => {
+    expect(formatSearchMessage('No results for “{query}”', { query: 'portra' })).toBe('No results for “portra”');
+    expect(formatSearchMessage('{count} results', { count: 3 })).toBe('3 results');
+  });
+});
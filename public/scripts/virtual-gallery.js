@@ -0,0 +1,433 @@
+// Virtual gallery: the archive in justified rows, fetching further pages as
+// the visitor scrolls and keeping only the rows near the viewport in the
+// document (see src/lib/archive.ts). Uses justifiedLayout() and
+// setImageSizes() from gallery-layout.js, and revealWhenDecoded() from
+// placeholders.js.
+
+// Rows kept mounted above and below the viewport, in viewport heights
+const OVERSCAN = 1;
+
+// Fetch the next page once the end of the loaded frames is this close, in viewport heights
+const PREFETCH_DISTANCE = 2;
+
+// Messages rendered by the archive page in its own language
+const archiveMessagesElement = document.getElementById('archive-messages');
+const archiveMessages = archiveMessagesElement
+    ? JSON.parse(archiveMessagesElement.textContent)
+    : {
+        loading: 'Loading more frames…',
+        loaded: '{count} of {total} frames loaded',
+        error: 'More frames could not be loaded.'
+    };
+
+/**
+ * Works out where each row starts
+ * @param {Array<{height: number}>} rows - Rows from justifiedLayout()
+ * @param {number} gap - Space between rows
+ * @returns {{tops: number[], height: number}} - Each row's offset from the top, and the height of them all
+ */
+function rowOffsets(rows, gap) {
+    const tops = [];
+    let top = 0;
+
+    rows.forEach(row => {
+        tops.push(top);
+        top += row.height + gap;
+    });
+
+    return { tops, height: Math.max(0, top - gap) };
+}
+
+/**
+ * Finds the first row that reaches below a position, by binary search
+ * @param {number[]} tops - Row offsets from rowOffsets()
+ * @param {Array<{height: number}>} rows - The rows
+ * @param {number} position - Offset from the top of the gallery
+ * @returns {number} - The row's index, or rows.length if every row ends above the position
+ */
+function rowAt(tops, rows, position) {
+    let low = 0;
+    let high = rows.length;
+
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (tops[middle] + rows[middle].height > position) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Finds the rows that overlap a band of the gallery
+ * @param {number[]} tops - Row offsets from rowOffsets()
+ * @param {Array<{height: number}>} rows - The rows
+ * @param {number} start - Top of the band, from the top of the gallery
+ * @param {number} end - Bottom of the band
+ * @returns {{first: number, last: number}} - Inclusive row indexes; last is below first when none overlap
+ */
+function visibleRows(tops, rows, start, end) {
+    const first = rowAt(tops, rows, start);
+    let last = first - 1;
+    while (last + 1 < rows.length && tops[last + 1] < end) {
+        last += 1;
+    }
+    return { first, last };
+}
+
+/**
+ * Fills in a message's placeholders
+ * @param {string} message - e.g. "{count} of {total} frames loaded"
+ * @param {Object<string, string|number>} values - Values by placeholder name
+ * @returns {string} - The message
+ */
+function formatArchiveMessage(message, values) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        name in values ? String(values[name]) : placeholder
+    );
+}
+
+/**
+ * Builds a frame's list item: a link to the frame on its series page
+ * @param {Object} frame - A frame from the archive JSON (see src/lib/archive.ts)
+ * @param {number} position - The frame's 1-based position in the whole archive
+ * @param {number} total - Frames in the archive
+ * @returns {HTMLLIElement} - The item, not yet placed
+ */
+function createFrameItem(frame, position, total) {
+    const item = document.createElement('li');
+    item.className = 'archive-item';
+    item.setAttribute('aria-posinset', String(position));
+    item.setAttribute('aria-setsize', String(total));
+
+    const link = document.createElement('a');
+    link.className = 'archive-link';
+    link.href = frame.url;
+    link.title = frame.title;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'image-placeholder';
+    wrapper.style.backgroundColor = frame.color;
+
+    const picture = document.createElement('picture');
+    frame.image.sources.forEach(({ type, srcset }) => {
+        const source = document.createElement('source');
+        source.type = type;
+        source.srcset = srcset;
+        source.sizes = frame.image.sizes;
+        picture.appendChild(source);
+    });
+
+    const image = document.createElement('img');
+    image.className = 'archive-image';
+    image.alt = frame.alt;
+    image.width = frame.image.width;
+    image.height = frame.image.height;
+    image.setAttribute('loading', 'lazy');
+    image.setAttribute('decoding', 'async');
+    image.sizes = frame.image.sizes;
+    image.srcset = frame.image.srcset;
+    image.src = frame.image.src;
+    picture.appendChild(image);
+
+    wrapper.appendChild(picture);
+    link.appendChild(wrapper);
+    item.appendChild(link);
+
+    if (typeof revealWhenDecoded === 'function') {
+        revealWhenDecoded(image);
+    }
+    return item;
+}
+
+/**
+ * Takes over the archive list: lays out the loaded frames, mounts the rows in
+ * view and fetches the following pages as they are needed
+ * @param {HTMLElement} grid - The .archive-grid list
+ * @param {{page: number, start: number, total: number, frames: Object[], next: string|null}} data - The page rendered into the HTML
+ */
+function initVirtualGallery(grid, data) {
+    if (typeof ResizeObserver === 'undefined' || typeof justifiedLayout !== 'function') {
+        return;
+    }
+
+    const status = document.querySelector('.archive-status');
+    const retryButton = document.querySelector('.archive-retry');
+    const pagination = document.querySelector('.archive-pagination');
+    const rowHeight = Number(grid.dataset.rowHeight);
+
+    const frames = data.frames.slice();
+    // Position of the first loaded frame in the whole archive
+    const offset = data.start;
+    const mounted = new Map();
+    let nextUrl = data.next;
+    let loading = false;
+
+    let rows = [];
+    let tops = [];
+    let boxes = [];
+    let frameRows = [];
+    let width = 0;
+    let frame = null;
+    let focusedIndex = null;
+    let saveTimer = null;
+
+    // Back from a frame's series page restores the pages and position the visitor left
+    let restoring = history.state && history.state.archive && history.state.archive.page === data.page
+        ? history.state.archive
+        : null;
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    function setStatus(message) {
+        if (status && status.textContent !== message) {
+            status.textContent = message;
+        }
+    }
+
+    // Top of the viewport, measured from the top of the gallery
+    function viewportTop() {
+        return -grid.getBoundingClientRect().top;
+    }
+
+    // Works out every row and frame box for the current width
+    function layout() {
+        width = grid.clientWidth;
+        const gap = parseFloat(getComputedStyle(grid).columnGap) || 0;
+        const ratios = frames.map(item => item.image.width / item.image.height);
+
+        // Shorter rows on phones, so a row still holds a couple of frames
+        const targetHeight = Math.min(rowHeight, Math.round(width / 2.5));
+        rows = justifiedLayout(ratios, width, { rowHeight: targetHeight, gap, singleColumnBelow: 0 });
+        const offsets = rowOffsets(rows, gap);
+        tops = offsets.tops;
+        boxes = new Array(frames.length);
+        frameRows = new Array(frames.length);
+
+        rows.forEach((row, rowIndex) => {
+            let x = 0;
+            row.items.forEach(({ index, width: itemWidth }) => {
+                boxes[index] = { x, y: tops[rowIndex], width: itemWidth, height: row.height };
+                frameRows[index] = rowIndex;
+                x += itemWidth + gap;
+            });
+        });
+
+        grid.style.height = `${offsets.height}px`;
+        mounted.forEach((item, index) => place(item, index));
+    }
+
+    function place(item, index) {
+        const box = boxes[index];
+        item.style.left = `${box.x}px`;
+        item.style.top = `${box.y}px`;
+        item.style.width = `${box.width}px`;
+        item.style.height = `${box.height}px`;
+        setImageSizes(item, box.width);
+    }
+
+    // Re-lays the gallery, keeping the first row in view where it was
+    function relayout() {
+        const top = viewportTop();
+        const anchor = rows.length > 0 && top > 0 ? rows[Math.min(rowAt(tops, rows, top), rows.length - 1)].items[0].index : null;
+        const before = anchor === null ? 0 : boxes[anchor].y;
+
+        layout();
+
+        if (anchor !== null && boxes[anchor].y !== before) {
+            window.scrollBy(0, boxes[anchor].y - before);
+        }
+    }
+
+    // Mounts the rows near the viewport, plus the focused frame's row and its
+    // neighbours so Tab and Shift+Tab always have somewhere to go
+    function render() {
+        const viewportHeight = window.innerHeight;
+        const top = viewportTop();
+        const range = visibleRows(tops, rows, top - OVERSCAN * viewportHeight, top + (1 + OVERSCAN) * viewportHeight);
+
+        const needed = new Set();
+        const addRow = rowIndex => {
+            if (rowIndex >= 0 && rowIndex < rows.length) {
+                rows[rowIndex].items.forEach(({ index }) => needed.add(index));
+            }
+        };
+        for (let rowIndex = range.first; rowIndex <= range.last; rowIndex++) {
+            addRow(rowIndex);
+        }
+        if (focusedIndex !== null) {
+            [-1, 0, 1].forEach(step => addRow(frameRows[focusedIndex] + step));
+        }
+
+        mounted.forEach((item, index) => {
+            if (!needed.has(index) && !item.contains(document.activeElement)) {
+                item.remove();
+                mounted.delete(index);
+            }
+        });
+
+        // Insert in archive order, so tab order follows the rows
+        const order = Array.from(needed).filter(index => !mounted.has(index)).sort((a, b) => a - b);
+        order.forEach(index => {
+            const item = createFrameItem(frames[index], offset + index + 1, data.total);
+            place(item, index);
+            let next = null;
+            mounted.forEach((candidate, candidateIndex) => {
+                if (candidateIndex > index && (!next || candidateIndex < next.index)) {
+                    next = { index: candidateIndex, item: candidate };
+                }
+            });
+            grid.insertBefore(item, next ? next.item : null);
+            mounted.set(index, item);
+        });
+
+        if (nextUrl && !loading && tops.length > 0) {
+            const loadedHeight = parseFloat(grid.style.height) || 0;
+            if (loadedHeight - (top + viewportHeight) < PREFETCH_DISTANCE * viewportHeight) {
+                loadNext();
+            }
+        }
+
+        saveState(top);
+    }
+
+    // Remembers how far the visitor got, for coming back with the Back button.
+    // Waits for scrolling to settle, since browsers limit how often history can change.
+    function saveState(top) {
+        if (restoring || rows.length === 0) {
+            return;
+        }
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => {
+            const rowIndex = Math.min(rowAt(tops, rows, Math.max(top, 0)), rows.length - 1);
+            const archive = { page: data.page, loaded: frames.length, anchor: rows[rowIndex].items[0].index, offset: tops[rowIndex] - top };
+            history.replaceState({ ...history.state, archive }, '');
+        }, 250);
+    }
+
+    function restore() {
+        const saved = restoring;
+        restoring = null;
+        if (saved.anchor < frames.length) {
+            const galleryTop = grid.getBoundingClientRect().top + window.scrollY;
+            window.scrollTo(0, galleryTop + boxes[saved.anchor].y - saved.offset);
+        }
+        render();
+    }
+
+    function loadNext() {
+        loading = true;
+        grid.setAttribute('aria-busy', 'true');
+        if (retryButton) {
+            retryButton.hidden = true;
+        }
+        setStatus(archiveMessages.loading);
+
+        fetch(nextUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Archive page request failed with ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(page => {
+                frames.push(...page.frames);
+                nextUrl = page.next;
+                loading = false;
+                grid.removeAttribute('aria-busy');
+                setStatus(formatArchiveMessage(archiveMessages.loaded, { count: offset + frames.length, total: data.total }));
+
+                layout();
+                if (restoring && nextUrl && frames.length < restoring.loaded) {
+                    loadNext();
+                } else if (restoring) {
+                    restore();
+                } else {
+                    render();
+                }
+            })
+            .catch(error => {
+                console.error('Could not load the next archive page', error);
+                loading = false;
+                grid.removeAttribute('aria-busy');
+                setStatus(archiveMessages.error);
+                if (retryButton) {
+                    retryButton.hidden = false;
+                }
+                if (restoring) {
+                    restore();
+                }
+            });
+    }
+
+    // Batch scrolling and resizing into one update per frame
+    function schedule(update) {
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                update();
+                render();
+            });
+        }
+    }
+
+    grid.addEventListener('focusin', e => {
+        const item = e.target.closest('.archive-item');
+        focusedIndex = Array.from(mounted.entries()).find(([, candidate]) => candidate === item)?.[0] ?? null;
+        render();
+    });
+    grid.addEventListener('focusout', e => {
+        if (!grid.contains(e.relatedTarget)) {
+            focusedIndex = null;
+        }
+    });
+
+    window.addEventListener('scroll', () => schedule(() => {}), { passive: true });
+    new ResizeObserver(() => {
+        if (grid.clientWidth !== width) {
+            schedule(relayout);
+        }
+    }).observe(grid);
+
+    if (retryButton) {
+        retryButton.addEventListener('click', loadNext);
+    }
+
+    // The list is drawn from the data from here on
+    grid.textContent = '';
+    grid.classList.add('is-virtual');
+    if (pagination) {
+        pagination.hidden = true;
+    }
+
+    layout();
+    if (restoring && nextUrl && frames.length < restoring.loaded) {
+        loadNext();
+    } else if (restoring) {
+        restore();
+    } else {
+        render();
+    }
+}
+
+const archiveGrid = document.getElementById('archive-grid');
+const archiveDataElement = document.getElementById('archive-data');
+if (archiveGrid && archiveDataElement) {
+    initVirtualGallery(archiveGrid, JSON.parse(archiveDataElement.textContent));
+}
+
+// Export functions for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rowOffsets,
+        rowAt,
+        visibleRows,
+        formatArchiveMessage,
+        createFrameItem,
+        initVirtualGallery
+    };
+}
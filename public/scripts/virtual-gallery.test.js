@@ -0,0 +1,90 @@
+// Unit tests for the virtualized archive gallery
+// For any rows, the rows found for a band of the gallery should be exactly the ones that overlap it
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { rowOffsets, rowAt, visibleRows, formatArchiveMessage, createFrameItem } from './virtual-gallery.js';
+
+const arbitraryRows = fc.array(fc.record({ height: fc.integer({ min: 1, max: 400 }) }), { maxLength: 60 });
+
+describe('Virtual gallery - rows', () => {
+  it('should stack rows with a gap between them', () => {
+    const rows = [{ height: 200 }, { height: 150 }, { height: 180 }];
+    expect(rowOffsets(rows, 8)).toEqual({ tops: [0, 208, 366], height: 546 });
+    expect(rowOffsets([], 8)).toEqual({ tops: [], height: 0 });
+  });
+
+  it('should find the row under a position, counting gaps as the row below', () => {
+    const rows = [{ height: 200 }, { height: 150 }, { height: 180 }];
+    const { tops } = rowOffsets(rows, 8);
+    expect(rowAt(tops, rows, 0)).toBe(0);
+    expect(rowAt(tops, rows, 199)).toBe(0);
+    expect(rowAt(tops, rows, 204)).toBe(1);
+    expect(rowAt(tops, rows, 545)).toBe(2);
+    expect(rowAt(tops, rows, 546)).toBe(3);
+  });
+
+  it('should find exactly the rows that overlap a band', () => {
+    fc.assert(
+      fc.property(
+        arbitraryRows,
+        fc.integer({ min: 0, max: 24 }),
+        fc.integer({ min: -500, max: 20000 }),
+        fc.integer({ min: 0, max: 2000 }),
+        (rows, gap, start, length) => {
+          const { tops } = rowOffsets(rows, gap);
+          const { first, last } = visibleRows(tops, rows, start, start + length);
+          rows.forEach((row, index) => {
+            const overlaps = tops[index] + row.height > start && tops[index] < start + length;
+            expect(index >= first && index <= last).toBe(overlaps);
+          });
+        }
+      )
+    );
+  });
+});
+
+describe('Virtual gallery - frames', () => {
+  const frame = {
+    url: '/en/series/landscapes/#frame-2',
+    title: 'Kinkaku-ji in the rain.',
+    alt: 'A golden temple reflected in a pond',
+    image: {
+      src: '/_astro/project3_480.jpg',
+      srcset: '/_astro/project3_240.jpg 240w, /_astro/project3_480.jpg 480w',
+      sizes: '240px',
+      width: 764,
+      height: 1152,
+      sources: [{ type: 'image/avif', srcset: '/_astro/project3_240.avif 240w' }],
+    },
+    color: '#6b5a3e',
+  };
+
+  it('should link to the frame on its series page, with its place in the archive', () => {
+    const item = createFrameItem(frame, 62, 130);
+    expect(item.getAttribute('aria-posinset')).toBe('62');
+    expect(item.getAttribute('aria-setsize')).toBe('130');
+
+    const link = item.querySelector('a.archive-link');
+    expect(link.getAttribute('href')).toBe(frame.url);
+    expect(link.title).toBe(frame.title);
+  });
+
+  it('should offer every format at the thumbnail sizes, lazily loaded', () => {
+    const item = createFrameItem(frame, 1, 1);
+    const source = item.querySelector('source');
+    expect(source.type).toBe('image/avif');
+    expect(source.getAttribute('sizes')).toBe('240px');
+
+    const image = item.querySelector('img.archive-image');
+    expect(image.alt).toBe(frame.alt);
+    expect(image.getAttribute('loading')).toBe('lazy');
+    expect(image.getAttribute('width')).toBe('764');
+    expect(item.querySelector('.image-placeholder').style.backgroundColor).toBe('rgb(107, 90, 62)');
+  });
+
+  it('should fill in status messages', () => {
+    expect(formatArchiveMessage('{count} of {total} frames loaded', { count: 120, total: 130 })).toBe('120 of 130 frames loaded');
+    expect(formatArchiveMessage('{count} frames, {missing}', { count: 3 })).toBe('3 frames, {missing}');
+  });
+});
@@ -0,0 +1,144 @@
+// Content collections for the portfolio
+//
+// Every gallery series is defined once as a YAML file in src/content/series/,
+// and every roll of film behind it in src/content/rolls/. The homepage grid and
+// the portfolio modal both read from the series collection, and the schemas
+// below make `astro build` fail when a series or roll is missing a field.
+// Text is written in English; optional `translations` blocks hold the other
+// languages (see src/lib/i18n), and anything left out falls back to English.
+
+import { defineCollection, reference, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+import { PALETTES, SUBJECTS } from './lib/gallery-filters';
+
+// Per-frame film record: what the frame was shot on and how the negative was
+// processed. `boxSpeed` is the film's rated ISO; `exposedIso` is the exposure
+// index it was shot at, so a difference between the two means push/pull.
+const filmMetadata = z.object({
+    camera: z.string().min(1),
+    lens: z.string().min(1),
+    filmStock: z.string().min(1),
+    boxSpeed: z.number().int().positive(),
+    exposedIso: z.number().int().positive(),
+    developer: z.string().min(1),
+    dilution: z.string().min(1).optional(),
+    devTime: z.string().regex(/^\d{1,2}:\d{2}$/, 'Development time must be mm:ss'),
+    devTemperature: z.number().positive().optional(),
+    scanner: z.string().min(1),
+    shotDate: z.coerce.date(),
+    location: z.string().min(1),
+});
+
+// Where a frame sits on its roll, for the contact sheets. `id` names a file in
+// src/content/rolls/; `frame` is the number printed on the film's edge;
+// `exposure` holds the shooting notes for the frame (aperture, shutter, filter)
+// and `keeper` marks the frames picked from the sheet.
+const rollFrame = z.object({
+    id: reference('rolls'),
+    frame: z.number().int().positive(),
+    exposure: z.string().min(1).optional(),
+    keeper: z.boolean().default(false),
+});
+
+// Languages a series can be translated into, besides English
+const translatedLang = z.enum(['ja']);
+
+const formats = z.enum(['35mm', '120']);
+
+// Film log: one YAML file per roll, named by its roll ID (e.g.
+// tri-x-2024-10-b.yaml). Frames published from a roll must agree with it on
+// camera, film and development (see findRollConflicts() in src/lib/rolls.ts).
+const rolls = defineCollection({
+    loader: glob({ pattern: '*.yaml', base: './src/content/rolls' }),
+    schema: z
+        .object({
+            camera: z.string().min(1),
+            filmStock: z.string().min(1),
+            format: formats,
+            boxSpeed: z.number().int().positive(),
+            exposedIso: z.number().int().positive(),
+            loaded: z.coerce.date(),
+            finished: z.coerce.date(),
+            // Developed at home, or by the named lab
+            processing: z.enum(['home', 'lab']),
+            lab: z.string().min(1).optional(),
+            developer: z.string().min(1),
+            dilution: z.string().min(1).optional(),
+            devTime: z.string().regex(/^\d{1,2}:\d{2}$/, 'Development time must be mm:ss'),
+            devTemperature: z.number().positive().optional(),
+            scanner: z.string().min(1),
+            // e.g. "3200 dpi, 16-bit greyscale, no sharpening"
+            scanSettings: z.string().min(1).optional(),
+            notes: z.string().min(1).optional(),
+            translations: z.record(translatedLang, z.object({ notes: z.string().min(1) })).optional(),
+        })
+        .refine((roll) => roll.processing === 'home' || roll.lab !== undefined, {
+            message: 'Lab-developed rolls need a `lab`',
+            path: ['lab'],
+        })
+        .refine((roll) => roll.finished >= roll.loaded, {
+            message: 'A roll cannot be finished before it was loaded',
+            path: ['finished'],
+        }),
+});
+
+const series = defineCollection({
+    loader: glob({ pattern: '*.yaml', base: './src/content/series' }),
+    // Image paths are relative to the YAML file and go through Astro's image
+    // pipeline, so a missing file also fails the build
+    schema: ({ image }) => {
+        const picture = z.object({
+            src: image(),
+            alt: z.string().min(1),
+            translations: z.record(translatedLang, z.object({ alt: z.string().min(1) })).optional(),
+        });
+
+        const photo = picture.extend({
+            caption: z.string().optional(),
+            // When the frame went up, for frames added to a series later; defaults to the series' date
+            published: z.coerce.date().optional(),
+            // What the frame shows, for the gallery filter (see SUBJECTS in src/lib/gallery-filters.ts)
+            tags: z.array(z.enum(SUBJECTS)).default([]),
+            metadata: filmMetadata,
+            roll: rollFrame.optional(),
+            translations: z
+                .record(
+                    translatedLang,
+                    z.object({
+                        alt: z.string().min(1).optional(),
+                        caption: z.string().min(1).optional(),
+                        location: z.string().min(1).optional(),
+                    })
+                )
+                .optional(),
+        });
+
+        return z.object({
+            title: z.string().min(1),
+            slug: z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug must be lowercase kebab-case'),
+            order: z.number().int(),
+            // When the series went up on the site; the feeds list newest first
+            published: z.coerce.date(),
+            cover: picture,
+            description: z.string().min(1),
+            longDescription: z.string().min(1),
+            filmStock: z.string().min(1),
+            format: formats,
+            // Black-and-white or colour film
+            palette: z.enum(PALETTES),
+            photos: z.array(photo).nonempty(),
+            translations: z
+                .record(
+                    translatedLang,
+                    z.object({
+                        title: z.string().min(1).optional(),
+                        description: z.string().min(1),
+                        longDescription: z.string().min(1),
+                    })
+                )
+                .optional(),
+        });
+    },
+});
+
+export const collections = { series, rolls };
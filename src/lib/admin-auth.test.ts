@@ -0,0 +1,46 @@
+// Unit tests for admin page authentication
+// Requirements: /admin/inquiries is password-protected
+
+import { describe, it, expect } from 'vitest';
+import { isAuthorized, isSameOrigin, readBasicAuthPassword, unauthorized } from './admin-auth';
+
+const basic = (credentials: string) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+describe('Admin auth - Basic credentials', () => {
+  it('should accept the admin password with any username', () => {
+    expect(isAuthorized(basic('admin:film-is-not-dead'), 'film-is-not-dead')).toBe(true);
+    expect(isAuthorized(basic(':film-is-not-dead'), 'film-is-not-dead')).toBe(true);
+  });
+
+  it('should reject a wrong password or missing header', () => {
+    expect(isAuthorized(basic('admin:digital'), 'film-is-not-dead')).toBe(false);
+    expect(isAuthorized(null, 'film-is-not-dead')).toBe(false);
+    expect(isAuthorized('Bearer film-is-not-dead', 'film-is-not-dead')).toBe(false);
+  });
+
+  it('should keep colons that are part of the password', () => {
+    expect(readBasicAuthPassword(basic('admin:a:b'))).toBe('a:b');
+    expect(readBasicAuthPassword(basic('no-separator'))).toBeNull();
+  });
+
+  it('should challenge the browser for credentials', () => {
+    const response = unauthorized();
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toMatch(/^Basic realm=/);
+  });
+});
+
+describe('Admin auth - isSameOrigin', () => {
+  const url = new URL('https://portfolio.example/admin/inquiries');
+  const post = (headers: Record<string, string>) => new Request(url, { method: 'POST', headers });
+
+  it('should accept posts from the admin page', () => {
+    expect(isSameOrigin(post({ Origin: 'https://portfolio.example' }), url)).toBe(true);
+  });
+
+  it('should reject posts from other sites or without an Origin header', () => {
+    expect(isSameOrigin(post({ Origin: 'https://evil.example' }), url)).toBe(false);
+    expect(isSameOrigin(post({}), url)).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+// HTTP Basic authentication for the admin pages
+//
+// Browsers show their own login prompt and resend the credentials with every
+// request, including the CSV export link, so no session handling is needed.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+// Shown in the browser's login prompt
+const REALM = 'Portfolio admin';
+
+/**
+ * Reads the password from a Basic Authorization header
+ * @param {string | null} header - The request's Authorization header
+ * @returns {string | null} - The password (any username is accepted), or null if absent or malformed
+ */
+export function readBasicAuthPassword(header: string | null): string | null {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header ?? '');
+    if (!match) {
+        return null;
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator === -1 ? null : credentials.slice(separator + 1);
+}
+
+/**
+ * Checks a request's credentials against the admin password
+ * @param {string | null} header - The request's Authorization header
+ * @param {string} password - The configured admin password
+ * @returns {boolean} - True if the request may see the admin pages
+ */
+export function isAuthorized(header: string | null, password: string): boolean {
+    const supplied = readBasicAuthPassword(header);
+    if (supplied === null) {
+        return false;
+    }
+
+    // Compare fixed-length digests so the check takes as long for every guess
+    const digest = (value: string) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(supplied), digest(password));
+}
+
+/**
+ * Builds the response that makes the browser ask for the admin password
+ * @returns {Response} - 401 with a Basic challenge
+ */
+export function unauthorized(): Response {
+    return new Response('Authentication required', {
+        status: 401,
+        headers: { 'WWW-Authenticate': `Basic realm="${REALM}", charset="UTF-8"` },
+    });
+}
+
+/**
+ * Checks that a form post came from the admin page itself. The browser resends
+ * Basic credentials automatically, so without this any site could post to it.
+ * @param {Request} request - The incoming request
+ * @param {URL} url - The request's URL as Astro sees it
+ * @returns {boolean} - True if the Origin header matches this site
+ */
+export function isSameOrigin(request: Request, url: URL): boolean {
+    return request.headers.get('origin') === url.origin;
+}
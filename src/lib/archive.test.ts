@@ -0,0 +1,64 @@
+// Unit tests for archive pagination
+// Requirements: a fixed number of frames per page, page 1 at /archive/, each page pointing to the next one's JSON
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { ARCHIVE_PAGE_SIZE, archiveDataUrl, archivePageUrl, countArchivePages, toArchivePage, type ArchiveFrame } from './archive';
+
+const frame = (number: number): ArchiveFrame => ({
+  url: `/en/series/landscapes/#frame-${number}`,
+  title: `Landscapes, frame ${number}`,
+  alt: 'A golden temple reflected in a pond',
+  image: { src: '/_astro/project3.jpg', srcset: '', sizes: '240px', width: 764, height: 1152, sources: [] },
+  color: '#6b5a3e',
+});
+const framesOf = (count: number) => Array.from({ length: count }, (_, index) => frame(index + 1));
+
+describe('Archive - addresses', () => {
+  it('should keep page 1 at the archive root', () => {
+    expect(archivePageUrl(1, 'en')).toBe('/en/archive/');
+    expect(archivePageUrl(3, 'ja')).toBe('/ja/archive/3/');
+  });
+
+  it('should serve every page as JSON', () => {
+    expect(archiveDataUrl(1, 'en')).toBe('/en/archive/1.json');
+    expect(archiveDataUrl(2, 'ja')).toBe('/ja/archive/2.json');
+  });
+});
+
+describe('Archive - pages', () => {
+  it('should give an empty archive one page', () => {
+    expect(countArchivePages(0)).toBe(1);
+    expect(toArchivePage([], 1, 'en')).toEqual({ page: 1, pages: 1, start: 0, total: 0, frames: [], next: null });
+  });
+
+  it('should start a new page after every ARCHIVE_PAGE_SIZE frames', () => {
+    expect(countArchivePages(ARCHIVE_PAGE_SIZE)).toBe(1);
+    expect(countArchivePages(ARCHIVE_PAGE_SIZE + 1)).toBe(2);
+  });
+
+  it('should point every page but the last to the next one', () => {
+    const frames = framesOf(ARCHIVE_PAGE_SIZE * 2 + 5);
+    expect(toArchivePage(frames, 1, 'en').next).toBe('/en/archive/2.json');
+    expect(toArchivePage(frames, 2, 'en').next).toBe('/en/archive/3.json');
+
+    const last = toArchivePage(frames, 3, 'en');
+    expect(last.next).toBeNull();
+    expect(last.start).toBe(ARCHIVE_PAGE_SIZE * 2);
+    expect(last.frames.map((item) => item.url)).toEqual(frames.slice(-5).map((item) => item.url));
+  });
+
+  it('should list every frame exactly once across the pages, in order', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: ARCHIVE_PAGE_SIZE * 4 }), (count) => {
+        const frames = framesOf(count);
+        const pages = Array.from({ length: countArchivePages(count) }, (_, index) => toArchivePage(frames, index + 1, 'en'));
+        expect(pages.flatMap((page) => page.frames)).toEqual(frames);
+        pages.forEach((page) => {
+          expect(page.total).toBe(count);
+          expect(page.frames.length).toBeLessThanOrEqual(ARCHIVE_PAGE_SIZE);
+        });
+      })
+    );
+  });
+});
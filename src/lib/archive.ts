@@ -0,0 +1,85 @@
+// The archive: every published frame across all series, newest first
+//
+// getArchiveFrames() in src/lib/series.ts lists the frames, and
+// src/pages/[lang]/archive/[...page].astro renders them ARCHIVE_PAGE_SIZE to a
+// page, which is what a browser without JavaScript gets. With JavaScript,
+// public/scripts/virtual-gallery.js fetches the following pages from
+// /<lang>/archive/<page>.json as the visitor scrolls, and only keeps the rows
+// in view in the document, so the page stays fast however large the archive grows.
+
+import { localizePath, type Lang } from './i18n';
+import type { ResponsiveImage } from './images';
+import { canonicalPath } from './seo';
+
+// Frames per page, and per JSON request
+export const ARCHIVE_PAGE_SIZE = 60;
+
+export interface ArchiveFrame {
+    // The frame on its series page
+    url: string;
+    title: string;
+    alt: string;
+    image: ResponsiveImage;
+    // Dominant colour, shown until the thumbnail loads
+    color: string;
+}
+
+export interface ArchivePage {
+    page: number;
+    pages: number;
+    // Position of the page's first frame in the archive, from 0
+    start: number;
+    total: number;
+    frames: ArchiveFrame[];
+    // The next page's JSON, or null on the last page
+    next: string | null;
+}
+
+/**
+ * Returns the address of an archive page
+ * @param {number} page - The 1-based page number
+ * @param {Lang} lang - The page's language
+ * @returns {string} - e.g. "/en/archive/" or "/en/archive/2/"
+ */
+export function archivePageUrl(page: number, lang: Lang): string {
+    return canonicalPath(localizePath(page > 1 ? `/archive/${page}` : '/archive', lang));
+}
+
+/**
+ * Returns the address of an archive page's JSON
+ * @param {number} page - The 1-based page number
+ * @param {Lang} lang - The page's language
+ * @returns {string} - e.g. "/en/archive/2.json"
+ */
+export function archiveDataUrl(page: number, lang: Lang): string {
+    return localizePath(`/archive/${page}.json`, lang);
+}
+
+/**
+ * Counts the archive's pages; an empty archive still has one
+ * @param {number} total - Frames in the archive
+ * @returns {number} - Number of pages
+ */
+export function countArchivePages(total: number): number {
+    return Math.max(1, Math.ceil(total / ARCHIVE_PAGE_SIZE));
+}
+
+/**
+ * Cuts one page out of the archive
+ * @param {ArchiveFrame[]} frames - Every frame, in archive order
+ * @param {number} page - The 1-based page number
+ * @param {Lang} lang - The page's language
+ * @returns {ArchivePage} - The page's frames, with the totals and the next page's address
+ */
+export function toArchivePage(frames: ArchiveFrame[], page: number, lang: Lang): ArchivePage {
+    const pages = countArchivePages(frames.length);
+    const start = (page - 1) * ARCHIVE_PAGE_SIZE;
+    return {
+        page,
+        pages,
+        start,
+        total: frames.length,
+        frames: frames.slice(start, start + ARCHIVE_PAGE_SIZE),
+        next: page < pages ? archiveDataUrl(page + 1, lang) : null,
+    };
+}
@@ -0,0 +1,85 @@
+// Unit tests for contact sheets
+// Requirements: frames grouped by roll in strip order, edge-print frame numbers, keepers marked
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { groupByRoll, rollContactSheetUrl, seriesContactSheetUrl, STRIP_LENGTHS, toContactFrames, toStrips, type ContactFrame } from './contact-sheets';
+import type { Series } from './series';
+
+const metadata = (filmStock: string, exposedIso: number, shotDate: string) => ({ filmStock, exposedIso, shotDate: new Date(shotDate) });
+const series = [
+  {
+    data: {
+      slug: 'urban-moments',
+      format: '35mm',
+      photos: [
+        { alt: 'Stairs', roll: { id: { collection: 'rolls', id: 'tri-x-b' }, frame: 23, keeper: true }, metadata: metadata('Kodak Tri-X 400', 800, '2024-10-12') },
+        { alt: 'Crossing', metadata: metadata('Kodak Tri-X 400', 800, '2024-10-12') },
+        { alt: 'Commuters', roll: { id: { collection: 'rolls', id: 'tri-x-b' }, frame: 4, exposure: 'f/2 · 1/15 s', keeper: false }, metadata: metadata('Kodak Tri-X 400', 800, '2024-10-11') },
+      ],
+    },
+  },
+  {
+    data: {
+      slug: 'landscapes',
+      format: '120',
+      photos: [{ alt: 'Temple', roll: { id: { collection: 'rolls', id: 'hp5-a' }, frame: 7, keeper: true }, metadata: metadata('Ilford HP5 Plus 400', 200, '2023-11-18') }],
+    },
+  },
+] as unknown as Series[];
+
+describe('Contact sheets - frames and rolls', () => {
+  it('should keep only frames with a roll record, with their place in the series', () => {
+    expect(toContactFrames(series).map((frame) => [frame.series, frame.index, frame.roll, frame.frame])).toEqual([
+      ['urban-moments', 0, 'tri-x-b', 23],
+      ['urban-moments', 2, 'tri-x-b', 4],
+      ['landscapes', 0, 'hp5-a', 7],
+    ]);
+  });
+
+  it('should order rolls by when they were shot, and frames by edge number', () => {
+    const rolls = groupByRoll(toContactFrames(series));
+    expect(rolls.map((roll) => roll.id)).toEqual(['hp5-a', 'tri-x-b']);
+    expect(rolls[1]).toMatchObject({ format: '35mm', filmStock: 'Kodak Tri-X 400', exposedIso: 800 });
+    expect(rolls[1].shotDate).toEqual(new Date('2024-10-11'));
+    expect(rolls[1].frames.map((frame) => [frame.frame, frame.keeper, frame.exposure])).toEqual([
+      [4, false, 'f/2 · 1/15 s'],
+      [23, true, undefined],
+    ]);
+  });
+});
+
+describe('Contact sheets - strips', () => {
+  const [, triX] = groupByRoll(toContactFrames(series));
+
+  it('should place frames where the sleeve holds them, with blanks for the rest', () => {
+    const strips = toStrips(triX.frames, STRIP_LENGTHS['35mm']);
+    expect(strips.map((strip) => strip.map((cell) => cell.number))).toEqual([
+      [1, 2, 3, 4, 5, 6],
+      [19, 20, 21, 22, 23, 24],
+    ]);
+    expect(strips[0].map((cell) => cell.frame?.photo.alt ?? null)).toEqual([null, null, null, 'Commuters', null, null]);
+    expect(strips[1][4].frame?.keeper).toBe(true);
+  });
+
+  it('should put each frame in exactly one full-length strip, in order', () => {
+    fc.assert(
+      fc.property(fc.uniqueArray(fc.integer({ min: 1, max: 72 }), { maxLength: 36 }), fc.constantFrom(3, 4, 6), (numbers, length) => {
+        const frames = [...numbers].sort((a, b) => a - b).map((frame) => ({ ...triX.frames[0], frame }) as ContactFrame);
+        const strips = toStrips(frames, length);
+        expect(strips.every((strip) => strip.length === length)).toBe(true);
+        expect(strips.flat().map((cell) => cell.number)).toEqual([...strips.flat().map((cell) => cell.number)].sort((a, b) => a - b));
+        const placed = strips.flat().filter((cell) => cell.frame);
+        expect(placed.map((cell) => cell.number)).toEqual(frames.map((frame) => frame.frame));
+        placed.forEach((cell) => expect(cell.frame?.frame).toBe(cell.number));
+      })
+    );
+  });
+});
+
+describe('Contact sheets - addresses', () => {
+  it('should give each series and roll its own contact sheet', () => {
+    expect(seriesContactSheetUrl('urban-moments', 'en')).toBe('/en/series/urban-moments/contact-sheet/');
+    expect(rollContactSheetUrl('tri-x-b', 'ja')).toBe('/ja/rolls/tri-x-b/contact-sheet/');
+  });
+});
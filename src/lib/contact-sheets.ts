@@ -0,0 +1,143 @@
+// Contact sheets: the published frames of a series or a roll, laid out as
+// strips of negatives in the order they were shot
+//
+// Frames are placed by the number printed on the film's edge, so a strip
+// holds the same frames it would on a light table, with blank cells for the
+// frames that were not published. Only photos with a `roll` record
+// (src/content.config.ts) appear on a contact sheet; the roll itself is
+// described in src/content/rolls/ (see src/lib/rolls.ts).
+
+import { localizePath, type Lang } from './i18n';
+import { canonicalPath } from './seo';
+import type { Series } from './series';
+
+type Photo = Series['data']['photos'][number];
+export type FilmFormat = Series['data']['format'];
+
+// Frames per strip, as a negative sleeve holds them: six 35mm frames, or three 6×7 frames of 120
+export const STRIP_LENGTHS: Record<FilmFormat, number> = { '35mm': 6, '120': 3 };
+
+export interface ContactFrame {
+    // The series the frame is published in, and its position there from 0, for the lightbox
+    series: string;
+    index: number;
+    roll: string;
+    // Number printed on the film's edge
+    frame: number;
+    format: FilmFormat;
+    exposure?: string;
+    keeper: boolean;
+    photo: Photo;
+}
+
+export interface ContactRoll {
+    id: string;
+    format: FilmFormat;
+    filmStock: string;
+    exposedIso: number;
+    // When the roll's first published frame was shot
+    shotDate: Date;
+    frames: ContactFrame[];
+}
+
+export interface StripCell {
+    // Edge number of the cell
+    number: number;
+    // The published frame, or null for a frame left out
+    frame: ContactFrame | null;
+}
+
+/**
+ * Lists the frames of the given series that carry a roll record
+ * @param {Series[]} series - The series, already translated
+ * @returns {ContactFrame[]} - The frames, in gallery order
+ */
+export function toContactFrames(series: Series[]): ContactFrame[] {
+    return series.flatMap(({ data }) =>
+        data.photos.flatMap((photo, index): ContactFrame[] =>
+            photo.roll
+                ? [
+                      {
+                          series: data.slug,
+                          index,
+                          roll: photo.roll.id.id,
+                          frame: photo.roll.frame,
+                          format: data.format,
+                          exposure: photo.roll.exposure,
+                          keeper: photo.roll.keeper,
+                          photo,
+                      },
+                  ]
+                : []
+        )
+    );
+}
+
+/**
+ * Groups frames by roll, in the order the rolls were shot
+ * @param {ContactFrame[]} frames - Frames from toContactFrames()
+ * @returns {ContactRoll[]} - Rolls by first shot date, then ID; each with its frames by edge number
+ */
+export function groupByRoll(frames: ContactFrame[]): ContactRoll[] {
+    const rolls = new Map<string, ContactFrame[]>();
+    frames.forEach((frame) => rolls.set(frame.roll, [...(rolls.get(frame.roll) ?? []), frame]));
+
+    return [...rolls.entries()]
+        .map(([id, rollFrames]): ContactRoll => {
+            const sorted = [...rollFrames].sort((a, b) => a.frame - b.frame);
+            const { metadata } = sorted[0].photo;
+            return {
+                id,
+                format: sorted[0].format,
+                filmStock: metadata.filmStock,
+                exposedIso: metadata.exposedIso,
+                shotDate: new Date(Math.min(...sorted.map((frame) => frame.photo.metadata.shotDate.getTime()))),
+                frames: sorted,
+            };
+        })
+        .sort((a, b) => a.shotDate.getTime() - b.shotDate.getTime() || a.id.localeCompare(b.id));
+}
+
+/**
+ * Cuts a roll into strips the way it was sleeved: frames 1–6 on the first
+ * 35mm strip, 7–12 on the next, and so on. Strips without a published frame
+ * are left out.
+ * @param {ContactFrame[]} frames - One roll's frames, by edge number
+ * @param {number} length - Frames per strip, from STRIP_LENGTHS
+ * @returns {StripCell[][]} - Full strips, in order
+ */
+export function toStrips(frames: ContactFrame[], length: number): StripCell[][] {
+    const strips = new Map<number, StripCell[]>();
+
+    frames.forEach((frame) => {
+        const strip = Math.floor((frame.frame - 1) / length);
+        let cells = strips.get(strip);
+        if (!cells) {
+            cells = Array.from({ length }, (_, position) => ({ number: strip * length + position + 1, frame: null }));
+            strips.set(strip, cells);
+        }
+        cells[(frame.frame - 1) % length].frame = frame;
+    });
+
+    return [...strips.entries()].sort(([a], [b]) => a - b).map(([, cells]) => cells);
+}
+
+/**
+ * Returns the URL of a series' contact sheet
+ * @param {string} slug - The series slug
+ * @param {Lang} lang - The language of the page
+ * @returns {string} - e.g. "/en/series/urban-moments/contact-sheet/"
+ */
+export function seriesContactSheetUrl(slug: string, lang: Lang): string {
+    return canonicalPath(localizePath(`/series/${slug}/contact-sheet`, lang));
+}
+
+/**
+ * Returns the URL of a roll's contact sheet
+ * @param {string} id - The roll ID
+ * @param {Lang} lang - The language of the page
+ * @returns {string} - e.g. "/en/rolls/tri-x-2024-10-b/contact-sheet/"
+ */
+export function rollContactSheetUrl(id: string, lang: Lang): string {
+    return canonicalPath(localizePath(`/rolls/${id}/contact-sheet`, lang));
+}
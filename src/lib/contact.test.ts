@@ -0,0 +1,177 @@
+// Unit tests for server-side contact form validation
+// Requirements: the API applies the same rules as public/scripts/form-validation.js
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  buildContactEmail,
+  readReference,
+  validateContact,
+  validateDate,
+  validateEmail,
+} from './contact';
+import { getFormMessages } from './i18n';
+
+const messages = getFormMessages('en').validation;
+
+const valid = { name: 'Aiko', email: 'aiko@example.com', message: 'Do you sell prints?', inquiryType: 'general', details: {} };
+const now = Date.UTC(2025, 2, 14, 12);
+
+describe('Contact validation - validateContact', () => {
+  it('should accept a complete submission and trim its fields', () => {
+    const result = validateContact({ name: '  Aiko ', email: 'aiko@example.com ', message: 'Hello\n' });
+
+    expect(result).toEqual({
+      valid: true,
+      data: { name: 'Aiko', email: 'aiko@example.com', message: 'Hello', inquiryType: 'general', details: {} },
+    });
+  });
+
+  it('should report every missing or blank field', () => {
+    const result = validateContact({ name: '   ', message: '' });
+
+    expect(result).toEqual({
+      valid: false,
+      errors: { name: messages.required, email: messages.required, message: messages.required },
+    });
+  });
+
+  it('should reject an invalid email with the client\'s message', () => {
+    const result = validateContact({ ...valid, email: 'aiko@example' });
+
+    expect(result).toEqual({ valid: false, errors: { email: messages.email } });
+  });
+
+  it('should treat non-string values as missing', () => {
+    const result = validateContact({ ...valid, name: 42, message: ['Hello'] });
+
+    expect(result).toEqual({ valid: false, errors: { name: messages.required, message: messages.required } });
+  });
+
+  it('should never accept an email containing whitespace', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.constantFrom(' ', '\t', '\n'), fc.string(), (local, space, domain) => {
+        expect(validateEmail(`${local}${space}@${domain}.com`)).toBe(false);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Contact validation - inquiry types', () => {
+  const prints = { ...valid, inquiryType: 'prints', printSize: '11x14', paper: 'baryta', frame: 'oak', quantity: '2' };
+
+  it('should collect the selected type\'s extra fields', () => {
+    const result = validateContact({ ...prints, shootLocation: 'Kyoto' }, now);
+
+    expect(result).toEqual({
+      valid: true,
+      data: { ...valid, inquiryType: 'prints', details: { printSize: '11x14', paper: 'baryta', frame: 'oak', quantity: '2' } },
+    });
+  });
+
+  it('should require the selected type\'s fields and ignore the others', () => {
+    const result = validateContact({ ...valid, inquiryType: 'commissions', printSize: 'poster' }, now);
+
+    expect(result).toEqual({ valid: false, errors: { shootDate: messages.required, shootLocation: messages.required } });
+  });
+
+  it('should only accept listed options', () => {
+    const result = validateContact({ ...prints, printSize: '40x50' }, now);
+
+    expect(result).toEqual({ valid: false, errors: { printSize: messages.choice } });
+  });
+
+  it('should reject unknown inquiry types', () => {
+    expect(validateContact({ ...valid, inquiryType: 'wholesale' }, now)).toEqual({
+      valid: false,
+      errors: { inquiryType: messages.choice },
+    });
+  });
+
+  it('should check numbers are whole and in range', () => {
+    expect(validateContact({ ...prints, quantity: '1.5' }, now)).toEqual({ valid: false, errors: { quantity: messages.wholeNumber } });
+    expect(validateContact({ ...prints, quantity: '21' }, now)).toEqual({
+      valid: false,
+      errors: { quantity: 'Please enter a number between 1 and 20' },
+    });
+  });
+
+  it('should only accept commission dates that have not passed', () => {
+    const commission = { ...valid, inquiryType: 'commissions', shootLocation: 'Kyoto' };
+
+    expect(validateContact({ ...commission, shootDate: '2025-03-20' }, now).valid).toBe(true);
+    // Still "today" for a visitor behind UTC
+    expect(validateContact({ ...commission, shootDate: '2025-03-13' }, now).valid).toBe(true);
+    expect(validateContact({ ...commission, shootDate: '2025-03-01' }, now)).toEqual({
+      valid: false,
+      errors: { shootDate: messages.laterDate },
+    });
+  });
+
+  it('should write error messages in the requested language', () => {
+    expect(validateContact({ ...valid, email: 'aiko' }, now, 'ja')).toEqual({
+      valid: false,
+      errors: { email: '有効なメールアドレスを入力してください' },
+    });
+    expect(validateContact({ ...prints, quantity: '21' }, now, 'ja')).toEqual({
+      valid: false,
+      errors: { quantity: '1から20までの数を入力してください' },
+    });
+  });
+
+  it('should reject dates that do not exist', () => {
+    expect(validateDate('2025-02-29')).toBe(false);
+    expect(validateDate('14/03/2025')).toBe(false);
+    expect(validateDate('2024-02-29')).toBe(true);
+  });
+});
+
+describe('Contact validation - photo references', () => {
+  it('should keep the series and photo the visitor asked about', () => {
+    const result = validateContact({ ...valid, series: 'urban-moments', photo: '2' }, now);
+
+    expect(result.valid && result.data.reference).toEqual({ series: 'urban-moments', photo: 2 });
+  });
+
+  it('should drop malformed references instead of reporting them', () => {
+    expect(readReference('../etc/passwd', '1')).toBeUndefined();
+    expect(readReference('', '')).toBeUndefined();
+    expect(readReference('landscapes', 'first')).toEqual({ series: 'landscapes' });
+  });
+});
+
+describe('Contact validation - buildContactEmail', () => {
+  const addresses = { to: 'photo@example.com', from: 'Portfolio <no-reply@example.com>' };
+
+  it('should address the message to the owner and reply to the visitor', () => {
+    const email = buildContactEmail(valid, addresses);
+
+    expect(email.to).toBe('photo@example.com');
+    expect(email.replyTo).toBe('aiko@example.com');
+    expect(email.subject).toBe('New message from Aiko');
+    expect(email.text).toContain('Do you sell prints?');
+  });
+
+  it('should list inquiry details by their labels', () => {
+    const email = buildContactEmail(
+      { ...valid, inquiryType: 'prints', details: { printSize: '11x14', paper: 'baryta', frame: 'none', quantity: '2' } },
+      addresses
+    );
+
+    expect(email.subject).toBe('New inquiry from Aiko: Buying prints');
+    expect(email.text).toContain('Inquiry: Buying prints\nPrint size: 11 × 14 in\nPaper: Baryta\nFrame: Unframed\nQuantity: 2');
+  });
+
+  it('should link to the photo the inquiry is about', () => {
+    const email = buildContactEmail({ ...valid, reference: { series: 'landscapes', photo: 1 } }, addresses);
+
+    expect(email.text).toContain('About: /en/series/landscapes#frame-1');
+  });
+
+  it('should not let the name break out of the subject header', () => {
+    const email = buildContactEmail({ ...valid, name: 'Aiko\r\nBcc: victim@example.com' }, addresses);
+
+    expect(email.subject).not.toMatch(/[\r\n]/);
+  });
+});
@@ -0,0 +1,230 @@
+// Server-side validation and formatting for contact form submissions
+//
+// The rules mirror validateField in public/scripts/form-validation.js, and both
+// take their messages from the same dictionaries (src/lib/i18n), so the server
+// never rejects something the browser accepted with a different message.
+
+import { DEFAULT_LANG, localizePath, useTranslations, type Lang } from './i18n';
+import { DEFAULT_INQUIRY_TYPE, describeInquiryDetails, getInquiryType, type InquiryField } from './inquiries';
+import type { InquiryReference } from './inquiry-store/types';
+import type { MailMessage } from './mail/types';
+
+export const CONTACT_FIELDS = ['name', 'email', 'message'] as const;
+
+export type ContactField = (typeof CONTACT_FIELDS)[number];
+export type ContactSubmission = Record<ContactField, string> & {
+    inquiryType: string;
+    // Values of the selected inquiry type's extra fields, keyed by field name
+    details: Record<string, string>;
+    // The photo the visitor asked about, if they came from an "Ask about this photo" link
+    reference?: InquiryReference;
+};
+export type ContactErrors = Record<string, string>;
+
+export type ContactValidationResult =
+    | { valid: true; data: ContactSubmission }
+    | { valid: false; errors: ContactErrors };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates email format using the same regex as the client
+ * @param {string} email - The email address to validate
+ * @returns {boolean} - True if email is valid, false otherwise
+ */
+export function validateEmail(email: string): boolean {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validates that a value is not empty (after trimming whitespace)
+ * @param {string} value - The value to validate
+ * @returns {boolean} - True if the value has content, false otherwise
+ */
+export function validateRequired(value: string): boolean {
+    return value.trim().length > 0;
+}
+
+/**
+ * Validates a yyyy-mm-dd date as submitted by <input type="date">
+ * @param {string} value - The submitted date
+ * @returns {boolean} - True if the value is a real calendar date
+ */
+export function validateDate(value: string): boolean {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Returns the earliest date that is still "today" somewhere; the visitor's
+ * calendar can be up to a day behind UTC
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - A yyyy-mm-dd date
+ */
+function earliestToday(now: number): string {
+    return new Date(now - DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Validates one of an inquiry type's extra fields
+ * @param {InquiryField} field - The field definition
+ * @param {string} value - The trimmed submitted value
+ * @param {number} now - Current time in milliseconds, for future-only dates
+ * @param {Lang} lang - Language to write the error message in
+ * @returns {string | null} - The error message, or null if the value is valid
+ */
+function validateInquiryField(field: InquiryField, value: string, now: number, lang: Lang): string | null {
+    const t = useTranslations(lang);
+
+    if (!validateRequired(value)) {
+        return field.type === 'select' ? t('validation.choice') : t('validation.required');
+    }
+
+    switch (field.type) {
+        case 'select':
+            return field.options?.some((option) => option.value === value) ? null : t('validation.choice');
+        case 'date':
+            if (!validateDate(value)) {
+                return t('validation.date');
+            }
+            return field.future && value < earliestToday(now) ? t('validation.laterDate') : null;
+        case 'number': {
+            if (!/^-?\d+$/.test(value)) {
+                return t('validation.wholeNumber');
+            }
+            const number = Number(value);
+            const min = field.min ?? -Infinity;
+            const max = field.max ?? Infinity;
+            return number < min || number > max ? t('validation.numberRange', { min, max }) : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reads the series and photo an inquiry refers to; malformed values are dropped
+ * rather than reported, since the visitor never typed them
+ * @param {unknown} series - The submitted series slug
+ * @param {unknown} photo - The submitted 1-based photo number
+ * @returns {InquiryReference | undefined} - The reference, or undefined if there is none
+ */
+export function readReference(series: unknown, photo: unknown): InquiryReference | undefined {
+    if (typeof series !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(series)) {
+        return undefined;
+    }
+
+    const photoNumber = typeof photo === 'string' && /^\d+$/.test(photo) ? Number(photo) : 0;
+    return photoNumber > 0 ? { series, photo: photoNumber } : { series };
+}
+
+/**
+ * Validates a submission from JSON or form data
+ * @param {Record<string, unknown>} input - The submitted fields
+ * @param {number} now - Current time in milliseconds, for future-only dates
+ * @param {Lang} lang - Language to write error messages in
+ * @returns {ContactValidationResult} - Trimmed fields, or one error message per invalid field
+ */
+export function validateContact(
+    input: Record<string, unknown>,
+    now: number = Date.now(),
+    lang: Lang = DEFAULT_LANG
+): ContactValidationResult {
+    const t = useTranslations(lang);
+    const readField = (name: string) => (typeof input[name] === 'string' ? input[name] : '');
+    const errors: ContactErrors = {};
+    const data: ContactSubmission = {
+        name: '',
+        email: '',
+        message: '',
+        inquiryType: readField('inquiryType').trim() || DEFAULT_INQUIRY_TYPE,
+        details: {},
+    };
+
+    const reference = readReference(input.series, input.photo);
+    if (reference) {
+        data.reference = reference;
+    }
+
+    for (const field of CONTACT_FIELDS) {
+        const value = readField(field);
+        data[field] = value.trim();
+
+        if (!validateRequired(value)) {
+            errors[field] = t('validation.required');
+        }
+    }
+
+    if (!errors.email && !validateEmail(data.email)) {
+        errors.email = t('validation.email');
+    }
+
+    // Only the selected type's fields count; the form disables the others
+    const inquiryType = getInquiryType(data.inquiryType);
+    if (!inquiryType) {
+        errors.inquiryType = t('validation.choice');
+    }
+    for (const field of inquiryType?.fields ?? []) {
+        const value = readField(field.name).trim();
+        const error = validateInquiryField(field, value, now, lang);
+        if (error) {
+            errors[field.name] = error;
+        }
+        data.details[field.name] = value;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, data };
+}
+
+/**
+ * Describes the photo an inquiry refers to by its path on the (English) site
+ * @param {InquiryReference} reference - The series and photo
+ * @returns {string} - e.g. "/en/series/urban-moments#frame-2"
+ */
+export function formatReference(reference: InquiryReference): string {
+    return `${localizePath(`/series/${reference.series}`, DEFAULT_LANG)}${reference.photo ? `#frame-${reference.photo}` : ''}`;
+}
+
+/**
+ * Builds the email sent to the site owner for a valid submission
+ * @param {ContactSubmission} submission - The validated fields
+ * @param {{to: string, from: string}} addresses - Recipient and sender addresses
+ * @returns {MailMessage} - A plain-text message that replies to the visitor
+ */
+export function buildContactEmail(
+    submission: ContactSubmission,
+    addresses: { to: string; from: string }
+): MailMessage {
+    // The name ends up in a header, so it must not be able to start a new one
+    const name = submission.name.replace(/[\r\n]+/g, ' ');
+    const inquiryType = getInquiryType(submission.inquiryType);
+
+    const details = describeInquiryDetails(submission.inquiryType, submission.details).map(
+        (detail) => `${detail.label}: ${detail.value}`
+    );
+
+    const isGeneral = !inquiryType || inquiryType.value === DEFAULT_INQUIRY_TYPE;
+
+    return {
+        to: addresses.to,
+        from: addresses.from,
+        replyTo: submission.email,
+        subject: isGeneral ? `New message from ${name}` : `New inquiry from ${name}: ${inquiryType.label}`,
+        text: [
+            `Name: ${name}`,
+            `Email: ${submission.email}`,
+            ...(inquiryType ? [`Inquiry: ${inquiryType.label}`] : []),
+            ...details,
+            ...(submission.reference ? [`About: ${formatReference(submission.reference)}`] : []),
+            '',
+            submission.message,
+        ].join('\n'),
+    };
+}
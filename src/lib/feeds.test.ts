@@ -0,0 +1,95 @@
+// Unit tests for the RSS, Atom and JSON feeds
+// Requirements: newest first by publish date; thumbnail enclosure; film stock and camera in the body
+
+import { describe, it, expect, vi } from 'vitest';
+import { buildAtom, buildJsonFeed, buildRss, FEED_LIMIT, FEED_PATHS, feedInfo, itemHtml, latestItems, skipFeed, type FeedItem } from './feeds';
+import { defineSiteConfig } from './site-config';
+
+const seo = { title: 'ショーン - Film Photography', description: 'Film & darkroom prints', keywords: ['film'] };
+const config = defineSiteConfig({
+  identity: { name: 'ショーン', since: 2025 },
+  contact: { email: 'photo@example.com' },
+  social: [],
+  seo: { en: seo, ja: seo },
+});
+const feed = feedInfo(config, 'en', new URL('https://shaun.example'));
+
+const item = (title: string, published: string): FeedItem => ({
+  url: `https://shaun.example/en/series/${title.toLowerCase().replace(/ /g, '-')}/`,
+  title,
+  published: new Date(published),
+  summary: `${title} on film`,
+  image: 'https://shaun.example/_astro/project1.jpg',
+  imageAlt: 'Stairs down to the street at dusk',
+  details: [
+    ['Film', 'Kodak Tri-X 400'],
+    ['Camera', 'Canon AE-1'],
+  ],
+});
+const items = latestItems([item('Landscapes', '2025-01-18'), item('Urban Moments', '2025-05-24'), item('Frame 1', '2025-05-24')]);
+
+describe('Feeds - items', () => {
+  it('should list the newest items first, keeping same-day items in order', () => {
+    expect(items.map((entry) => entry.title)).toEqual(['Urban Moments', 'Frame 1', 'Landscapes']);
+  });
+
+  it('should keep only the latest items', () => {
+    const many = Array.from({ length: FEED_LIMIT + 5 }, (_, index) => item(`Roll ${index}`, `2025-01-${String((index % 28) + 1).padStart(2, '0')}`));
+    expect(latestItems(many)).toHaveLength(FEED_LIMIT);
+  });
+
+  it('should show the thumbnail, film stock and camera in the body', () => {
+    expect(itemHtml(items[0])).toBe(
+      '<p><img src="https://shaun.example/_astro/project1.jpg" alt="Stairs down to the street at dusk"></p>' +
+        '<p>Urban Moments on film</p><p>Film: Kodak Tri-X 400<br>Camera: Canon AE-1</p>'
+    );
+  });
+});
+
+describe('Feeds - documents', () => {
+  it('should point every format at its own address', () => {
+    expect(feed.urls).toEqual({
+      rss: 'https://shaun.example/rss.xml',
+      atom: 'https://shaun.example/atom.xml',
+      json: 'https://shaun.example/feed.json',
+    });
+  });
+
+  it('should write RSS with thumbnail enclosures and escaped text', () => {
+    const rss = buildRss(feed, items);
+    expect(rss).toContain('<description>Film &amp; darkroom prints</description>');
+    expect(rss).toContain('<lastBuildDate>Sat, 24 May 2025 00:00:00 GMT</lastBuildDate>');
+    expect(rss).toContain('<enclosure url="https://shaun.example/_astro/project1.jpg" length="0" type="image/jpeg"/>');
+    expect(rss).toContain('&lt;br&gt;Camera: Canon AE-1');
+    expect(rss.indexOf('Urban Moments')).toBeLessThan(rss.indexOf('Landscapes'));
+  });
+
+  it('should write Atom with an enclosure link per entry', () => {
+    const atom = buildAtom(feed, items);
+    expect(atom).toContain('<updated>2025-05-24T00:00:00.000Z</updated>');
+    expect(atom).toContain('<link rel="self" type="application/atom+xml" href="https://shaun.example/atom.xml"/>');
+    expect(atom.match(/<link rel="enclosure" type="image\/jpeg"/g)).toHaveLength(3);
+  });
+
+  it('should write a JSON Feed 1.1 document', () => {
+    const json = JSON.parse(buildJsonFeed(feed, items));
+    expect(json).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', feed_url: 'https://shaun.example/feed.json' });
+    expect(json.items[0]).toMatchObject({
+      id: 'https://shaun.example/en/series/urban-moments/',
+      date_published: '2025-05-24T00:00:00.000Z',
+      attachments: [{ url: 'https://shaun.example/_astro/project1.jpg', mime_type: 'image/jpeg' }],
+    });
+  });
+});
+
+describe('Feeds - without the site address', () => {
+  it('should skip the feed with a warning rather than write relative links', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const response = skipFeed(FEED_PATHS.atom);
+
+    expect(response.body).toBeNull();
+    expect(response.status).toBe(404);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Skipped /atom.xml'));
+    warn.mockRestore();
+  });
+});
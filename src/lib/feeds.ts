@@ -0,0 +1,213 @@
+// RSS 2.0, Atom and JSON Feed documents for newly published series and photos
+//
+// src/pages/rss.xml.ts, atom.xml.ts and feed.json.ts share one list of items
+// from getFeedItems() in src/lib/series.ts: an item per series and one per
+// photo, newest first by their `published` dates. Item URLs should already be
+// absolute; feed readers cannot resolve relative ones, so there are no feeds
+// while the site's address is unknown.
+
+import { localizePath, type Lang } from './i18n';
+import { absoluteUrl } from './seo';
+import type { SiteConfig } from './site-config';
+import { escapeXml } from './xml';
+
+export const FEED_PATHS = {
+    rss: '/rss.xml',
+    atom: '/atom.xml',
+    json: '/feed.json',
+} as const;
+
+// Items per feed; readers only need what is new since they last looked
+export const FEED_LIMIT = 30;
+
+export interface FeedInfo {
+    title: string;
+    description: string;
+    lang: string;
+    homeUrl: string;
+    author: string;
+    // Absolute URL of each format, for self links
+    urls: Record<keyof typeof FEED_PATHS, string>;
+}
+
+export interface FeedItem {
+    url: string;
+    title: string;
+    published: Date;
+    summary: string;
+    // Thumbnail JPEG, sent as the enclosure
+    image: string;
+    imageAlt: string;
+    // Label and value pairs shown under the thumbnail, e.g. ["Film", "Kodak Tri-X 400"]
+    details: [string, string][];
+}
+
+/**
+ * Describes the feed from the site config
+ * @param {SiteConfig} config - The site config
+ * @param {Lang} lang - The feed's language
+ * @param {URL} site - The deployed site
+ * @returns {FeedInfo} - Title, description, author and addresses
+ */
+export function feedInfo(config: SiteConfig, lang: Lang, site: URL): FeedInfo {
+    return {
+        title: config.seo[lang].title,
+        description: config.seo[lang].description,
+        lang,
+        homeUrl: absoluteUrl(localizePath('/', lang), site),
+        author: config.identity.name,
+        urls: {
+            rss: absoluteUrl(FEED_PATHS.rss, site),
+            atom: absoluteUrl(FEED_PATHS.atom, site),
+            json: absoluteUrl(FEED_PATHS.json, site),
+        },
+    };
+}
+
+/**
+ * Answers a feed's route while the site's address is unknown: the build does
+ * not write a response without a body
+ * @param {string} path - The feed's path, from FEED_PATHS
+ * @returns {Response} - An empty 404
+ */
+export function skipFeed(path: string): Response {
+    console.warn(`[feeds] Skipped ${path}: set identity.url in src/site.config.ts to publish it`);
+    return new Response(null, { status: 404 });
+}
+
+/**
+ * Puts items newest first and keeps the latest FEED_LIMIT; items published the
+ * same day keep their order, so a series stays ahead of its photos
+ * @param {FeedItem[]} items - Items in collection order
+ * @returns {FeedItem[]} - The items the feeds list
+ */
+export function latestItems(items: FeedItem[]): FeedItem[] {
+    return [...items].sort((a, b) => b.published.getTime() - a.published.getTime()).slice(0, FEED_LIMIT);
+}
+
+/**
+ * Writes an item's body: the thumbnail, summary, and film stock and camera
+ * @param {FeedItem} item - The item
+ * @returns {string} - An HTML fragment
+ */
+export function itemHtml(item: FeedItem): string {
+    const details = item.details.map(([label, value]) => `${escapeXml(label)}: ${escapeXml(value)}`).join('<br>');
+    return [
+        `<p><img src="${escapeXml(item.image)}" alt="${escapeXml(item.imageAlt)}"></p>`,
+        `<p>${escapeXml(item.summary)}</p>`,
+        ...(details ? [`<p>${details}</p>`] : []),
+    ].join('');
+}
+
+// A feed is as new as its newest item, so rebuilding without changes leaves it untouched
+function lastUpdated(items: FeedItem[]): Date {
+    return items[0]?.published ?? new Date(0);
+}
+
+/**
+ * Writes the RSS 2.0 feed
+ * @param {FeedInfo} feed - The site's title, description and addresses
+ * @param {FeedItem[]} items - Items, newest first
+ * @returns {string} - The rss.xml document
+ */
+export function buildRss(feed: FeedInfo, items: FeedItem[]): string {
+    const entries = items.map((item) =>
+        [
+            '    <item>',
+            `      <title>${escapeXml(item.title)}</title>`,
+            `      <link>${escapeXml(item.url)}</link>`,
+            `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+            `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+            `      <description>${escapeXml(itemHtml(item))}</description>`,
+            // The thumbnail's size in bytes is only known once the build writes it; 0 means unknown
+            `      <enclosure url="${escapeXml(item.image)}" length="0" type="image/jpeg"/>`,
+            '    </item>',
+        ].join('\n')
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.homeUrl)}</link>`,
+        `    <description>${escapeXml(feed.description)}</description>`,
+        `    <language>${escapeXml(feed.lang)}</language>`,
+        `    <lastBuildDate>${lastUpdated(items).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>`,
+        ...entries,
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Writes the Atom feed
+ * @param {FeedInfo} feed - The site's title, description and addresses
+ * @param {FeedItem[]} items - Items, newest first
+ * @returns {string} - The atom.xml document
+ */
+export function buildAtom(feed: FeedInfo, items: FeedItem[]): string {
+    const entries = items.map((item) =>
+        [
+            '  <entry>',
+            `    <id>${escapeXml(item.url)}</id>`,
+            `    <title>${escapeXml(item.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+            `    <link rel="enclosure" type="image/jpeg" href="${escapeXml(item.image)}"/>`,
+            `    <published>${item.published.toISOString()}</published>`,
+            `    <updated>${item.published.toISOString()}</updated>`,
+            `    <summary>${escapeXml(item.summary)}</summary>`,
+            `    <content type="html">${escapeXml(itemHtml(item))}</content>`,
+            '  </entry>',
+        ].join('\n')
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.lang)}">`,
+        `  <id>${escapeXml(feed.homeUrl)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `  <updated>${lastUpdated(items).toISOString()}</updated>`,
+        `  <author><name>${escapeXml(feed.author)}</name></author>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.urls.atom)}"/>`,
+        ...entries,
+        '</feed>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Writes the JSON Feed (version 1.1)
+ * @param {FeedInfo} feed - The site's title, description and addresses
+ * @param {FeedItem[]} items - Items, newest first
+ * @returns {string} - The feed.json document
+ */
+export function buildJsonFeed(feed: FeedInfo, items: FeedItem[]): string {
+    return JSON.stringify(
+        {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            home_page_url: feed.homeUrl,
+            feed_url: feed.urls.json,
+            description: feed.description,
+            language: feed.lang,
+            authors: [{ name: feed.author, url: feed.homeUrl }],
+            items: items.map((item) => ({
+                id: item.url,
+                url: item.url,
+                title: item.title,
+                summary: item.summary,
+                content_html: itemHtml(item),
+                image: item.image,
+                date_published: item.published.toISOString(),
+                attachments: [{ url: item.image, mime_type: 'image/jpeg' }],
+            })),
+        },
+        null,
+        2
+    );
+}
@@ -0,0 +1,75 @@
+// Unit tests for film metadata formatting
+// Requirements: per-frame film record rendered as a spec sheet
+
+import { describe, it, expect } from 'vitest';
+import { formatPushPull, formatDevelopment, formatShotDate, toSpecSheet } from './film-metadata';
+
+const metadata = {
+  camera: 'Canon AE-1',
+  lens: 'Canon FD 50mm f/1.8',
+  filmStock: 'Kodak Tri-X 400',
+  boxSpeed: 400,
+  exposedIso: 800,
+  developer: 'Kodak D-76',
+  dilution: '1+1',
+  devTime: '13:30',
+  devTemperature: 20,
+  scanner: 'Epson Perfection V600',
+  shotDate: new Date('2024-10-12'),
+  location: 'Tokyo, Japan',
+};
+
+describe('Film metadata - formatPushPull', () => {
+  it('should report box speed when the film was shot at its rating', () => {
+    expect(formatPushPull(400, 400)).toBe('Box speed');
+  });
+
+  it('should describe whole-stop pushes and pulls', () => {
+    expect(formatPushPull(400, 800)).toBe('Push +1 stop');
+    expect(formatPushPull(400, 1600)).toBe('Push +2 stops');
+    expect(formatPushPull(400, 200)).toBe('Pull −1 stop');
+  });
+
+  it('should round to the nearest third of a stop', () => {
+    expect(formatPushPull(400, 500)).toBe('Push +⅓ stop');
+    expect(formatPushPull(100, 250)).toBe('Push +1⅓ stops');
+  });
+});
+
+describe('Film metadata - formatDevelopment', () => {
+  it('should include dilution, time and temperature', () => {
+    expect(formatDevelopment(metadata)).toBe('Kodak D-76 1+1, 13:30 at 20 °C');
+  });
+
+  it('should omit dilution and temperature when they are not recorded', () => {
+    const { dilution, devTemperature, ...stock } = metadata;
+    expect(formatDevelopment(stock)).toBe('Kodak D-76, 13:30');
+  });
+});
+
+describe('Film metadata - formatShotDate', () => {
+  it('should format the date in UTC so it never shifts a day', () => {
+    expect(formatShotDate(new Date('2024-10-12'))).toBe('12 October 2024');
+  });
+
+  it('should use the Japanese date order on Japanese pages', () => {
+    expect(formatShotDate(new Date('2024-10-12'), 'ja')).toBe('2024年10月12日');
+  });
+});
+
+describe('Film metadata - toSpecSheet', () => {
+  it('should produce one row per field in display order', () => {
+    const rows = toSpecSheet(metadata);
+    expect(rows.map(row => row.label)).toEqual([
+      'Camera', 'Lens', 'Film', 'Exposure index', 'Development', 'Scan', 'Date', 'Location'
+    ]);
+    expect(rows[3].value).toBe('EI 800 (Push +1 stop)');
+  });
+
+  it('should translate labels and values', () => {
+    const rows = toSpecSheet(metadata, 'ja');
+    expect(rows[0].label).toBe('カメラ');
+    expect(rows[3].value).toBe('EI 800 (+1段増感)');
+    expect(rows[4].value).toBe('Kodak D-76 1+1、20 °Cで13:30');
+  });
+});
@@ -0,0 +1,92 @@
+// Formatting for the per-frame film record defined in src/content.config.ts
+
+import type { CollectionEntry } from 'astro:content';
+import { DATE_LOCALES, DEFAULT_LANG, useTranslations, type Lang } from './i18n';
+
+export type FilmMetadata = CollectionEntry<'series'>['data']['photos'][number]['metadata'];
+
+export interface SpecRow {
+    label: string;
+    value: string;
+}
+
+/**
+ * Describes how far a roll was pushed or pulled from its box speed
+ * @param {number} boxSpeed - The film's rated ISO
+ * @param {number} exposedIso - The exposure index the film was shot at
+ * @param {Lang} lang - Language to describe it in
+ * @returns {string} - e.g. "Box speed", "Push +1 stop", "Pull −1⅓ stops"
+ */
+export function formatPushPull(boxSpeed: number, exposedIso: number, lang: Lang = DEFAULT_LANG): string {
+    const t = useTranslations(lang);
+
+    // Round to the nearest third of a stop, the usual ISO step
+    const thirds = Math.round(Math.log2(exposedIso / boxSpeed) * 3);
+
+    if (thirds === 0) {
+        return t('spec.boxSpeed');
+    }
+
+    const whole = Math.floor(Math.abs(thirds) / 3);
+    const fraction = ['', '⅓', '⅔'][Math.abs(thirds) % 3];
+    const amount = `${whole > 0 ? whole : ''}${fraction}`;
+    const plural = Math.abs(thirds) <= 3 ? 'one' : 'other';
+
+    return thirds > 0 ? t(`spec.push.${plural}`, { amount }) : t(`spec.pull.${plural}`, { amount });
+}
+
+/**
+ * Formats a shot date without shifting it across time zones
+ * @param {Date} date - The date the frame was shot
+ * @param {Lang} lang - Language to format it for
+ * @returns {string} - e.g. "12 October 2024", or "2024年10月12日" in Japanese
+ */
+export function formatShotDate(date: Date, lang: Lang = DEFAULT_LANG): string {
+    return date.toLocaleDateString(DATE_LOCALES[lang], {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC',
+    });
+}
+
+/**
+ * Formats development as developer, dilution, time and temperature
+ * @param {FilmMetadata} metadata - The frame's film record, or a roll's log
+ * @param {Lang} lang - Language to describe it in
+ * @returns {string} - e.g. "Kodak D-76 1+1, 13:30 at 20 °C"
+ */
+export function formatDevelopment(
+    metadata: Pick<FilmMetadata, 'developer' | 'dilution' | 'devTime' | 'devTemperature'>,
+    lang: Lang = DEFAULT_LANG
+): string {
+    const t = useTranslations(lang);
+    const developer = metadata.dilution ? `${metadata.developer} ${metadata.dilution}` : metadata.developer;
+
+    return metadata.devTemperature !== undefined
+        ? t('spec.developmentTimeAt', { developer, time: metadata.devTime, temperature: metadata.devTemperature })
+        : t('spec.developmentTime', { developer, time: metadata.devTime });
+}
+
+/**
+ * Turns a frame's film record into the rows of a spec sheet
+ * @param {FilmMetadata} metadata - The frame's film record
+ * @param {Lang} lang - Language for labels and values
+ * @returns {SpecRow[]} - Label/value pairs in display order
+ */
+export function toSpecSheet(metadata: FilmMetadata, lang: Lang = DEFAULT_LANG): SpecRow[] {
+    const t = useTranslations(lang);
+    return [
+        { label: t('spec.camera'), value: metadata.camera },
+        { label: t('spec.lens'), value: metadata.lens },
+        { label: t('spec.film'), value: metadata.filmStock },
+        {
+            label: t('spec.exposureIndex'),
+            value: `EI ${metadata.exposedIso} (${formatPushPull(metadata.boxSpeed, metadata.exposedIso, lang)})`,
+        },
+        { label: t('spec.development'), value: formatDevelopment(metadata, lang) },
+        { label: t('spec.scan'), value: metadata.scanner },
+        { label: t('spec.date'), value: formatShotDate(metadata.shotDate, lang) },
+        { label: t('spec.location'), value: metadata.location },
+    ];
+}
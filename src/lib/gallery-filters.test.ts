@@ -0,0 +1,62 @@
+// Unit tests for the gallery filter facets
+// Requirements: film stock, format, camera, black-and-white vs colour and subject, with query string values
+
+import { describe, it, expect } from 'vitest';
+import { toFilterData, toFilterValue } from './gallery-filters';
+import type { Series } from './series';
+
+const photo = (camera: string, filmStock: string, tags: string[]) => ({ metadata: { camera, filmStock }, tags });
+const series = [
+  { data: { slug: 'urban-moments', format: '35mm', palette: 'bw', photos: [photo('Canon AE-1', 'Kodak Tri-X 400', ['street'])] } },
+  {
+    data: {
+      slug: 'landscapes',
+      format: '120',
+      palette: 'bw',
+      photos: [photo('Mamiya RB67 Pro S', 'Ilford HP5 Plus 400', ['landscape', 'architecture'])],
+    },
+  },
+] as unknown as Series[];
+
+describe('Gallery filters - toFilterValue', () => {
+  it('should turn labels into query string values', () => {
+    expect(toFilterValue('Kodak Tri-X 400')).toBe('kodak-tri-x-400');
+    expect(toFilterValue('Mamiya RB67 Pro S')).toBe('mamiya-rb67-pro-s');
+    expect(toFilterValue('Kyōko-chi')).toBe('kyoko-chi');
+  });
+});
+
+describe('Gallery filters - toFilterData', () => {
+  const filters = toFilterData(series, 'en');
+
+  it('should list each photo with its facet values', () => {
+    expect(filters.photos[1]).toEqual({
+      series: 'landscapes',
+      values: {
+        film: ['ilford-hp5-plus-400'],
+        format: ['120'],
+        camera: ['mamiya-rb67-pro-s'],
+        palette: ['bw'],
+        subject: ['landscape', 'architecture'],
+      },
+    });
+  });
+
+  it('should offer only the options the gallery has, in a stable order', () => {
+    const options = Object.fromEntries(filters.groups.map((group) => [group.name, group.options.map((option) => option.label)]));
+    expect(options).toEqual({
+      film: ['Ilford HP5 Plus 400', 'Kodak Tri-X 400'],
+      format: ['35mm', '120'],
+      camera: ['Canon AE-1', 'Mamiya RB67 Pro S'],
+      palette: ['Black & white'],
+      subject: ['Street', 'Landscape', 'Architecture'],
+    });
+  });
+
+  it('should label groups, options and the status in the page language', () => {
+    const ja = toFilterData(series, 'ja');
+    expect(ja.groups.find((group) => group.name === 'subject')?.label).toBe('被写体');
+    expect(ja.groups.find((group) => group.name === 'palette')?.options).toEqual([{ value: 'bw', label: 'モノクロ' }]);
+    expect(ja.status.other).toBe('{count}シリーズを表示中');
+  });
+});
@@ -0,0 +1,118 @@
+// Facets for the gallery filter bar
+//
+// The homepage renders one checkbox group per facet and hands every photo's
+// facet values to public/scripts/gallery-filter.js, which hides the series
+// cards with no matching photo. Values are slugs, so they read well in the
+// query string (?film=kodak-tri-x-400&subject=street).
+
+import { translate, type Lang } from './i18n';
+import type { Series } from './series';
+
+// Subject tags a photo can have; the schema in src/content.config.ts only
+// accepts these, and each has a `subject.*` label in the dictionaries
+export const SUBJECTS = ['street', 'portrait', 'landscape', 'architecture', 'nature', 'night', 'travel'] as const;
+export type Subject = (typeof SUBJECTS)[number];
+
+// Whether a series was shot on black-and-white or colour film
+export const PALETTES = ['bw', 'colour'] as const;
+export type Palette = (typeof PALETTES)[number];
+
+export const FACETS = ['film', 'format', 'camera', 'palette', 'subject'] as const;
+export type Facet = (typeof FACETS)[number];
+
+export interface FilterOption {
+    value: string;
+    label: string;
+}
+
+export interface FilterGroup {
+    name: Facet;
+    label: string;
+    options: FilterOption[];
+}
+
+// One entry per photo: its series and the facet values it matches. The grid
+// shows a series card when any of its photos matches every selected facet
+export interface FilterPhoto {
+    series: string;
+    values: Record<Facet, string[]>;
+}
+
+export interface FilterData {
+    groups: FilterGroup[];
+    photos: FilterPhoto[];
+    // Live region text, with {count} filled in by the script
+    status: { one: string; other: string };
+}
+
+/**
+ * Turns a label into a query string value
+ * @param {string} label - e.g. "Kodak Tri-X 400"
+ * @returns {string} - e.g. "kodak-tri-x-400"
+ */
+export function toFilterValue(label: string): string {
+    return label
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Collects the facets of every photo in the gallery
+ * @param {Series[]} series - The series on the page, already translated
+ * @param {Lang} lang - The page's language
+ * @returns {FilterData} - Checkbox groups in display order, and each photo's values
+ */
+export function toFilterData(series: Series[], lang: Lang): FilterData {
+    const labels: Record<Facet, Map<string, string>> = {
+        film: new Map(),
+        format: new Map(),
+        camera: new Map(),
+        palette: new Map(),
+        subject: new Map(),
+    };
+    // Records an option's label and returns its value
+    const option = (facet: Facet, label: string, value = toFilterValue(label)) => {
+        labels[facet].set(value, label);
+        return value;
+    };
+
+    const photos = series.flatMap(({ data }) =>
+        data.photos.map((photo) => ({
+            series: data.slug,
+            values: {
+                film: [option('film', photo.metadata.filmStock)],
+                format: [option('format', data.format)],
+                camera: [option('camera', photo.metadata.camera)],
+                palette: [option('palette', translate(lang, `filter.palette.${data.palette}`), data.palette)],
+                subject: photo.tags.map((tag) => option('subject', translate(lang, `subject.${tag}`), tag)),
+            },
+        }))
+    );
+
+    // Film stocks and cameras read best alphabetically; formats, palettes and
+    // subjects keep the order they are declared in
+    const order: Record<Facet, readonly string[] | null> = {
+        film: null,
+        format: ['35mm', '120'],
+        camera: null,
+        palette: PALETTES,
+        subject: SUBJECTS,
+    };
+    const groups = FACETS.map((name) => {
+        const known = order[name];
+        const options = [...labels[name]].map(([value, label]) => ({ value, label }));
+        options.sort((a, b) =>
+            known ? known.indexOf(a.value) - known.indexOf(b.value) : a.label.localeCompare(b.label, 'en')
+        );
+        return { name, label: translate(lang, `filter.${name}`), options };
+    });
+
+    return {
+        groups,
+        photos,
+        status: { one: translate(lang, 'filter.status.one'), other: translate(lang, 'filter.status.other') },
+    };
+}
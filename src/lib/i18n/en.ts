@@ -0,0 +1,172 @@
+// English UI strings; the source language every other dictionary translates
+//
+// Placeholders in braces, e.g. {title}, are filled in by translate().
+
+export const en = {
+    'layout.skipToMain': 'Skip to main content',
+    'nav.home': 'Home',
+    'nav.about': 'About',
+    'nav.gallery': 'Gallery',
+    'nav.archive': 'Archive',
+    'nav.contact': 'Contact',
+    'nav.toggle': 'Toggle navigation menu',
+    'nav.language': 'Language',
+    'archive.title': 'Archive',
+    'archive.pageTitle': 'Archive, page {page}',
+    'archive.description': 'Every frame published so far, newest first, from every series.',
+    'archive.pagination': 'Archive pages',
+    'archive.page': 'Page {page} of {pages}',
+    'archive.previous': 'Newer frames',
+    'archive.next': 'Older frames',
+    'archive.loading': 'Loading more frames…',
+    'archive.loaded': '{count} of {total} frames loaded',
+    'archive.error': 'More frames could not be loaded.',
+    'archive.retry': 'Try again',
+    'search.open': 'Search',
+    'search.title': 'Search the portfolio',
+    'search.placeholder': 'Search places, film, cameras…',
+    'search.close': 'Close search',
+    'search.results': 'Results',
+    'search.hint': '↑ ↓ to move, Enter to open, Esc to close',
+    'search.loading': 'Loading…',
+    'search.error': 'Search is unavailable right now. Please try again later.',
+    'search.none': 'No results for “{query}”',
+    'search.count.one': '{count} result',
+    'search.count.other': '{count} results',
+    'search.kind.series': 'Series',
+    'search.kind.photo': 'Photo',
+    'footer.rights': 'All rights reserved.',
+    'social.profile': '{network} profile',
+
+    'hero.title': 'Film Photography',
+    'hero.subtitle': 'Capturing moments on analog film',
+    'hero.cta': 'View Gallery',
+    'hero.imageAlt': 'Red five-storey pagoda among autumn leaves, with a town and mountains in the distance',
+
+    'about.title': 'About My Work',
+    'about.profileAlt': 'Canon AE-1 vintage film camera with 50mm lens',
+    'about.intro':
+        "I'm a film photographer dedicated to the art of analog photography. Working primarily with 35mm and medium format film, I capture the world through the timeless medium of celluloid.",
+    'about.approach':
+        'My work explores the beauty of grain, the depth of shadows, and the authenticity that only film can provide. Each photograph is carefully composed, shot on film, and developed by hand in the darkroom.',
+    'about.kit': 'Cameras: Canon AE-1, Pentax K1000, Mamiya RB67 | Film stocks: Kodak Tri-X, Portra 400, Ilford HP5',
+    'about.filmLog': 'See every roll behind this work in the film log',
+
+    'gallery.title': 'Gallery',
+    'gallery.viewDetails': 'View details for {title}',
+    'gallery.viewSeries': 'View Series',
+
+    'filter.title': 'Filter the gallery',
+    'filter.film': 'Film stock',
+    'filter.format': 'Format',
+    'filter.camera': 'Camera',
+    'filter.palette': 'Colour',
+    'filter.palette.bw': 'Black & white',
+    'filter.palette.colour': 'Colour',
+    'filter.subject': 'Subject',
+    'filter.clear': 'Clear filters',
+    'filter.status.one': '{count} series shown',
+    'filter.status.other': '{count} series shown',
+    'subject.street': 'Street',
+    'subject.portrait': 'Portrait',
+    'subject.landscape': 'Landscape',
+    'subject.architecture': 'Architecture',
+    'subject.nature': 'Nature',
+    'subject.night': 'Night',
+    'subject.travel': 'Travel',
+
+    'contact.title': 'Get In Touch',
+    'contact.email': 'Email:',
+    'form.name': 'Name',
+    'form.email': 'Email',
+    'form.inquiryType': 'What is this about?',
+    'form.message': 'Message',
+    'form.messagePlaceholder': 'Interested in prints, collaborations, or just want to chat about film photography?',
+    'form.trap': 'Leave this field empty',
+    'form.choose': 'Choose…',
+    'form.submit': 'Send Message',
+
+    'modal.close': 'Close modal',
+    'modal.imageAlt': 'Project detail image',
+    'modal.previous': 'Previous frame',
+    'modal.next': 'Next frame',
+    'modal.openSeries': 'Open full series',
+    'photo.inquire': 'Ask about this photo',
+
+    'series.back': 'Back to gallery',
+    'series.frames.one': '{count} frame',
+    'series.frames.other': '{count} frames',
+    'series.views': 'Views',
+    'series.view.frames': 'Frames',
+    'series.view.contactSheet': 'Contact sheet',
+    'contactSheet.seriesTitle': '{title}: contact sheet',
+    'contactSheet.seriesDescription': 'The frames of {title} as they sit on the negatives, roll by roll.',
+    'contactSheet.rollTitle': 'Roll {roll}',
+    'contactSheet.rollPageTitle': 'Roll {roll}: contact sheet',
+    'contactSheet.rollDescription': 'The frames published from roll {roll}, in the order they were shot.',
+    'contactSheet.exposureIndex': 'EI {iso}',
+    'contactSheet.keepers.one': '{count} keeper',
+    'contactSheet.keepers.other': '{count} keepers',
+    'contactSheet.strip': 'Frames {first} to {last}',
+    'contactSheet.frame': 'Frame {frame}: {title}',
+    'contactSheet.keeperFrame': 'Frame {frame}, keeper: {title}',
+    'contactSheet.keeper': 'Keeper',
+    'rolls.title': 'Film log',
+    'rolls.description': 'Every roll behind the work: camera, film, exposure, development and scans.',
+    'rolls.column.roll': 'Roll',
+    'rolls.column.dates': 'Shot',
+    'rolls.column.frames': 'Published',
+    'rolls.loaded': 'Loaded',
+    'rolls.finished': 'Finished',
+    'rolls.dates': '{loaded} – {finished}',
+    'rolls.developedAtHome': 'Home, {development}',
+    'rolls.developedAtLab': '{lab}, {development}',
+    'rolls.back': 'All rolls',
+    'rolls.frames': 'Published from this roll',
+    'rolls.none': 'Nothing from this roll is published yet.',
+    'rolls.frame': 'Frame {frame}',
+    'rolls.contactSheet': 'View the contact sheet',
+    'feed.frame': '{title}, frame {number}',
+
+    'spec.camera': 'Camera',
+    'spec.lens': 'Lens',
+    'spec.film': 'Film',
+    'spec.exposureIndex': 'Exposure index',
+    'spec.development': 'Development',
+    'spec.scan': 'Scan',
+    'spec.date': 'Date',
+    'spec.location': 'Location',
+    'spec.boxSpeed': 'Box speed',
+    'spec.push.one': 'Push +{amount} stop',
+    'spec.push.other': 'Push +{amount} stops',
+    'spec.pull.one': 'Pull −{amount} stop',
+    'spec.pull.other': 'Pull −{amount} stops',
+    'spec.developmentTime': '{developer}, {time}',
+    'spec.developmentTimeAt': '{developer}, {time} at {temperature} °C',
+
+    // Shared by public/scripts/form-validation.js and src/lib/contact.ts
+    'validation.required': 'This field is required',
+    'validation.email': 'Please enter a valid email address',
+    'validation.choice': 'Please choose an option',
+    'validation.date': 'Please enter a valid date',
+    'validation.laterDate': 'Please choose a later date',
+    'validation.wholeNumber': 'Please enter a whole number',
+    'validation.numberRange': 'Please enter a number between {min} and {max}',
+
+    'status.pending': 'Sending your message…',
+    'status.sending': 'Sending…',
+    'status.success': "Thanks! Your message has been sent. I'll get back to you soon.",
+    'status.invalid': 'Please fix the highlighted fields and send again.',
+    'status.failed': 'Your message could not be sent. Please try again later.',
+    'status.offline': "You appear to be offline. Your message is still here - send it again once you're back online.",
+    'status.network':
+        'The server could not be reached. Your message is still here - check your connection and press Send Message to try again.',
+    'status.unreadable': 'Send the form as JSON or form data.',
+    'status.expired': 'This form has expired. Please reload the page and try again.',
+    'status.rateLimited': 'You have sent several messages in a short time. Please try again later.',
+    'status.tooFast': 'The form was sent a moment too soon. Please press Send Message again.',
+    'status.tooManyAttempts': 'The form was sent too many times in a short time. Please try again later.',
+};
+
+export type Dictionary = Record<keyof typeof en, string>;
+export type TranslationKey = keyof Dictionary;
@@ -0,0 +1,84 @@
+// Unit tests for translation dictionaries and localized paths
+// Requirements: every language translates every key; language switching keeps the page
+
+import { describe, it, expect } from 'vitest';
+import { en } from './en';
+import { ja, jaInquiryLabels } from './ja';
+import { getFormMessages, isLang, localizePath, readLang, switchLangPath, translate } from './index';
+import { getInquiryTypes, INQUIRY_TYPES } from '../inquiries';
+
+const placeholders = (text: string) => (text.match(/\{\w+\}/g) ?? []).sort();
+
+describe('i18n - dictionaries', () => {
+  it('should translate every English key with the same placeholders', () => {
+    for (const key of Object.keys(en) as (keyof typeof en)[]) {
+      expect(ja[key], key).toBeTruthy();
+      expect(placeholders(ja[key]), key).toEqual(placeholders(en[key]));
+    }
+  });
+
+  it('should only translate inquiry labels that exist', () => {
+    const keys = INQUIRY_TYPES.flatMap((type) => [
+      type.value,
+      ...type.fields.flatMap((field) => [
+        field.name,
+        ...(field.options ?? []).map((option) => `${field.name}.${option.value}`),
+      ]),
+    ]);
+    expect(Object.keys(jaInquiryLabels).filter((key) => !keys.includes(key))).toEqual([]);
+  });
+});
+
+describe('i18n - translate', () => {
+  it('should fill in placeholders', () => {
+    expect(translate('en', 'gallery.viewDetails', { title: 'Landscapes' })).toBe('View details for Landscapes');
+    expect(translate('ja', 'series.frames.other', { count: 3 })).toBe('3コマ');
+  });
+
+  it('should leave placeholders without a value in place', () => {
+    expect(translate('en', 'validation.numberRange', { min: 1 })).toBe('Please enter a number between 1 and {max}');
+  });
+
+  it('should give form-validation.js every message it shows', () => {
+    const messages = getFormMessages('ja');
+    expect(messages.validation.required).toBe('この項目は必須です');
+    expect(messages.status.sending).toBe('送信中…');
+  });
+});
+
+describe('i18n - languages and paths', () => {
+  it('should only accept supported languages', () => {
+    expect(isLang('ja')).toBe(true);
+    expect(isLang('fr')).toBe(false);
+    expect(isLang('toString')).toBe(false);
+    expect(readLang(undefined)).toBe('en');
+    expect(readLang('ja')).toBe('ja');
+  });
+
+  it('should prefix paths with the language', () => {
+    expect(localizePath('/', 'ja')).toBe('/ja/');
+    expect(localizePath('/series/landscapes', 'en')).toBe('/en/series/landscapes');
+  });
+
+  it('should switch the language of a page and keep the rest of its path', () => {
+    expect(switchLangPath('/en/series/landscapes', 'ja')).toBe('/ja/series/landscapes');
+    expect(switchLangPath('/ja/', 'en')).toBe('/en/');
+    expect(switchLangPath('/ja', 'en')).toBe('/en/');
+    expect(switchLangPath('/series/landscapes', 'ja')).toBe('/ja/series/landscapes');
+  });
+});
+
+describe('i18n - inquiry types', () => {
+  it('should translate labels but keep the values the server checks', () => {
+    const prints = getInquiryTypes('ja').find((type) => type.value === 'prints');
+    expect(prints?.label).toBe('プリントのご購入');
+    expect(prints?.fields[1].options?.[0]).toEqual({ value: 'fibre-matte', label: 'ファイバーベース（マット）' });
+    // Sizes read the same in both languages
+    expect(prints?.fields[0].options?.[0].label).toBe('8 × 10 in');
+  });
+
+  it('should leave the English definitions untouched', () => {
+    getInquiryTypes('ja');
+    expect(INQUIRY_TYPES[1].label).toBe('Buying prints');
+  });
+});
@@ -0,0 +1,166 @@
+// Languages the site is published in and helpers for translating UI strings
+//
+// Every page lives under a language prefix (/en/, /ja/); astro.config.mjs
+// lists the same locales for Astro's i18n routing. Series text is translated
+// in the content files themselves (see src/content.config.ts).
+
+import { en, type Dictionary, type TranslationKey } from './en';
+import { ja, jaInquiryLabels } from './ja';
+
+export type { Dictionary, TranslationKey };
+
+export const LANGUAGES = {
+    en: 'English',
+    ja: '日本語',
+} as const;
+
+export type Lang = keyof typeof LANGUAGES;
+
+export const LOCALES = Object.keys(LANGUAGES) as Lang[];
+export const DEFAULT_LANG: Lang = 'en';
+
+// Locale used to format dates for each language
+export const DATE_LOCALES: Record<Lang, string> = {
+    en: 'en-GB',
+    ja: 'ja-JP',
+};
+
+const dictionaries: Record<Lang, Dictionary> = { en, ja };
+
+const inquiryLabels: Record<Lang, Record<string, string>> = { en: {}, ja: jaInquiryLabels };
+
+/**
+ * Checks whether a value is one of the site's languages
+ * @param {unknown} value - e.g. a URL segment or a submitted form field
+ * @returns {boolean} - True if the value is a supported language code
+ */
+export function isLang(value: unknown): value is Lang {
+    return typeof value === 'string' && Object.hasOwn(LANGUAGES, value);
+}
+
+/**
+ * Reads a language code, falling back when it is missing or unsupported
+ * @param {unknown} value - The language code to read
+ * @param {Lang} fallback - Language to use otherwise
+ * @returns {Lang} - A supported language
+ */
+export function readLang(value: unknown, fallback: Lang = DEFAULT_LANG): Lang {
+    return isLang(value) ? value : fallback;
+}
+
+/**
+ * Looks up a UI string and fills in its placeholders
+ * @param {Lang} lang - The language to translate into
+ * @param {TranslationKey} key - The dictionary key
+ * @param {Record<string, string | number>} values - Values for {placeholders} in the string
+ * @returns {string} - The translated string
+ */
+export function translate(lang: Lang, key: TranslationKey, values: Record<string, string | number> = {}): string {
+    return dictionaries[lang][key].replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+        name in values ? String(values[name]) : placeholder
+    );
+}
+
+/**
+ * Binds translate() to one language, for use in pages and components
+ * @param {Lang} lang - The page's language
+ * @returns {(key: TranslationKey, values?: Record<string, string | number>) => string} - The translate function
+ */
+export function useTranslations(lang: Lang) {
+    return (key: TranslationKey, values?: Record<string, string | number>) => translate(lang, key, values);
+}
+
+/**
+ * Translates a contact form inquiry label
+ * @param {Lang} lang - The language to translate into
+ * @param {string} key - Type value, field name, or "field.option"
+ * @param {string} fallback - The English label from src/lib/inquiries.ts
+ * @returns {string} - The translated label, or the fallback if there is none
+ */
+export function translateInquiryLabel(lang: Lang, key: string, fallback: string): string {
+    return inquiryLabels[lang][key] ?? fallback;
+}
+
+/**
+ * Prefixes a site path with a language
+ * @param {string} path - A path starting with "/", e.g. "/series/urban-moments"
+ * @param {Lang} lang - The language
+ * @returns {string} - e.g. "/ja/series/urban-moments"
+ */
+export function localizePath(path: string, lang: Lang): string {
+    return `/${lang}${path}`;
+}
+
+/**
+ * Returns the same page in another language
+ * @param {string} pathname - The current page's path, with or without a language prefix
+ * @param {Lang} lang - The language to switch to
+ * @returns {string} - e.g. "/ja/series/urban-moments" for "/en/series/urban-moments"
+ */
+export function switchLangPath(pathname: string, lang: Lang): string {
+    const [, first = '', ...rest] = pathname.split('/');
+    const path = isLang(first) ? `/${rest.join('/')}` : pathname;
+    return localizePath(path, lang);
+}
+
+/**
+ * Collects the messages public/scripts/form-validation.js shows, so a page can
+ * hand them over in its own language
+ * @param {Lang} lang - The page's language
+ * @returns {{validation: Record<string, string>, status: Record<string, string>}} - Messages keyed as in form-validation.js
+ */
+export function getFormMessages(lang: Lang) {
+    const t = useTranslations(lang);
+    return {
+        validation: {
+            required: t('validation.required'),
+            email: t('validation.email'),
+            choice: t('validation.choice'),
+            date: t('validation.date'),
+            laterDate: t('validation.laterDate'),
+            wholeNumber: t('validation.wholeNumber'),
+            numberRange: t('validation.numberRange'),
+        },
+        status: {
+            pending: t('status.pending'),
+            sending: t('status.sending'),
+            success: t('status.success'),
+            invalid: t('status.invalid'),
+            failed: t('status.failed'),
+            offline: t('status.offline'),
+            network: t('status.network'),
+        },
+    };
+}
+
+/**
+ * Collects the messages public/scripts/search.js shows, so the overlay speaks
+ * the page's language
+ * @param {Lang} lang - The page's language
+ * @returns {{loading: string, error: string, none: string, count: Record<string, string>, kind: Record<string, string>}} - Messages keyed as in search.js
+ */
+export function getSearchMessages(lang: Lang) {
+    const t = useTranslations(lang);
+    return {
+        loading: t('search.loading'),
+        error: t('search.error'),
+        none: t('search.none'),
+        count: { one: t('search.count.one'), other: t('search.count.other') },
+        kind: { series: t('search.kind.series'), photo: t('search.kind.photo') },
+    };
+}
+
+/**
+ * Collects the messages public/scripts/virtual-gallery.js shows while it loads
+ * more of the archive
+ * @param {Lang} lang - The page's language
+ * @returns {{loading: string, loaded: string, error: string}} - Messages keyed as in virtual-gallery.js
+ */
+export function getArchiveMessages(lang: Lang) {
+    const t = useTranslations(lang);
+    return {
+        loading: t('archive.loading'),
+        loaded: t('archive.loaded'),
+        error: t('archive.error'),
+    };
+}
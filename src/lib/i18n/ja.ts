@@ -0,0 +1,209 @@
+// Japanese UI strings
+//
+// Typed against the English dictionary, so a missing key fails the type check.
+
+import type { Dictionary } from './en';
+
+export const ja: Dictionary = {
+    'layout.skipToMain': 'メインコンテンツへスキップ',
+    'nav.home': 'ホーム',
+    'nav.about': 'プロフィール',
+    'nav.gallery': 'ギャラリー',
+    'nav.archive': 'アーカイブ',
+    'nav.contact': 'お問い合わせ',
+    'nav.toggle': 'ナビゲーションメニューを開閉',
+    'nav.language': '言語',
+    'archive.title': 'アーカイブ',
+    'archive.pageTitle': 'アーカイブ（{page}ページ目）',
+    'archive.description': 'これまでに公開したすべてのコマを、すべてのシリーズから新しい順に。',
+    'archive.pagination': 'アーカイブのページ',
+    'archive.page': '{pages}ページ中{page}ページ目',
+    'archive.previous': '新しいコマ',
+    'archive.next': '古いコマ',
+    'archive.loading': '続きのコマを読み込み中…',
+    'archive.loaded': '{total}コマ中{count}コマを表示',
+    'archive.error': '続きのコマを読み込めませんでした。',
+    'archive.retry': 'もう一度試す',
+    'search.open': '検索',
+    'search.title': 'ポートフォリオを検索',
+    'search.placeholder': '場所、フィルム、カメラで検索…',
+    'search.close': '検索を閉じる',
+    'search.results': '検索結果',
+    'search.hint': '↑ ↓ で選択、Enter で開く、Esc で閉じる',
+    'search.loading': '読み込み中…',
+    'search.error': '現在、検索をご利用いただけません。時間をおいて、もう一度お試しください。',
+    'search.none': '「{query}」に一致する結果はありません',
+    'search.count.one': '{count}件',
+    'search.count.other': '{count}件',
+    'search.kind.series': 'シリーズ',
+    'search.kind.photo': '写真',
+    'footer.rights': '無断転載を禁じます。',
+    'social.profile': '{network}のプロフィール',
+
+    'hero.title': 'フィルム写真',
+    'hero.subtitle': 'アナログフィルムで瞬間を写す',
+    'hero.cta': 'ギャラリーを見る',
+    'hero.imageAlt': '紅葉に囲まれた赤い五重塔と、遠くに広がる街と山',
+
+    'about.title': '作品について',
+    'about.profileAlt': '50mmレンズを付けたヴィンテージのフィルムカメラ Canon AE-1',
+    'about.intro':
+        'アナログ写真に打ち込むフィルム写真家です。主に35mmと中判フィルムを使い、セルロイドという時代を超えた媒体を通して世界を写しています。',
+    'about.approach':
+        '粒子の美しさ、影の深さ、そしてフィルムにしか出せない質感を探っています。一枚一枚を丁寧に構図し、フィルムで撮影し、暗室で手現像しています。',
+    'about.kit': 'カメラ：Canon AE-1、Pentax K1000、Mamiya RB67 ｜ フィルム：Kodak Tri-X、Portra 400、Ilford HP5',
+    'about.filmLog': 'フィルムログで作品の元になったすべてのロールを見る',
+
+    'gallery.title': 'ギャラリー',
+    'gallery.viewDetails': '{title}の詳細を見る',
+    'gallery.viewSeries': 'シリーズを見る',
+
+    'filter.title': 'ギャラリーを絞り込む',
+    'filter.film': 'フィルム',
+    'filter.format': 'フォーマット',
+    'filter.camera': 'カメラ',
+    'filter.palette': 'カラー',
+    'filter.palette.bw': 'モノクロ',
+    'filter.palette.colour': 'カラー',
+    'filter.subject': '被写体',
+    'filter.clear': '絞り込みを解除',
+    'filter.status.one': '{count}シリーズを表示中',
+    'filter.status.other': '{count}シリーズを表示中',
+    'subject.street': 'ストリート',
+    'subject.portrait': 'ポートレート',
+    'subject.landscape': '風景',
+    'subject.architecture': '建築',
+    'subject.nature': '自然',
+    'subject.night': '夜景',
+    'subject.travel': '旅',
+
+    'contact.title': 'お問い合わせ',
+    'contact.email': 'メール：',
+    'form.name': 'お名前',
+    'form.email': 'メールアドレス',
+    'form.inquiryType': 'お問い合わせの種類',
+    'form.message': 'メッセージ',
+    'form.messagePlaceholder': 'プリントのご購入やコラボレーションのご相談、フィルム写真の雑談もお気軽にどうぞ。',
+    'form.trap': 'この欄は空欄のままにしてください',
+    'form.choose': '選択してください',
+    'form.submit': '送信する',
+
+    'modal.close': '閉じる',
+    'modal.imageAlt': '作品の詳細画像',
+    'modal.previous': '前のコマ',
+    'modal.next': '次のコマ',
+    'modal.openSeries': 'シリーズ全体を見る',
+    'photo.inquire': 'この写真について問い合わせる',
+
+    'series.back': 'ギャラリーに戻る',
+    'series.frames.one': '{count}コマ',
+    'series.frames.other': '{count}コマ',
+    'series.views': '表示',
+    'series.view.frames': '写真',
+    'series.view.contactSheet': 'コンタクトシート',
+    'contactSheet.seriesTitle': '{title}：コンタクトシート',
+    'contactSheet.seriesDescription': '{title}のコマを、ロールごとにネガの並び順で。',
+    'contactSheet.rollTitle': 'ロール {roll}',
+    'contactSheet.rollPageTitle': 'ロール {roll}：コンタクトシート',
+    'contactSheet.rollDescription': 'ロール {roll} から公開したコマを、撮影順に。',
+    'contactSheet.exposureIndex': 'EI {iso}',
+    'contactSheet.keepers.one': 'セレクト{count}コマ',
+    'contactSheet.keepers.other': 'セレクト{count}コマ',
+    'contactSheet.strip': '{first}〜{last}コマ目',
+    'contactSheet.frame': '{frame}コマ目：{title}',
+    'contactSheet.keeperFrame': '{frame}コマ目（セレクト）：{title}',
+    'contactSheet.keeper': 'セレクト',
+    'rolls.title': 'フィルムログ',
+    'rolls.description': '作品の元になったすべてのロール：カメラ、フィルム、露出、現像、スキャン。',
+    'rolls.column.roll': 'ロール',
+    'rolls.column.dates': '撮影期間',
+    'rolls.column.frames': '公開',
+    'rolls.loaded': '装填',
+    'rolls.finished': '撮り終え',
+    'rolls.dates': '{loaded}〜{finished}',
+    'rolls.developedAtHome': '自家現像、{development}',
+    'rolls.developedAtLab': '{lab}、{development}',
+    'rolls.back': 'すべてのロール',
+    'rolls.frames': 'このロールから公開したコマ',
+    'rolls.none': 'このロールからはまだ公開していません。',
+    'rolls.frame': '{frame}コマ目',
+    'rolls.contactSheet': 'コンタクトシートを見る',
+    'feed.frame': '{title}　{number}コマ目',
+
+    'spec.camera': 'カメラ',
+    'spec.lens': 'レンズ',
+    'spec.film': 'フィルム',
+    'spec.exposureIndex': '露光指数',
+    'spec.development': '現像',
+    'spec.scan': 'スキャン',
+    'spec.date': '撮影日',
+    'spec.location': '撮影地',
+    'spec.boxSpeed': '箱感度',
+    'spec.push.one': '+{amount}段増感',
+    'spec.push.other': '+{amount}段増感',
+    'spec.pull.one': '−{amount}段減感',
+    'spec.pull.other': '−{amount}段減感',
+    'spec.developmentTime': '{developer}、{time}',
+    'spec.developmentTimeAt': '{developer}、{temperature} °Cで{time}',
+
+    'validation.required': 'この項目は必須です',
+    'validation.email': '有効なメールアドレスを入力してください',
+    'validation.choice': '選択肢を選んでください',
+    'validation.date': '有効な日付を入力してください',
+    'validation.laterDate': 'もっと先の日付を選んでください',
+    'validation.wholeNumber': '整数を入力してください',
+    'validation.numberRange': '{min}から{max}までの数を入力してください',
+
+    'status.pending': 'メッセージを送信しています…',
+    'status.sending': '送信中…',
+    'status.success': 'ありがとうございます。メッセージを送信しました。折り返しご連絡します。',
+    'status.invalid': '赤く表示された項目を修正して、もう一度送信してください。',
+    'status.failed': 'メッセージを送信できませんでした。時間をおいて、もう一度お試しください。',
+    'status.offline': 'オフラインのようです。入力内容はそのまま残っています。接続が戻ったら、もう一度送信してください。',
+    'status.network':
+        'サーバーに接続できませんでした。入力内容はそのまま残っています。接続を確認して「送信する」をもう一度押してください。',
+    'status.unreadable': 'フォームはJSONまたはフォームデータで送信してください。',
+    'status.expired': 'フォームの有効期限が切れました。ページを再読み込みして、もう一度お試しください。',
+    'status.rateLimited': '短時間に何度もメッセージが送信されました。時間をおいて、もう一度お試しください。',
+    'status.tooFast': 'フォームの送信が早すぎました。もう一度「送信する」を押してください。',
+    'status.tooManyAttempts': '短時間に何度もフォームが送信されました。時間をおいて、もう一度お試しください。',
+};
+
+// Contact form inquiry types, fields and options (src/lib/inquiries.ts), keyed
+// by type value, field name, or "field.option"; anything missing stays English
+export const jaInquiryLabels: Record<string, string> = {
+    general: '一般的なご質問',
+    prints: 'プリントのご購入',
+    printSize: 'プリントサイズ',
+    paper: '用紙',
+    'paper.fibre-matte': 'ファイバーベース（マット）',
+    'paper.fibre-gloss': 'ファイバーベース（光沢）',
+    'paper.baryta': 'バライタ',
+    'paper.rc-pearl': 'RCペーパー（パール）',
+    frame: '額装',
+    'frame.none': '額なし',
+    'frame.black': '黒の木製フレーム',
+    'frame.oak': 'オーク材フレーム',
+    quantity: '枚数',
+    commissions: '撮影のご依頼',
+    shootDate: '希望日',
+    shootLocation: '撮影場所',
+    licensing: '画像の使用許諾',
+    usage: '用途',
+    'usage.editorial': '編集・報道',
+    'usage.commercial': '商用・広告',
+    'usage.book': '書籍・アルバムのカバー',
+    'usage.personal': '個人・非商用',
+    territory: '地域',
+    'territory.japan': '日本',
+    'territory.asia': 'アジア',
+    'territory.europe': 'ヨーロッパ',
+    'territory.north-america': '北米',
+    'territory.worldwide': '全世界',
+    licenseDuration: '期間',
+    'licenseDuration.1-year': '1年',
+    'licenseDuration.3-years': '3年',
+    'licenseDuration.5-years': '5年',
+    'licenseDuration.perpetual': '無期限',
+    collaboration: 'コラボレーション',
+};
@@ -0,0 +1,124 @@
+// Responsive image settings shared by the gallery, series pages and modal
+//
+// The `sizes` strings mirror the layout in public/styles/styles.css: the
+// .container is at most 1200px wide with 20px padding on each side, and
+// .portfolio-grid drops from three columns to two at 1024px and to one at 768px.
+// public/scripts/gallery-layout.js replaces the gallery's `sizes` with each
+// card's width once it has laid the grid out.
+
+import { getImage } from 'astro:assets';
+import type { ImageMetadata, ImageOutputFormat } from 'astro';
+
+// Modern formats offered through <picture>, with JPEG as the <img> fallback
+export const IMAGE_FORMATS: ImageOutputFormat[] = ['avif', 'webp'];
+export const FALLBACK_FORMAT: ImageOutputFormat = 'jpg';
+
+// .portfolio-grid cards: 3 columns (2rem gap), 2 columns (1.5rem gap), then 1
+export const GALLERY_WIDTHS = [360, 540, 720, 1080];
+export const GALLERY_SIZES = [
+    '(max-width: 768px) calc(100vw - 40px)',
+    '(max-width: 1024px) calc((100vw - 40px - 1.5rem) / 2)',
+    '(max-width: 1200px) calc((100vw - 40px - 4rem) / 3)',
+    '366px',
+].join(', ');
+
+// .series-grid photos: 2 columns (2rem gap), then 1 below 768px
+export const SERIES_WIDTHS = [560, 840, 1120, 1680];
+export const SERIES_SIZES = [
+    '(max-width: 768px) calc(100vw - 40px)',
+    '(max-width: 1200px) calc((100vw - 40px - 2rem) / 2)',
+    '564px',
+].join(', ');
+
+// .archive-grid thumbnails without JavaScript, and .roll-frames: as many
+// 200px-wide columns as fit (two on phones); public/scripts/virtual-gallery.js
+// sets each archive thumbnail's width
+export const ARCHIVE_WIDTHS = [240, 360, 480, 720];
+export const ARCHIVE_SIZES = '(max-width: 480px) calc(50vw - 24px), 240px';
+
+// .contact-strip frames: six 35mm or three 120 frames across the .container,
+// each at least 110px or 200px wide on phones, where strips scroll sideways
+export const CONTACT_WIDTHS = [180, 270, 360, 540];
+export const CONTACT_SIZES = {
+    '35mm': '(max-width: 768px) 110px, (max-width: 1200px) calc((100vw - 40px) / 6), 190px',
+    '120': '(max-width: 768px) 200px, (max-width: 1200px) calc((100vw - 40px) / 3), 380px',
+};
+
+// .modal-content is at most 900px wide inside 2rem (1rem on mobile) of padding
+export const MODAL_WIDTHS = [600, 900, 1350, 1800];
+export const MODAL_SIZES = '(max-width: 768px) calc(100vw - 2rem), (max-width: 964px) calc(100vw - 4rem), 900px';
+
+// The hero fills the viewport
+export const HERO_WIDTHS = [640, 960, 1200];
+export const HERO_SIZES = '100vw';
+
+// .profile-image is a 300px circle (250px on mobile)
+export const PROFILE_WIDTHS = [250, 300, 500, 600];
+export const PROFILE_SIZES = '(max-width: 768px) 250px, 300px';
+
+// Link previews (Open Graph, Twitter cards, structured data) use one JPEG this wide
+export const SHARE_IMAGE_WIDTH = 1200;
+// Feed thumbnails (src/lib/feeds.ts)
+export const THUMBNAIL_WIDTH = 600;
+
+export interface ShareImage {
+    src: string;
+    width: number;
+    height: number;
+}
+
+export interface ResponsiveImage {
+    src: string;
+    srcset: string;
+    sizes: string;
+    width: number;
+    height: number;
+    sources: { type: string; srcset: string }[];
+}
+
+/**
+ * Generates the URLs for an image rendered by client-side scripts, which cannot
+ * use the <Picture> component
+ * @param {ImageMetadata} image - An imported or collection image
+ * @param {number[]} widths - Candidate widths for every format
+ * @param {string} sizes - The `sizes` attribute for the rendered image
+ * @returns {Promise<ResponsiveImage>} - Fallback src/srcset plus one source per modern format
+ */
+export async function getResponsiveImage(
+    image: ImageMetadata,
+    widths: number[],
+    sizes: string
+): Promise<ResponsiveImage> {
+    // Astro never upscales, so drop widths larger than the original
+    const usableWidths = widths.filter((width) => width <= image.width);
+    const candidateWidths = usableWidths.length > 0 ? usableWidths : [image.width];
+
+    const fallback = await getImage({ src: image, widths: candidateWidths, format: FALLBACK_FORMAT });
+    const sources = await Promise.all(
+        IMAGE_FORMATS.map(async (format) => {
+            const result = await getImage({ src: image, widths: candidateWidths, format });
+            return { type: `image/${format}`, srcset: result.srcSet.attribute };
+        })
+    );
+
+    return {
+        src: fallback.src,
+        srcset: fallback.srcSet.attribute,
+        sizes,
+        width: image.width,
+        height: image.height,
+        sources,
+    };
+}
+
+/**
+ * Generates the single JPEG that link previews, structured data and feeds point to
+ * @param {ImageMetadata} image - An imported or collection image
+ * @param {number} maxWidth - Widest the JPEG may be; smaller images keep their own width
+ * @returns {Promise<ShareImage>} - Its path and pixel size
+ */
+export async function getShareImage(image: ImageMetadata, maxWidth = SHARE_IMAGE_WIDTH): Promise<ShareImage> {
+    const width = Math.min(maxWidth, image.width);
+    const result = await getImage({ src: image, width, format: FALLBACK_FORMAT });
+    return { src: result.src, width, height: Math.round((image.height * width) / image.width) };
+}
@@ -0,0 +1,173 @@
+// Inquiry types offered on the contact form and the extra fields each one asks for
+//
+// src/pages/[lang]/index.astro renders the form from these definitions and
+// src/lib/contact.ts validates submissions against them, so the options a
+// visitor can pick are always the ones the server accepts. Labels are English;
+// the form shows them translated through getInquiryTypes().
+
+import { DEFAULT_LANG, translateInquiryLabel, type Lang } from './i18n';
+
+export interface InquiryOption {
+    value: string;
+    label: string;
+}
+
+export interface InquiryField {
+    name: string;
+    label: string;
+    type: 'select' | 'text' | 'date' | 'number';
+    options?: InquiryOption[];
+    min?: number;
+    max?: number;
+    // Dates only: reject days that have already passed
+    future?: boolean;
+    // Starting value shown in the form
+    value?: string;
+}
+
+export interface InquiryType {
+    value: string;
+    label: string;
+    fields: InquiryField[];
+}
+
+export const INQUIRY_TYPES: InquiryType[] = [
+    { value: 'general', label: 'General question', fields: [] },
+    {
+        value: 'prints',
+        label: 'Buying prints',
+        fields: [
+            {
+                name: 'printSize',
+                label: 'Print size',
+                type: 'select',
+                options: [
+                    { value: '8x10', label: '8 × 10 in' },
+                    { value: '11x14', label: '11 × 14 in' },
+                    { value: '16x20', label: '16 × 20 in' },
+                    { value: '20x24', label: '20 × 24 in' },
+                ],
+            },
+            {
+                name: 'paper',
+                label: 'Paper',
+                type: 'select',
+                options: [
+                    { value: 'fibre-matte', label: 'Fibre-based matte' },
+                    { value: 'fibre-gloss', label: 'Fibre-based gloss' },
+                    { value: 'baryta', label: 'Baryta' },
+                    { value: 'rc-pearl', label: 'Resin-coated pearl' },
+                ],
+            },
+            {
+                name: 'frame',
+                label: 'Frame',
+                type: 'select',
+                options: [
+                    { value: 'none', label: 'Unframed' },
+                    { value: 'black', label: 'Black wood' },
+                    { value: 'oak', label: 'Natural oak' },
+                ],
+            },
+            { name: 'quantity', label: 'Quantity', type: 'number', min: 1, max: 20, value: '1' },
+        ],
+    },
+    {
+        value: 'commissions',
+        label: 'Commissioning a shoot',
+        fields: [
+            { name: 'shootDate', label: 'Preferred date', type: 'date', future: true },
+            { name: 'shootLocation', label: 'Location', type: 'text' },
+        ],
+    },
+    {
+        value: 'licensing',
+        label: 'Licensing an image',
+        fields: [
+            {
+                name: 'usage',
+                label: 'Usage',
+                type: 'select',
+                options: [
+                    { value: 'editorial', label: 'Editorial' },
+                    { value: 'commercial', label: 'Commercial / advertising' },
+                    { value: 'book', label: 'Book or album cover' },
+                    { value: 'personal', label: 'Personal / non-commercial' },
+                ],
+            },
+            {
+                name: 'territory',
+                label: 'Territory',
+                type: 'select',
+                options: [
+                    { value: 'japan', label: 'Japan' },
+                    { value: 'asia', label: 'Asia' },
+                    { value: 'europe', label: 'Europe' },
+                    { value: 'north-america', label: 'North America' },
+                    { value: 'worldwide', label: 'Worldwide' },
+                ],
+            },
+            {
+                name: 'licenseDuration',
+                label: 'Duration',
+                type: 'select',
+                options: [
+                    { value: '1-year', label: '1 year' },
+                    { value: '3-years', label: '3 years' },
+                    { value: '5-years', label: '5 years' },
+                    { value: 'perpetual', label: 'Perpetual' },
+                ],
+            },
+        ],
+    },
+    { value: 'collaboration', label: 'Collaboration', fields: [] },
+];
+
+export const DEFAULT_INQUIRY_TYPE = 'general';
+
+/**
+ * Looks up an inquiry type by its form value
+ * @param {string} value - The submitted inquiry type
+ * @returns {InquiryType | undefined} - The definition, or undefined if unknown
+ */
+export function getInquiryType(value: string): InquiryType | undefined {
+    return INQUIRY_TYPES.find((type) => type.value === value);
+}
+
+/**
+ * Returns the inquiry types with their labels in one language
+ * @param {Lang} lang - The form's language
+ * @returns {InquiryType[]} - Translated copies of INQUIRY_TYPES
+ */
+export function getInquiryTypes(lang: Lang): InquiryType[] {
+    if (lang === DEFAULT_LANG) {
+        return INQUIRY_TYPES;
+    }
+
+    return INQUIRY_TYPES.map((type) => ({
+        ...type,
+        label: translateInquiryLabel(lang, type.value, type.label),
+        fields: type.fields.map((field) => ({
+            ...field,
+            label: translateInquiryLabel(lang, field.name, field.label),
+            options: field.options?.map((option) => ({
+                ...option,
+                label: translateInquiryLabel(lang, `${field.name}.${option.value}`, option.label),
+            })),
+        })),
+    }));
+}
+
+/**
+ * Lists an inquiry's extra fields by label, showing option labels rather than form values
+ * @param {string} type - The inquiry type value
+ * @param {Record<string, string>} details - Submitted values keyed by field name
+ * @returns {{label: string, value: string}[]} - e.g. [{ label: 'Print size', value: '11 × 14 in' }]
+ */
+export function describeInquiryDetails(type: string, details: Record<string, string>): { label: string; value: string }[] {
+    return (getInquiryType(type)?.fields ?? []).map((field) => {
+        const value = details[field.name] ?? '';
+        const option = field.options?.find((candidate) => candidate.value === value);
+        return { label: field.label, value: option ? option.label : value };
+    });
+}
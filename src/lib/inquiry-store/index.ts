@@ -0,0 +1,19 @@
+// Opens the inquiry store configured by INQUIRY_STORE_FILE
+
+import { INQUIRY_STORE_FILE } from 'astro:env/server';
+import { createJsonLinesInquiryStore } from './jsonl';
+import type { InquiryStore } from './types';
+
+export type { InquiryRecord, InquiryReference, InquiryStore } from './types';
+export { filterInquiries, readInquiryFilter, toCsv, type InquiryFilter } from './query';
+
+let store: InquiryStore | undefined;
+
+/**
+ * Returns the inquiry store shared by the contact endpoint and the admin pages
+ * @returns {InquiryStore} - The JSON-lines store
+ */
+export function getInquiryStore(): InquiryStore {
+    store ??= createJsonLinesInquiryStore(INQUIRY_STORE_FILE);
+    return store;
+}
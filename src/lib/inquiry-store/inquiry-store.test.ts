@@ -0,0 +1,129 @@
+// Unit tests for the persisted inquiry inbox
+// Requirements: store inquiries locally, filter them and export them as CSV
+
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createJsonLinesInquiryStore } from './jsonl';
+import { escapeCsvCell, filterInquiries, readInquiryFilter, toCsv } from './query';
+import type { InquiryRecord } from './types';
+
+const inquiry = (overrides: Partial<InquiryRecord>): InquiryRecord => ({
+  id: 'a',
+  receivedAt: '2025-03-14T09:30:00.000Z',
+  name: 'Aiko',
+  email: 'aiko@example.com',
+  message: 'Do you sell prints?',
+  inquiryType: 'general',
+  details: {},
+  repliedAt: null,
+  ...overrides,
+});
+
+describe('Inquiry store - JSON lines', () => {
+  let directory: string;
+  let path: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'inquiries-'));
+    path = join(directory, 'data', 'inquiries.jsonl');
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should list nothing before the first inquiry', async () => {
+    await expect(createJsonLinesInquiryStore(path).list()).resolves.toEqual([]);
+  });
+
+  it('should append one line per inquiry and list them newest first', async () => {
+    const store = createJsonLinesInquiryStore(path);
+    await store.add(inquiry({ id: 'a' }));
+    await store.add(inquiry({ id: 'b' }));
+
+    expect((await readFile(path, 'utf8')).trim().split('\n')).toHaveLength(2);
+    expect((await store.list()).map((record) => record.id)).toEqual(['b', 'a']);
+  });
+
+  it('should mark an inquiry as replied and reopen it', async () => {
+    const store = createJsonLinesInquiryStore(path);
+    await store.add(inquiry({ id: 'a' }));
+    await store.add(inquiry({ id: 'b' }));
+
+    await expect(store.setReplied('a', '2025-03-15T10:00:00.000Z')).resolves.toBe(true);
+    expect((await store.list()).find((record) => record.id === 'a')?.repliedAt).toBe('2025-03-15T10:00:00.000Z');
+
+    await store.setReplied('a', null);
+    expect((await store.list()).every((record) => record.repliedAt === null)).toBe(true);
+  });
+
+  it('should report unknown ids', async () => {
+    await expect(createJsonLinesInquiryStore(path).setReplied('missing', null)).resolves.toBe(false);
+  });
+
+  it('should not lose an inquiry added while another is being updated', async () => {
+    const store = createJsonLinesInquiryStore(path);
+    await store.add(inquiry({ id: 'a' }));
+
+    await Promise.all([store.setReplied('a', '2025-03-15T10:00:00.000Z'), store.add(inquiry({ id: 'b' }))]);
+
+    expect((await store.list()).map((record) => record.id)).toEqual(['b', 'a']);
+  });
+});
+
+describe('Inquiry store - filterInquiries', () => {
+  const records = [
+    inquiry({ id: 'a', inquiryType: 'prints', details: { paper: 'baryta' } }),
+    inquiry({ id: 'b', inquiryType: 'licensing', repliedAt: '2025-03-15T10:00:00.000Z' }),
+    inquiry({ id: 'c', name: 'Kenji', email: 'kenji@example.com', message: 'Collaboration?' }),
+  ];
+  const ids = (filtered: InquiryRecord[]) => filtered.map((record) => record.id);
+
+  it('should filter by type and status', () => {
+    expect(ids(filterInquiries(records, { type: 'prints' }))).toEqual(['a']);
+    expect(ids(filterInquiries(records, { status: 'open' }))).toEqual(['a', 'c']);
+    expect(ids(filterInquiries(records, { status: 'replied' }))).toEqual(['b']);
+  });
+
+  it('should search names, emails, messages and details', () => {
+    expect(ids(filterInquiries(records, { search: 'KENJI' }))).toEqual(['c']);
+    expect(ids(filterInquiries(records, { search: 'baryta' }))).toEqual(['a']);
+  });
+
+  it('should read the filter from the query string, ignoring unknown statuses', () => {
+    expect(readInquiryFilter(new URLSearchParams('type=prints&status=spam&q=%20kyoto%20'))).toEqual({
+      type: 'prints',
+      status: '',
+      search: 'kyoto',
+    });
+  });
+});
+
+describe('Inquiry store - toCsv', () => {
+  it('should write a header row and one row per inquiry', () => {
+    const csv = toCsv([
+      inquiry({
+        inquiryType: 'prints',
+        details: { printSize: '11x14', quantity: '2' },
+        reference: { series: 'urban-moments', photo: 2 },
+      }),
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'id,receivedAt,name,email,inquiryType,details,series,photo,message,repliedAt',
+      'a,2025-03-14T09:30:00.000Z,Aiko,aiko@example.com,prints,printSize: 11x14; quantity: 2,urban-moments,2,Do you sell prints?,',
+      '',
+    ]);
+  });
+
+  it('should quote cells containing commas, quotes or line breaks', () => {
+    expect(escapeCsvCell('Hello, "world"\nBye')).toBe('"Hello, ""world""\nBye"');
+  });
+
+  it('should stop spreadsheets running cells as formulas', () => {
+    expect(escapeCsvCell('=HYPERLINK("http://spam.example")')).toBe('"\'=HYPERLINK(""http://spam.example"")"');
+    expect(escapeCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+  });
+});
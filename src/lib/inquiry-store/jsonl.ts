@@ -0,0 +1,68 @@
+// Inquiry store kept in a JSON-lines file: one inquiry per line, newest last
+
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import type { InquiryRecord, InquiryStore } from './types';
+
+async function readRecords(path: string): Promise<InquiryRecord[]> {
+    let contents: string;
+    try {
+        contents = await readFile(path, 'utf8');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return contents
+        .split('\n')
+        .filter((line) => line.trim().length > 0)
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Creates an inquiry store backed by a JSON-lines file
+ * @param {string} path - File to keep inquiries in; created if missing
+ * @returns {InquiryStore} - The file store
+ */
+export function createJsonLinesInquiryStore(path: string): InquiryStore {
+    // Serialise writes so an update never overwrites a line appended meanwhile
+    let queue: Promise<unknown> = Promise.resolve();
+    const enqueue = <T>(task: () => Promise<T>): Promise<T> => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        add(record) {
+            return enqueue(async () => {
+                await mkdir(dirname(path), { recursive: true });
+                await appendFile(path, `${JSON.stringify(record)}\n`);
+            });
+        },
+
+        async list() {
+            const records = await readRecords(path);
+            return records.reverse();
+        },
+
+        setReplied(id, repliedAt) {
+            return enqueue(async () => {
+                const records = await readRecords(path);
+                const record = records.find((candidate) => candidate.id === id);
+                if (!record) {
+                    return false;
+                }
+                record.repliedAt = repliedAt;
+
+                // Write a copy and swap it in, so a crash never leaves half a file
+                const temporaryPath = `${path}.tmp`;
+                await writeFile(temporaryPath, records.map((candidate) => `${JSON.stringify(candidate)}\n`).join(''));
+                await rename(temporaryPath, path);
+                return true;
+            });
+        },
+    };
+}
@@ -0,0 +1,103 @@
+// Filtering and CSV export for the admin inquiry list
+
+import type { InquiryRecord } from './types';
+
+export interface InquiryFilter {
+    // Inquiry type value, or empty for every type
+    type?: string;
+    // 'open', 'replied', or empty for both
+    status?: string;
+    // Case-insensitive text matched against name, email, message and details
+    search?: string;
+}
+
+/**
+ * Reads a filter from the admin page's query string
+ * @param {URLSearchParams} params - The request's search params
+ * @returns {InquiryFilter} - The filter, with unknown values left empty
+ */
+export function readInquiryFilter(params: URLSearchParams): InquiryFilter {
+    const status = params.get('status') ?? '';
+    return {
+        type: params.get('type') ?? '',
+        status: status === 'open' || status === 'replied' ? status : '',
+        search: (params.get('q') ?? '').trim(),
+    };
+}
+
+/**
+ * Keeps the inquiries that match a filter
+ * @param {InquiryRecord[]} records - The inquiries to filter
+ * @param {InquiryFilter} filter - What to keep
+ * @returns {InquiryRecord[]} - Matching inquiries, in their original order
+ */
+export function filterInquiries(records: InquiryRecord[], filter: InquiryFilter): InquiryRecord[] {
+    const search = filter.search?.toLowerCase() ?? '';
+
+    return records.filter((record) => {
+        if (filter.type && record.inquiryType !== filter.type) {
+            return false;
+        }
+        if (filter.status === 'open' && record.repliedAt) {
+            return false;
+        }
+        if (filter.status === 'replied' && !record.repliedAt) {
+            return false;
+        }
+        if (search) {
+            const text = [record.name, record.email, record.message, ...Object.values(record.details)].join('\n');
+            return text.toLowerCase().includes(search);
+        }
+        return true;
+    });
+}
+
+const CSV_COLUMNS = [
+    'id',
+    'receivedAt',
+    'name',
+    'email',
+    'inquiryType',
+    'details',
+    'series',
+    'photo',
+    'message',
+    'repliedAt',
+] as const;
+
+/**
+ * Quotes a CSV cell when needed, and defuses values a spreadsheet would run as a formula
+ * @param {string} value - The cell's text
+ * @returns {string} - The escaped cell
+ */
+export function escapeCsvCell(value: string): string {
+    const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Serialises inquiries as CSV with a header row
+ * @param {InquiryRecord[]} records - The inquiries to export
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export function toCsv(records: InquiryRecord[]): string {
+    const rows = records.map((record) => {
+        const cells: Record<(typeof CSV_COLUMNS)[number], string> = {
+            id: record.id,
+            receivedAt: record.receivedAt,
+            name: record.name,
+            email: record.email,
+            inquiryType: record.inquiryType,
+            details: Object.entries(record.details)
+                .map(([name, value]) => `${name}: ${value}`)
+                .join('; '),
+            series: record.reference?.series ?? '',
+            photo: record.reference?.photo ? String(record.reference.photo) : '',
+            message: record.message,
+            repliedAt: record.repliedAt ?? '',
+        };
+        return CSV_COLUMNS.map((column) => escapeCsvCell(cells[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].map((row) => `${row}\r\n`).join('');
+}
@@ -0,0 +1,42 @@
+// Shared types for the contact inquiry store
+
+export interface InquiryReference {
+    // Series slug and 1-based photo number the visitor was looking at
+    series: string;
+    photo?: number;
+}
+
+export interface InquiryRecord {
+    id: string;
+    receivedAt: string;
+    name: string;
+    email: string;
+    message: string;
+    inquiryType: string;
+    details: Record<string, string>;
+    reference?: InquiryReference;
+    // When the owner marked it as answered, or null while it is still open
+    repliedAt: string | null;
+}
+
+export interface InquiryStore {
+    /**
+     * Saves a new inquiry
+     * @param {InquiryRecord} record - The inquiry to save
+     */
+    add(record: InquiryRecord): Promise<void>;
+
+    /**
+     * Lists every saved inquiry, newest first
+     * @returns {Promise<InquiryRecord[]>} - All inquiries
+     */
+    list(): Promise<InquiryRecord[]>;
+
+    /**
+     * Marks an inquiry as replied to, or reopens it
+     * @param {string} id - The inquiry's id
+     * @param {string | null} repliedAt - ISO timestamp of the reply, or null to reopen
+     * @returns {Promise<boolean>} - False if no inquiry has that id
+     */
+    setReplied(id: string, repliedAt: string | null): Promise<boolean>;
+}
@@ -0,0 +1,30 @@
+// Development transport that prints messages instead of sending them
+
+import type { MailMessage, MailTransport } from './types';
+
+/**
+ * Formats a message as headers followed by its body, like a raw email
+ * @param {MailMessage} message - The message to format
+ * @returns {string} - Plain text suitable for a log or an .eml file
+ */
+export function formatMessage(message: MailMessage): string {
+    const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        ...(message.replyTo ? [`Reply-To: ${message.replyTo}`] : []),
+        `Subject: ${message.subject}`,
+    ];
+    return `${headers.join('\n')}\n\n${message.text}\n`;
+}
+
+/**
+ * Creates a transport that logs every message to the server console
+ * @returns {MailTransport} - The console transport
+ */
+export function createConsoleTransport(): MailTransport {
+    return {
+        async send(message) {
+            console.info(`[mail] Message not sent (MAIL_TRANSPORT=console):\n${formatMessage(message)}`);
+        },
+    };
+}
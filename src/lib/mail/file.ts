@@ -0,0 +1,27 @@
+// Development transport that writes each message to its own file
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { formatMessage } from './console';
+import type { MailTransport } from './types';
+
+/**
+ * Creates a transport that saves messages as .eml files, which most mail
+ * clients can open
+ * @param {string} directory - Folder to write messages to; created if missing
+ * @returns {MailTransport} - The file transport
+ */
+export function createFileTransport(directory: string): MailTransport {
+    return {
+        async send(message) {
+            await mkdir(directory, { recursive: true });
+
+            // Timestamp first so the folder lists messages in the order they arrived
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const suffix = Math.random().toString(36).slice(2, 8);
+            const date = `Date: ${new Date().toUTCString()}\n`;
+
+            await writeFile(join(directory, `${timestamp}-${suffix}.eml`), date + formatMessage(message));
+        },
+    };
+}
@@ -0,0 +1,41 @@
+// Picks the mail transport configured by the MAIL_* environment variables
+
+import {
+    MAIL_OUTBOX_DIR,
+    MAIL_TRANSPORT,
+    SMTP_HOST,
+    SMTP_PASS,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+} from 'astro:env/server';
+import { createConsoleTransport } from './console';
+import { createFileTransport } from './file';
+import { createSmtpTransport } from './smtp';
+import type { MailTransport } from './types';
+
+export type { MailMessage, MailTransport } from './types';
+
+/**
+ * Creates the transport selected by MAIL_TRANSPORT
+ * @returns {MailTransport} - SMTP in production, file or console while developing
+ */
+export function getMailTransport(): MailTransport {
+    switch (MAIL_TRANSPORT) {
+        case 'smtp':
+            if (!SMTP_HOST) {
+                throw new Error('MAIL_TRANSPORT is "smtp" but SMTP_HOST is not set');
+            }
+            return createSmtpTransport({
+                host: SMTP_HOST,
+                port: SMTP_PORT,
+                secure: SMTP_SECURE,
+                user: SMTP_USER,
+                pass: SMTP_PASS,
+            });
+        case 'file':
+            return createFileTransport(MAIL_OUTBOX_DIR);
+        default:
+            return createConsoleTransport();
+    }
+}
@@ -0,0 +1,32 @@
+// Production transport that relays messages through an SMTP server
+
+import nodemailer from 'nodemailer';
+import type { MailTransport } from './types';
+
+export interface SmtpOptions {
+    host: string;
+    port: number;
+    secure: boolean;
+    user?: string;
+    pass?: string;
+}
+
+/**
+ * Creates a transport backed by nodemailer's SMTP client
+ * @param {SmtpOptions} options - Server address and optional credentials
+ * @returns {MailTransport} - The SMTP transport
+ */
+export function createSmtpTransport(options: SmtpOptions): MailTransport {
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+    });
+
+    return {
+        async send(message) {
+            await transporter.sendMail(message);
+        },
+    };
+}
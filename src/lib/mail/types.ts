@@ -0,0 +1,17 @@
+// Shared types for the pluggable mail transports
+
+export interface MailMessage {
+    to: string;
+    from: string;
+    replyTo?: string;
+    subject: string;
+    text: string;
+}
+
+export interface MailTransport {
+    /**
+     * Delivers a message, rejecting if it could not be handed off
+     * @param {MailMessage} message - The message to deliver
+     */
+    send(message: MailMessage): Promise<void>;
+}
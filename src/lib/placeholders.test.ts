@@ -0,0 +1,45 @@
+// Unit tests for build-time image placeholders
+// Requirements: tiny blurred placeholder and dominant colour per image
+
+import { describe, it, expect } from 'vitest';
+import type { ImageMetadata } from 'astro';
+import { getPlaceholder, placeholderStyle, toHexColor } from './placeholders';
+
+const image = {
+  src: '/_astro/project3.jpg',
+  width: 764,
+  height: 1152,
+  format: 'jpg',
+  fsPath: 'src/assets/images/project3.jpg',
+} as ImageMetadata & { fsPath: string };
+
+describe('Placeholders - toHexColor', () => {
+  it('should pad each channel to two hex digits', () => {
+    expect(toHexColor({ r: 0, g: 15, b: 255 })).toBe('#000fff');
+  });
+});
+
+describe('Placeholders - getPlaceholder', () => {
+  it('should inline a tiny WebP thumbnail and a dominant colour', async () => {
+    const placeholder = await getPlaceholder(image);
+
+    expect(placeholder.dataUri).toMatch(/^data:image\/webp;base64,/);
+    expect(placeholder.dataUri.length).toBeLessThan(1000);
+    expect(placeholder.color).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  it('should process each source file only once', () => {
+    expect(getPlaceholder(image)).toBe(getPlaceholder({ ...image, fsPath: image.fsPath } as ImageMetadata));
+  });
+
+  it('should fail loudly when the source file is unknown', () => {
+    expect(() => getPlaceholder({ src: '/remote.jpg', width: 1, height: 1, format: 'jpg' })).toThrow(/placeholder/);
+  });
+});
+
+describe('Placeholders - placeholderStyle', () => {
+  it('should paint the colour under the thumbnail', () => {
+    expect(placeholderStyle({ color: '#282828', dataUri: 'data:image/webp;base64,AAAA' }))
+      .toBe('background-color: #282828; background-image: url(data:image/webp;base64,AAAA);');
+  });
+});
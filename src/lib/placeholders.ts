@@ -0,0 +1,68 @@
+// Low-quality image placeholders generated at build time
+//
+// Each image gets a tiny WebP thumbnail, inlined as a data URI and blurred by
+// CSS, plus its dominant colour to show while even that is being painted.
+
+import type { ImageMetadata } from 'astro';
+import sharp from 'sharp';
+
+// Width of the inlined thumbnail; a few hundred bytes once base64-encoded
+const PLACEHOLDER_WIDTH = 16;
+
+export interface Placeholder {
+    dataUri: string;
+    color: string;
+}
+
+// Collection and imported images expose their source file as `fsPath`
+type ImageWithPath = ImageMetadata & { fsPath?: string };
+
+// The same image appears on several pages, so only process it once per build
+const cache = new Map<string, Promise<Placeholder>>();
+
+/**
+ * Formats an RGB triple as a CSS hex colour
+ * @param {{r: number, g: number, b: number}} rgb - Channel values from 0 to 255
+ * @returns {string} - e.g. "#1a2b3c"
+ */
+export function toHexColor({ r, g, b }: { r: number; g: number; b: number }): string {
+    return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function createPlaceholder(path: string): Promise<Placeholder> {
+    const [thumbnail, stats] = await Promise.all([
+        sharp(path).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer(),
+        sharp(path).stats(),
+    ]);
+
+    return {
+        dataUri: `data:image/webp;base64,${thumbnail.toString('base64')}`,
+        color: toHexColor(stats.dominant),
+    };
+}
+
+/**
+ * Returns the placeholder for an image, generating it on first use
+ * @param {ImageMetadata} image - An imported or collection image
+ * @returns {Promise<Placeholder>} - Inline thumbnail data URI and dominant colour
+ */
+export function getPlaceholder(image: ImageMetadata): Promise<Placeholder> {
+    const path = (image as ImageWithPath).fsPath;
+    if (!path) {
+        throw new Error(`Cannot generate a placeholder for ${image.src}: source file path unknown`);
+    }
+
+    if (!cache.has(path)) {
+        cache.set(path, createPlaceholder(path));
+    }
+    return cache.get(path)!;
+}
+
+/**
+ * Builds the inline style that paints a placeholder behind an image
+ * @param {Placeholder} placeholder - The image's placeholder
+ * @returns {string} - CSS declarations for the placeholder's wrapper
+ */
+export function placeholderStyle(placeholder: Placeholder): string {
+    return `background-color: ${placeholder.color}; background-image: url(${placeholder.dataUri});`;
+}
@@ -0,0 +1,68 @@
+// Rate limit store saved to a JSON file, so limits survive restarts
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import type { RateLimitStore } from './types';
+
+// Forget hits older than this when rewriting the file
+const MAX_WINDOW = 24 * 60 * 60 * 1000;
+
+async function readHits(path: string): Promise<Record<string, number[]>> {
+    let text: string;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+
+    // A damaged file only costs the counts so far; the next hit rewrites it
+    try {
+        return JSON.parse(text);
+    } catch {
+        console.warn(`[rate-limit] Could not read ${path}; starting the counts again`);
+        return {};
+    }
+}
+
+/**
+ * Creates a rate limit store backed by a JSON file
+ * @param {string} path - File to keep hits in; created if missing
+ * @returns {RateLimitStore} - The file store
+ */
+export function createFileRateLimitStore(path: string): RateLimitStore {
+    // Serialise read-modify-write cycles so concurrent hits are not lost
+    let queue: Promise<unknown> = Promise.resolve();
+
+    return {
+        hit(key, windowMs, now = Date.now()) {
+            const update = queue.then(async () => {
+                const hits = await readHits(path);
+
+                for (const [otherKey, times] of Object.entries(hits)) {
+                    const kept = times.filter((time) => time > now - MAX_WINDOW);
+                    if (kept.length > 0) {
+                        hits[otherKey] = kept;
+                    } else {
+                        delete hits[otherKey];
+                    }
+                }
+
+                const recent = (hits[key] ?? []).filter((time) => time > now - windowMs);
+                recent.push(now);
+                hits[key] = recent;
+
+                // Write then rename, so a write cut short never leaves a truncated file
+                await mkdir(dirname(path), { recursive: true });
+                await writeFile(`${path}.tmp`, JSON.stringify(hits));
+                await rename(`${path}.tmp`, path);
+                return recent;
+            });
+
+            queue = update.catch(() => {});
+            return update;
+        },
+    };
+}
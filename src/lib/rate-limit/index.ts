@@ -0,0 +1,21 @@
+// Picks the rate limit store configured by the RATE_LIMIT_* environment variables
+
+import { RATE_LIMIT_FILE, RATE_LIMIT_STORE } from 'astro:env/server';
+import { createFileRateLimitStore } from './file';
+import { createMemoryRateLimitStore } from './memory';
+import type { RateLimitStore } from './types';
+
+export type { RateLimitStore } from './types';
+export type { RateLimitResult } from './limits';
+export { checkAttemptLimit, checkMessageLimit, checkRateLimit, EMAIL_LIMIT, IP_ATTEMPT_LIMIT, IP_LIMIT } from './limits';
+
+let store: RateLimitStore | undefined;
+
+/**
+ * Returns the store selected by RATE_LIMIT_STORE, shared by every request to this server
+ * @returns {RateLimitStore} - Memory by default, or a JSON file
+ */
+export function getRateLimitStore(): RateLimitStore {
+    store ??= RATE_LIMIT_STORE === 'file' ? createFileRateLimitStore(RATE_LIMIT_FILE) : createMemoryRateLimitStore();
+    return store;
+}
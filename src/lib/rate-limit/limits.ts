@@ -0,0 +1,84 @@
+// Contact form rate limits and the check applied to each submission
+
+import type { RateLimitStore } from './types';
+
+export interface RateLimit {
+    limit: number;
+    windowMs: number;
+}
+
+// Whether to proceed, and seconds until the oldest blocking hit expires
+export interface RateLimitResult {
+    allowed: boolean;
+    retryAfter: number;
+}
+
+// Per sender IP: every request, including unreadable and invalid ones and
+// automatic retries, so it is high enough for a visitor fixing typos
+export const IP_ATTEMPT_LIMIT: RateLimit = { limit: 30, windowMs: 10 * 60 * 1000 };
+
+// Per sender IP: submissions that pass validation only
+export const IP_LIMIT: RateLimit = { limit: 5, windowMs: 10 * 60 * 1000 };
+
+// Per email address: submissions that pass validation only
+export const EMAIL_LIMIT: RateLimit = { limit: 3, windowMs: 60 * 60 * 1000 };
+
+/**
+ * Records a hit and checks it against a limit
+ * @param {RateLimitStore} store - Where hits are counted
+ * @param {string} key - What is being limited
+ * @param {RateLimit} rateLimit - Allowed hits per window
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<RateLimitResult>} - Whether to proceed, and seconds until the oldest hit expires
+ */
+export async function checkRateLimit(
+    store: RateLimitStore,
+    key: string,
+    rateLimit: RateLimit,
+    now: number = Date.now()
+): Promise<RateLimitResult> {
+    const hits = await store.hit(key, rateLimit.windowMs, now);
+    if (hits.length <= rateLimit.limit) {
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    // Enough hits must expire to bring the count back under the limit
+    const unblockedAt = hits[hits.length - rateLimit.limit - 1] + rateLimit.windowMs;
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((unblockedAt - now) / 1000)) };
+}
+
+/**
+ * Counts a request to the contact endpoint, before its body is read
+ * @param {RateLimitStore} store - Where hits are counted
+ * @param {string} ip - The sender's IP address
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<RateLimitResult>} - As checkRateLimit()
+ */
+export function checkAttemptLimit(
+    store: RateLimitStore,
+    ip: string,
+    now: number = Date.now()
+): Promise<RateLimitResult> {
+    return checkRateLimit(store, `attempt:${ip}`, IP_ATTEMPT_LIMIT, now);
+}
+
+/**
+ * Counts a submission that passed validation, against its sender's IP and email address
+ * @param {RateLimitStore} store - Where hits are counted
+ * @param {string} ip - The sender's IP address
+ * @param {string} email - The sender's email address, in any case
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<RateLimitResult>} - As checkRateLimit(), for the first limit reached
+ */
+export async function checkMessageLimit(
+    store: RateLimitStore,
+    ip: string,
+    email: string,
+    now: number = Date.now()
+): Promise<RateLimitResult> {
+    const ipLimit = await checkRateLimit(store, `ip:${ip}`, IP_LIMIT, now);
+    if (!ipLimit.allowed) {
+        return ipLimit;
+    }
+    return checkRateLimit(store, `email:${email.toLowerCase()}`, EMAIL_LIMIT, now);
+}
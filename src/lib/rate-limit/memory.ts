@@ -0,0 +1,32 @@
+// Rate limit store kept in process memory; resets when the server restarts
+
+import type { RateLimitStore } from './types';
+
+// Sweep keys whose hits have all expired once this many are being tracked
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Creates a rate limit store backed by a Map
+ * @returns {RateLimitStore} - The in-memory store
+ */
+export function createMemoryRateLimitStore(): RateLimitStore {
+    // Each key keeps its own window, so a sweep by a short limit leaves a longer one's hits alone
+    const hits = new Map<string, { windowMs: number; times: number[] }>();
+
+    return {
+        async hit(key, windowMs, now = Date.now()) {
+            const recent = (hits.get(key)?.times ?? []).filter((time) => time > now - windowMs);
+            recent.push(now);
+            hits.set(key, { windowMs, times: recent });
+
+            if (hits.size > SWEEP_THRESHOLD) {
+                for (const [otherKey, entry] of hits) {
+                    if (entry.times[entry.times.length - 1] <= now - entry.windowMs) {
+                        hits.delete(otherKey);
+                    }
+                }
+            }
+            return recent;
+        },
+    };
+}
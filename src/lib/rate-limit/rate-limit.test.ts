@@ -0,0 +1,136 @@
+// Unit tests for contact form rate limiting
+// Requirements: per-IP/per-email limits with swappable stores
+
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileRateLimitStore } from './file';
+import { checkAttemptLimit, checkMessageLimit, checkRateLimit, EMAIL_LIMIT, IP_ATTEMPT_LIMIT, IP_LIMIT } from './limits';
+import { createMemoryRateLimitStore } from './memory';
+
+const minute = 60 * 1000;
+const rateLimit = { limit: 2, windowMs: 10 * minute };
+
+describe('Rate limiting - checkRateLimit', () => {
+  it('should allow hits up to the limit within the window', async () => {
+    const store = createMemoryRateLimitStore();
+
+    expect((await checkRateLimit(store, 'ip:1', rateLimit, 0)).allowed).toBe(true);
+    expect((await checkRateLimit(store, 'ip:1', rateLimit, minute)).allowed).toBe(true);
+    expect(await checkRateLimit(store, 'ip:1', rateLimit, 2 * minute)).toEqual({ allowed: false, retryAfter: 480 });
+  });
+
+  it('should allow hits again once earlier ones leave the window', async () => {
+    const store = createMemoryRateLimitStore();
+    await checkRateLimit(store, 'ip:1', rateLimit, 0);
+    await checkRateLimit(store, 'ip:1', rateLimit, minute);
+
+    expect((await checkRateLimit(store, 'ip:1', rateLimit, 10 * minute + 1)).allowed).toBe(true);
+  });
+
+  it('should count each key separately', async () => {
+    const store = createMemoryRateLimitStore();
+    await checkRateLimit(store, 'ip:1', rateLimit, 0);
+    await checkRateLimit(store, 'ip:1', rateLimit, 0);
+
+    expect((await checkRateLimit(store, 'ip:2', rateLimit, 0)).allowed).toBe(true);
+  });
+});
+
+describe('Rate limiting - memory store', () => {
+  it('should keep a long window\'s hits when a shorter limit sweeps', async () => {
+    const store = createMemoryRateLimitStore();
+    await store.hit('email:a@example.com', EMAIL_LIMIT.windowMs, 0);
+    // Enough short-window keys to trigger a sweep, after the email hit left their window
+    for (let n = 0; n <= 1000; n++) {
+      await store.hit(`ip:${n}`, IP_LIMIT.windowMs, 20 * minute);
+    }
+
+    expect(await store.hit('email:a@example.com', EMAIL_LIMIT.windowMs, 30 * minute)).toEqual([0, 30 * minute]);
+  });
+});
+
+describe('Rate limiting - contact form limits', () => {
+  it('should not count invalid submissions and retries towards the message limit', async () => {
+    const store = createMemoryRateLimitStore();
+    // A visitor fixing typos, with a retry after each attempt on a flaky connection
+    for (let attempt = 0; attempt < 2 * IP_LIMIT.limit; attempt++) {
+      expect((await checkAttemptLimit(store, '203.0.113.7', attempt * 1000)).allowed).toBe(true);
+    }
+
+    expect((await checkAttemptLimit(store, '203.0.113.7', minute)).allowed).toBe(true);
+    expect((await checkMessageLimit(store, '203.0.113.7', 'kyoko@example.com', minute)).allowed).toBe(true);
+  });
+
+  it('should still stop a flood of requests from one IP', async () => {
+    const store = createMemoryRateLimitStore();
+    for (let attempt = 0; attempt < IP_ATTEMPT_LIMIT.limit; attempt++) {
+      await checkAttemptLimit(store, '203.0.113.7', 0);
+    }
+
+    expect((await checkAttemptLimit(store, '203.0.113.7', minute)).allowed).toBe(false);
+    expect((await checkAttemptLimit(store, '198.51.100.2', minute)).allowed).toBe(true);
+  });
+
+  it('should limit valid messages by IP and by email address in any case', async () => {
+    const store = createMemoryRateLimitStore();
+    for (let message = 0; message < EMAIL_LIMIT.limit; message++) {
+      expect((await checkMessageLimit(store, `203.0.113.${message}`, 'Kyoko@example.com', 0)).allowed).toBe(true);
+    }
+    expect((await checkMessageLimit(store, '203.0.113.99', 'kyoko@example.com', 0)).allowed).toBe(false);
+
+    for (let message = 0; message < IP_LIMIT.limit; message++) {
+      await checkMessageLimit(store, '198.51.100.2', `sender${message}@example.com`, 0);
+    }
+    expect(await checkMessageLimit(store, '198.51.100.2', 'another@example.com', minute)).toEqual({ allowed: false, retryAfter: 540 });
+  });
+});
+
+describe('Rate limiting - file store', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'rate-limit-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should keep counts across store instances', async () => {
+    const path = join(directory, 'nested', 'limits.json');
+    await createFileRateLimitStore(path).hit('email:a@example.com', rateLimit.windowMs, 0);
+
+    const hits = await createFileRateLimitStore(path).hit('email:a@example.com', rateLimit.windowMs, minute);
+
+    expect(hits).toEqual([0, minute]);
+  });
+
+  it('should not lose concurrent hits', async () => {
+    const path = join(directory, 'limits.json');
+    const store = createFileRateLimitStore(path);
+
+    await Promise.all([1, 2, 3].map((n) => store.hit('ip:1', rateLimit.windowMs, n)));
+
+    expect(JSON.parse(await readFile(path, 'utf8'))['ip:1']).toEqual([1, 2, 3]);
+  });
+
+  it('should start again from a damaged file instead of failing every hit', async () => {
+    const path = join(directory, 'limits.json');
+    await writeFile(path, '{"ip:1":[1,2');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await createFileRateLimitStore(path).hit('ip:1', rateLimit.windowMs, minute)).toEqual([minute]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not read'));
+    expect(JSON.parse(await readFile(path, 'utf8'))).toEqual({ 'ip:1': [minute] });
+    warn.mockRestore();
+  });
+
+  it('should replace the file whole, leaving no temporary file behind', async () => {
+    const path = join(directory, 'limits.json');
+    await createFileRateLimitStore(path).hit('ip:1', rateLimit.windowMs, 0);
+
+    expect(await readdir(directory)).toEqual(['limits.json']);
+  });
+});
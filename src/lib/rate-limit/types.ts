@@ -0,0 +1,12 @@
+// Shared types for the pluggable rate limit stores
+
+export interface RateLimitStore {
+    /**
+     * Records a hit for a key and counts the hits within the window
+     * @param {string} key - What is being limited, e.g. "ip:203.0.113.7"
+     * @param {number} windowMs - Length of the sliding window in milliseconds
+     * @param {number} now - Current time in milliseconds
+     * @returns {Promise<number[]>} - Timestamps of the hits in the window, oldest first, including this one
+     */
+    hit(key: string, windowMs: number, now?: number): Promise<number[]>;
+}
@@ -0,0 +1,108 @@
+// Unit tests for the film log
+// Requirements: roll pages addressed by ID, translated notes, frames checked against their roll, log rows in order
+
+import { describe, it, expect } from 'vitest';
+import type { ContactFrame } from './contact-sheets';
+import { findRollConflicts, localizeRoll, rollUrl, toRollLog, type Roll } from './rolls';
+
+const roll = {
+  id: 'tri-x-b',
+  data: {
+    camera: 'Canon AE-1',
+    filmStock: 'Kodak Tri-X 400',
+    format: '35mm',
+    boxSpeed: 400,
+    exposedIso: 800,
+    loaded: new Date('2024-10-11'),
+    finished: new Date('2024-10-12'),
+    processing: 'home',
+    developer: 'Kodak D-76',
+    dilution: '1+1',
+    devTime: '13:00',
+    devTemperature: 20,
+    scanner: 'Plustek OpticFilm 8200i',
+    notes: 'Pushed a stop for the evening commute.',
+    translations: { ja: { notes: '夕方の通勤に合わせて1段増感。' } },
+  },
+} as unknown as Roll;
+
+const frame = (overrides: Record<string, unknown> = {}, format = '35mm') =>
+  ({
+    series: 'urban-moments',
+    index: 0,
+    roll: 'tri-x-b',
+    frame: 23,
+    format,
+    keeper: true,
+    photo: {
+      metadata: {
+        camera: 'Canon AE-1',
+        filmStock: 'Kodak Tri-X 400',
+        boxSpeed: 400,
+        exposedIso: 800,
+        developer: 'Kodak D-76',
+        devTime: '13:00',
+        shotDate: new Date('2024-10-12'),
+        ...overrides,
+      },
+    },
+  }) as unknown as ContactFrame;
+
+describe('Film log - rolls', () => {
+  it('should give each roll its own page', () => {
+    expect(rollUrl('tri-x-b', 'en')).toBe('/en/rolls/tri-x-b/');
+    expect(rollUrl('tri-x-b', 'ja')).toBe('/ja/rolls/tri-x-b/');
+  });
+
+  it('should translate notes, keeping English when there is no translation', () => {
+    expect(localizeRoll(roll, 'en')).toBe(roll);
+    expect(localizeRoll(roll, 'ja').data.notes).toBe('夕方の通勤に合わせて1段増感。');
+    const untranslated = { ...roll, data: { ...roll.data, translations: undefined } } as unknown as Roll;
+    expect(localizeRoll(untranslated, 'ja').data.notes).toBe('Pushed a stop for the evening commute.');
+  });
+});
+
+describe('Film log - conflicts', () => {
+  it('should accept frames that agree with their roll', () => {
+    expect(findRollConflicts(roll, [frame(), { ...frame({ shotDate: new Date('2024-10-11') }), index: 1, frame: 4 }])).toEqual([]);
+  });
+
+  it('should report each field, format and date that disagrees', () => {
+    expect(findRollConflicts(roll, [frame({ filmStock: 'Kodak T-Max 400' })])).toEqual([
+      'urban-moments photo 1: filmStock is "Kodak T-Max 400", roll says "Kodak Tri-X 400"',
+    ]);
+    expect(findRollConflicts(roll, [frame({}, '120')])).toEqual(['urban-moments photo 1: the series is 120, roll says 35mm']);
+    expect(findRollConflicts(roll, [frame({ shotDate: new Date('2024-10-20'), exposedIso: 400 })])).toEqual([
+      'urban-moments photo 1: exposedIso is 400, roll says 800',
+      "urban-moments photo 1: shot on 2024-10-20, outside the roll's dates",
+    ]);
+  });
+
+  it('should report an edge number claimed by more than one photo', () => {
+    const frames = [frame(), { ...frame(), index: 2 }, { ...frame(), series: 'portraits-on-film', index: 0, frame: 4 }] as ContactFrame[];
+    expect(findRollConflicts(roll, frames)).toEqual(['frame 23 of roll tri-x-b is claimed by urban-moments photo 1 and urban-moments photo 3']);
+  });
+});
+
+describe('Film log - log rows', () => {
+  it('should list the roll from camera to scan', () => {
+    expect(toRollLog(roll, 'en').map((row) => row.label)).toEqual([
+      'Camera',
+      'Film',
+      'Exposure index',
+      'Loaded',
+      'Finished',
+      'Development',
+      'Scan',
+    ]);
+    expect(toRollLog(roll, 'en')[1].value).toBe('Kodak Tri-X 400 (35mm)');
+    expect(toRollLog(roll, 'en')[6].value).toBe('Plustek OpticFilm 8200i');
+  });
+
+  it('should say who developed the roll', () => {
+    const home = toRollLog(roll, 'en')[5].value;
+    const lab = toRollLog({ ...roll, data: { ...roll.data, processing: 'lab', lab: 'Local lab' } } as unknown as Roll, 'en')[5].value;
+    expect(home).toMatch(/^Home, Kodak D-76/);
+    expect(lab).toMatch(/^Local lab, Kodak D-76/);
+  });
+});
@@ -0,0 +1,114 @@
+// Film log: the rolls behind the published frames
+//
+// Each roll is a YAML file in src/content/rolls/, and photos point at theirs
+// through `roll.id` (src/content.config.ts). getLocalizedRolls() in
+// src/lib/series.ts loads them and checks the frames against them;
+// src/pages/[lang]/rolls/ lists every roll and what was published from it.
+
+import type { CollectionEntry } from 'astro:content';
+import type { ContactFrame } from './contact-sheets';
+import { formatDevelopment, formatPushPull, formatShotDate, type SpecRow } from './film-metadata';
+import { DEFAULT_LANG, localizePath, useTranslations, type Lang } from './i18n';
+import { canonicalPath } from './seo';
+
+export type Roll = CollectionEntry<'rolls'>;
+
+export interface LoggedRoll {
+    roll: Roll;
+    // Frames published from the roll, by edge number
+    frames: ContactFrame[];
+}
+
+// Fields a frame's film record repeats from its roll, which must agree
+const SHARED_FIELDS = ['camera', 'filmStock', 'boxSpeed', 'exposedIso', 'developer', 'devTime'] as const;
+
+/**
+ * Returns the URL of a roll's page
+ * @param {string} id - The roll ID
+ * @param {Lang} lang - The language of the page
+ * @returns {string} - e.g. "/en/rolls/tri-x-2024-10-b/"
+ */
+export function rollUrl(id: string, lang: Lang): string {
+    return canonicalPath(localizePath(`/rolls/${id}`, lang));
+}
+
+/**
+ * Replaces a roll's notes with their translation, keeping English when there is none
+ * @param {Roll} roll - The roll as written in its YAML file
+ * @param {Lang} lang - The language to show it in
+ * @returns {Roll} - A copy with translated notes
+ */
+export function localizeRoll(roll: Roll, lang: Lang): Roll {
+    if (lang === DEFAULT_LANG) {
+        return roll;
+    }
+
+    // Translation blocks only list the languages other than English
+    const translations: Partial<Record<Lang, { notes: string }>> | undefined = roll.data.translations;
+    const notes = translations?.[lang]?.notes;
+    return notes ? { ...roll, data: { ...roll.data, notes } } : roll;
+}
+
+/**
+ * Finds frames whose film record disagrees with the roll they say they are on,
+ * and edge numbers claimed by more than one photo, which a contact sheet could only show one of
+ * @param {Roll} roll - The roll
+ * @param {ContactFrame[]} frames - The frames published from it
+ * @returns {string[]} - One line per disagreement, e.g. `urban-moments photo 1: filmStock is "Kodak T-Max 400", roll says "Kodak Tri-X 400"`
+ */
+export function findRollConflicts(roll: Roll, frames: ContactFrame[]): string[] {
+    const byNumber = new Map<number, ContactFrame[]>();
+    frames.forEach((frame) => byNumber.set(frame.frame, [...(byNumber.get(frame.frame) ?? []), frame]));
+    const duplicates = [...byNumber]
+        .filter(([, claimed]) => claimed.length > 1)
+        .map(
+            ([number, claimed]) =>
+                `frame ${number} of roll ${roll.id} is claimed by ${claimed.map((frame) => `${frame.series} photo ${frame.index + 1}`).join(' and ')}`
+        );
+
+    return frames.flatMap((frame) => {
+        const where = `${frame.series} photo ${frame.index + 1}`;
+        const { metadata } = frame.photo;
+        const problems: string[] = SHARED_FIELDS.filter((field) => metadata[field] !== roll.data[field]).map(
+            (field) => `${where}: ${field} is ${JSON.stringify(metadata[field])}, roll says ${JSON.stringify(roll.data[field])}`
+        );
+
+        if (frame.format !== roll.data.format) {
+            problems.push(`${where}: the series is ${frame.format}, roll says ${roll.data.format}`);
+        }
+        if (metadata.shotDate < roll.data.loaded || metadata.shotDate > roll.data.finished) {
+            problems.push(`${where}: shot on ${metadata.shotDate.toISOString().slice(0, 10)}, outside the roll's dates`);
+        }
+        return problems;
+    }).concat(duplicates);
+}
+
+/**
+ * Turns a roll's log into the rows of a spec sheet
+ * @param {Roll} roll - The roll, already translated
+ * @param {Lang} lang - Language for labels and values
+ * @returns {SpecRow[]} - Label/value pairs in display order
+ */
+export function toRollLog(roll: Roll, lang: Lang = DEFAULT_LANG): SpecRow[] {
+    const t = useTranslations(lang);
+    const { data } = roll;
+    const development = formatDevelopment(data, lang);
+
+    return [
+        { label: t('spec.camera'), value: data.camera },
+        { label: t('spec.film'), value: `${data.filmStock} (${data.format})` },
+        {
+            label: t('spec.exposureIndex'),
+            value: `${t('contactSheet.exposureIndex', { iso: data.exposedIso })} (${formatPushPull(data.boxSpeed, data.exposedIso, lang)})`,
+        },
+        { label: t('rolls.loaded'), value: formatShotDate(data.loaded, lang) },
+        { label: t('rolls.finished'), value: formatShotDate(data.finished, lang) },
+        {
+            label: t('spec.development'),
+            value: data.processing === 'lab' && data.lab
+                ? t('rolls.developedAtLab', { lab: data.lab, development })
+                : t('rolls.developedAtHome', { development }),
+        },
+        { label: t('spec.scan'), value: data.scanSettings ? `${data.scanner}, ${data.scanSettings}` : data.scanner },
+    ];
+}
@@ -0,0 +1,67 @@
+// Unit tests for the search index
+// Requirements: a document per series and per photo, with titles, descriptions, captions, locations and film metadata
+
+import { describe, it, expect } from 'vitest';
+import { toSearchIndex } from './search-index';
+import type { Series } from './series';
+
+const metadata = {
+  camera: 'Mamiya RB67 Pro S',
+  lens: 'Sekor C 90mm f/3.8',
+  filmStock: 'Ilford HP5 Plus 400',
+  developer: 'Ilfosol 3',
+  scanner: 'Epson V600',
+  location: 'Kinkaku-ji, Kyoto',
+};
+const series = [
+  {
+    data: {
+      slug: 'landscapes',
+      title: 'Landscapes',
+      description: 'Medium format landscapes',
+      longDescription: 'A year of walks with a heavy camera.',
+      filmStock: 'Ilford HP5 Plus 400',
+      format: '120',
+      photos: [
+        { alt: 'A golden temple reflected in a pond', caption: 'Kinkaku-ji in the rain.', metadata },
+        { alt: 'Pine trees on a ridge', metadata: { ...metadata, location: 'Mount Kurama' } },
+      ],
+    },
+  },
+] as unknown as Series[];
+
+describe('Search index - toSearchIndex', () => {
+  const { docs } = toSearchIndex(series, 'en');
+
+  it('should list the series, then each of its photos', () => {
+    expect(docs.map((doc) => [doc.kind, doc.url])).toEqual([
+      ['series', '/en/series/landscapes/'],
+      ['photo', '/en/series/landscapes/#frame-1'],
+      ['photo', '/en/series/landscapes/#frame-2'],
+    ]);
+  });
+
+  it('should gather a series’ descriptions, locations and film', () => {
+    expect(docs[0]).toMatchObject({
+      title: 'Landscapes',
+      context: 'Ilford HP5 Plus 400 · 120',
+      location: 'Kinkaku-ji, Kyoto · Mount Kurama',
+      equipment: 'Ilford HP5 Plus 400 · 120 · Mamiya RB67 Pro S',
+      text: 'Medium format landscapes A year of walks with a heavy camera.',
+    });
+  });
+
+  it('should describe a photo by its caption and metadata', () => {
+    expect(docs[1]).toMatchObject({
+      title: 'Kinkaku-ji in the rain.',
+      location: 'Kinkaku-ji, Kyoto',
+      equipment: 'Ilford HP5 Plus 400 · 120 · Mamiya RB67 Pro S · Sekor C 90mm f/3.8 · Ilfosol 3 · Epson V600',
+      text: 'Kinkaku-ji in the rain. A golden temple reflected in a pond',
+    });
+  });
+
+  it('should title an uncaptioned photo by its frame, in the index language', () => {
+    expect(docs[2].title).toBe('Landscapes, frame 2');
+    expect(toSearchIndex(series, 'ja').docs[2]).toMatchObject({ title: 'Landscapes　2コマ目', url: '/ja/series/landscapes/#frame-2' });
+  });
+});
@@ -0,0 +1,80 @@
+// Search index for the site search overlay
+//
+// src/pages/[lang]/search.json.ts publishes one index per language, and
+// public/scripts/search.js fetches it the first time the overlay opens and
+// searches it in the browser. Each series and each photo is a document; the
+// text is grouped into a few fields so a match in a title can outrank one in a
+// description.
+
+import { translate, localizePath, type Lang } from './i18n';
+import { canonicalPath } from './seo';
+import type { Series } from './series';
+
+export interface SearchDoc {
+    url: string;
+    kind: 'series' | 'photo';
+    title: string;
+    // Shown under the title, e.g. "Landscapes · Ilford HP5 Plus 400"
+    context: string;
+    location: string;
+    // Film, format, camera, lens, developer and scanner
+    equipment: string;
+    // Descriptions, captions and alt text
+    text: string;
+}
+
+export interface SearchIndex {
+    docs: SearchDoc[];
+}
+
+// Joins distinct, non-empty values
+function join(values: (string | undefined)[], separator = ' · '): string {
+    return [...new Set(values.filter((value): value is string => Boolean(value)))].join(separator);
+}
+
+/**
+ * Builds the search index for one language
+ * @param {Series[]} series - Every series, already translated
+ * @param {Lang} lang - The index's language
+ * @returns {SearchIndex} - A document per series and per photo, in gallery order
+ */
+export function toSearchIndex(series: Series[], lang: Lang): SearchIndex {
+    const docs = series.flatMap(({ data }): SearchDoc[] => {
+        // The series page, as seriesUrl() in src/lib/series.ts builds it
+        const pageUrl = canonicalPath(localizePath(`/series/${data.slug}`, lang));
+        const { photos } = data;
+
+        const seriesDoc: SearchDoc = {
+            url: pageUrl,
+            kind: 'series',
+            title: data.title,
+            context: join([data.filmStock, data.format]),
+            location: join(photos.map((photo) => photo.metadata.location)),
+            equipment: join([data.filmStock, data.format, ...photos.map((photo) => photo.metadata.camera)]),
+            text: join([data.description, data.longDescription], ' '),
+        };
+
+        const photoDocs = photos.map(
+            (photo, index): SearchDoc => ({
+                url: `${pageUrl}#frame-${index + 1}`,
+                kind: 'photo',
+                title: photo.caption ?? translate(lang, 'feed.frame', { title: data.title, number: index + 1 }),
+                context: join([data.title, photo.metadata.filmStock]),
+                location: photo.metadata.location,
+                equipment: join([
+                    photo.metadata.filmStock,
+                    data.format,
+                    photo.metadata.camera,
+                    photo.metadata.lens,
+                    photo.metadata.developer,
+                    photo.metadata.scanner,
+                ]),
+                text: join([photo.caption, photo.alt], ' '),
+            })
+        );
+
+        return [seriesDoc, ...photoDocs];
+    });
+
+    return { docs };
+}
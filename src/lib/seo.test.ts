@@ -0,0 +1,82 @@
+// Unit tests for link preview and structured data helpers
+// Requirements: absolute URLs once the site address is known; Person, ImageGallery and Photograph JSON-LD
+
+import { describe, it, expect } from 'vitest';
+import { absoluteUrl, canonicalPath, gallerySchema, personSchema, photographSchema, previewUrl, toJsonLdGraph, twitterHandle } from './seo';
+
+const site = new URL('https://shaun.example');
+
+describe('SEO - URLs', () => {
+  it('should resolve paths against the site address', () => {
+    expect(absoluteUrl('/en/series/landscapes', site)).toBe('https://shaun.example/en/series/landscapes');
+    expect(absoluteUrl('/_astro/cover.jpg', undefined)).toBe('/_astro/cover.jpg');
+  });
+
+  it('should have no preview URL without the site address', () => {
+    expect(previewUrl('/_astro/cover.jpg', site)).toBe('https://shaun.example/_astro/cover.jpg');
+    expect(previewUrl('/_astro/cover.jpg', undefined)).toBeUndefined();
+  });
+
+  it('should give page paths the trailing slash of their built URL', () => {
+    expect(canonicalPath('/en/series/landscapes')).toBe('/en/series/landscapes/');
+    expect(canonicalPath('/ja/')).toBe('/ja/');
+  });
+
+  it('should read the Twitter handle from the profile URL', () => {
+    expect(twitterHandle([{ platform: 'twitter', url: 'https://twitter.com/shaun' }])).toBe('@shaun');
+    expect(twitterHandle([{ platform: 'instagram', url: 'https://www.instagram.com/shaun' }])).toBeUndefined();
+  });
+});
+
+describe('SEO - JSON-LD', () => {
+  const photo = photographSchema(
+    {
+      url: '/en/series/landscapes#frame-1',
+      image: '/_astro/project3.jpg',
+      name: 'Kinkaku-ji reflected in the Kyōko-chi pond, Kyoto.',
+      description: 'Kinkaku-ji reflected in a pond, in black and white',
+      dateCreated: new Date('2023-11-18'),
+      location: 'Kinkaku-ji, Kyoto',
+    },
+    site
+  );
+
+  it('should credit every photo to the site owner', () => {
+    const person = personSchema({ name: 'ショーン', email: 'photo@example.com', social: [] }, site);
+    expect(person).toEqual({
+      '@type': 'Person',
+      '@id': 'https://shaun.example/#person',
+      name: 'ショーン',
+      url: 'https://shaun.example/',
+      email: 'mailto:photo@example.com',
+    });
+    expect(photo.creator).toEqual({ '@id': person['@id'] });
+  });
+
+  it('should give a photo its shot date and location', () => {
+    expect(photo).toMatchObject({
+      '@type': 'Photograph',
+      url: 'https://shaun.example/en/series/landscapes#frame-1',
+      image: 'https://shaun.example/_astro/project3.jpg',
+      dateCreated: '2023-11-18',
+      contentLocation: { '@type': 'Place', name: 'Kinkaku-ji, Kyoto' },
+    });
+    expect(photo).not.toHaveProperty('license');
+  });
+
+  it('should list a gallery’s photos and leave out an empty list', () => {
+    const gallery = { url: '/ja/series/landscapes', name: '風景', description: '中判の風景写真', image: '/_astro/project3.jpg', lang: 'ja' as const };
+    expect(gallerySchema(gallery, [photo], site)).toMatchObject({ '@type': 'ImageGallery', inLanguage: 'ja', hasPart: [photo] });
+    expect(gallerySchema(gallery, [], site)).not.toHaveProperty('hasPart');
+    expect(toJsonLdGraph([photo])).toEqual({ '@context': 'https://schema.org', '@graph': [photo] });
+  });
+
+  it('should leave out url and image rather than make them relative without the site address', () => {
+    const gallery = { url: '/en/series/landscapes/', name: 'Landscapes', description: 'Medium format', image: '/_astro/project3.jpg', lang: 'en' as const };
+    const node = gallerySchema(gallery, [], undefined);
+    expect(node).not.toHaveProperty('url');
+    expect(node).not.toHaveProperty('image');
+    expect(node).toMatchObject({ name: 'Landscapes', creator: { '@id': '/#person' } });
+    expect(personSchema({ name: 'ショーン', email: 'photo@example.com', social: [] }, undefined)).not.toHaveProperty('url');
+  });
+});
@@ -0,0 +1,172 @@
+// Link preview tags and schema.org structured data
+//
+// src/components/SeoTags.astro renders the Open Graph and Twitter card tags;
+// the builders below produce the JSON-LD graph each page embeds. URLs are
+// absolute when the site's address is known (`identity.url` in
+// src/site.config.ts, or the Vercel production domain at build time). Link
+// previews and schema.org consumers ignore relative URLs, so until then the
+// fields that need one are left out.
+
+import type { Lang } from './i18n';
+import type { SocialProfile } from './site-config';
+
+// Open Graph locale for each language
+export const OG_LOCALES: Record<Lang, string> = {
+    en: 'en_GB',
+    ja: 'ja_JP',
+};
+
+export type JsonLd = Record<string, unknown>;
+
+export interface PersonInfo {
+    name: string;
+    email: string;
+    social: SocialProfile[];
+}
+
+export interface PhotographInfo {
+    // Page and fragment the photo is shown at, e.g. "/en/series/landscapes#frame-1"
+    url: string;
+    image: string;
+    name: string;
+    description: string;
+    dateCreated: Date;
+    location: string;
+    // URL of the licence the photo is published under
+    license?: string;
+}
+
+export interface GalleryInfo {
+    url: string;
+    name: string;
+    description: string;
+    image: string;
+    lang: Lang;
+}
+
+/**
+ * Resolves a site path against the site's address
+ * @param {string} path - A path such as "/en/series/landscapes"
+ * @param {URL | undefined} site - The deployed site, from Astro.site
+ * @returns {string} - An absolute URL, or the path itself while the address is unknown
+ */
+export function absoluteUrl(path: string, site: URL | undefined): string {
+    return site ? new URL(path, site).href : path;
+}
+
+/**
+ * Resolves a path for a field that only takes an absolute URL, such as og:image
+ * @param {string} path - A path such as "/_astro/cover.jpg"
+ * @param {URL | undefined} site - The deployed site, from Astro.site
+ * @returns {string | undefined} - An absolute URL, or undefined while the address is unknown, so the field can be left out
+ */
+export function previewUrl(path: string, site: URL | undefined): string | undefined {
+    return site && new URL(path, site).href;
+}
+
+// Resolves a node's url and image fields, leaving them out while the site's address is unknown
+function urlFields(paths: Record<string, string>, site: URL | undefined): Record<string, string> {
+    return Object.fromEntries(
+        Object.entries(paths).flatMap(([field, path]) => {
+            const url = previewUrl(path, site);
+            return url ? [[field, url]] : [];
+        })
+    );
+}
+
+/**
+ * Gives a page path the trailing slash its built URL has, so canonical links,
+ * hreflang alternates and the sitemap agree however the page was linked
+ * @param {string} path - A page path such as "/en/series/landscapes"
+ * @returns {string} - e.g. "/en/series/landscapes/"
+ */
+export function canonicalPath(path: string): string {
+    return path.endsWith('/') ? path : `${path}/`;
+}
+
+/**
+ * Reads the @handle from a Twitter profile, for the twitter:site card tag
+ * @param {SocialProfile[]} social - The site's social profiles
+ * @returns {string | undefined} - e.g. "@shaun", or undefined without a Twitter profile
+ */
+export function twitterHandle(social: SocialProfile[]): string | undefined {
+    const profile = social.find((candidate) => candidate.platform === 'twitter');
+    const handle = profile && new URL(profile.url).pathname.split('/').filter(Boolean)[0];
+    return handle ? `@${handle.replace(/^@/, '')}` : undefined;
+}
+
+/**
+ * Returns the node ID every page uses for the site's owner
+ * @param {URL | undefined} site - The deployed site
+ * @returns {string} - e.g. "https://example.com/#person"
+ */
+export function personId(site: URL | undefined): string {
+    return absoluteUrl('/#person', site);
+}
+
+/**
+ * Describes the site's owner
+ * @param {PersonInfo} person - Name, email and social profiles from the site config
+ * @param {URL | undefined} site - The deployed site
+ * @returns {JsonLd} - A schema.org Person
+ */
+export function personSchema(person: PersonInfo, site: URL | undefined): JsonLd {
+    return {
+        '@type': 'Person',
+        '@id': personId(site),
+        name: person.name,
+        ...urlFields({ url: '/' }, site),
+        email: `mailto:${person.email}`,
+        ...(person.social.length > 0 ? { sameAs: person.social.map((profile) => profile.url) } : {}),
+    };
+}
+
+/**
+ * Describes one photo
+ * @param {PhotographInfo} photo - The photo and its film record
+ * @param {URL | undefined} site - The deployed site
+ * @returns {JsonLd} - A schema.org Photograph credited to the site's owner
+ */
+export function photographSchema(photo: PhotographInfo, site: URL | undefined): JsonLd {
+    return {
+        '@type': 'Photograph',
+        '@id': absoluteUrl(photo.url, site),
+        ...urlFields({ url: photo.url, image: photo.image }, site),
+        name: photo.name,
+        description: photo.description,
+        creator: { '@id': personId(site) },
+        // Shot dates are calendar days, so leave out the time
+        dateCreated: photo.dateCreated.toISOString().slice(0, 10),
+        contentLocation: { '@type': 'Place', name: photo.location },
+        ...(photo.license ? { license: photo.license } : {}),
+    };
+}
+
+/**
+ * Describes a gallery page
+ * @param {GalleryInfo} gallery - The page's title, description and preview image
+ * @param {JsonLd[]} parts - The photos or series it shows, if any
+ * @param {URL | undefined} site - The deployed site
+ * @returns {JsonLd} - A schema.org ImageGallery
+ */
+export function gallerySchema(gallery: GalleryInfo, parts: JsonLd[], site: URL | undefined): JsonLd {
+    return {
+        '@type': 'ImageGallery',
+        '@id': absoluteUrl(gallery.url, site),
+        ...urlFields({ url: gallery.url, image: gallery.image }, site),
+        name: gallery.name,
+        description: gallery.description,
+        inLanguage: gallery.lang,
+        creator: { '@id': personId(site) },
+        ...(parts.length > 0 ? { hasPart: parts } : {}),
+    };
+}
+
+/**
+ * Wraps a page's nodes in one JSON-LD document
+ * @param {JsonLd[]} nodes - Person, galleries and photographs
+ * @returns {JsonLd} - A document for <script type="application/ld+json">
+ */
+export function toJsonLdGraph(nodes: JsonLd[]): JsonLd {
+    return { '@context': 'https://schema.org', '@graph': nodes };
+}
@@ -0,0 +1,241 @@
+// Helpers for reading the gallery series collection
+
+import type { ImageMetadata } from 'astro';
+import { getCollection, type CollectionEntry } from 'astro:content';
+import type { ArchiveFrame } from './archive';
+import { toContactFrames } from './contact-sheets';
+import type { FeedItem } from './feeds';
+import { toSpecSheet } from './film-metadata';
+import { DEFAULT_LANG, localizePath, translate, useTranslations, type Lang } from './i18n';
+import {
+    ARCHIVE_SIZES,
+    ARCHIVE_WIDTHS,
+    getResponsiveImage,
+    getShareImage,
+    MODAL_SIZES,
+    MODAL_WIDTHS,
+    THUMBNAIL_WIDTH,
+} from './images';
+import { getPlaceholder } from './placeholders';
+import { findRollConflicts, localizeRoll, type LoggedRoll } from './rolls';
+import { absoluteUrl, canonicalPath } from './seo';
+
+export type Series = CollectionEntry<'series'>;
+
+/**
+ * Loads every series in display order
+ * @returns {Promise<Series[]>} - Series sorted by their `order` field
+ */
+export async function getSortedSeries(): Promise<Series[]> {
+    const series = await getCollection('series');
+    return series.sort((a, b) => a.data.order - b.data.order);
+}
+
+/**
+ * Replaces a series' text with its translation, keeping English for anything
+ * the translation leaves out
+ * @param {Series} series - The series as written in its YAML file
+ * @param {Lang} lang - The language to show it in
+ * @returns {Series} - A copy with translated title, descriptions, alt text, captions and locations
+ */
+export function localizeSeries(series: Series, lang: Lang): Series {
+    if (lang === DEFAULT_LANG) {
+        return series;
+    }
+
+    // Translation blocks only list the languages other than English
+    const pick = <T>(translations?: Partial<Record<Lang, T>>) => translations?.[lang];
+    const { data } = series;
+    const text = pick(data.translations);
+
+    return {
+        ...series,
+        data: {
+            ...data,
+            title: text?.title ?? data.title,
+            description: text?.description ?? data.description,
+            longDescription: text?.longDescription ?? data.longDescription,
+            cover: { ...data.cover, alt: pick(data.cover.translations)?.alt ?? data.cover.alt },
+            photos: data.photos.map((photo) => {
+                const photoText = pick(photo.translations);
+                return {
+                    ...photo,
+                    alt: photoText?.alt ?? photo.alt,
+                    caption: photoText?.caption ?? photo.caption,
+                    metadata: { ...photo.metadata, location: photoText?.location ?? photo.metadata.location },
+                };
+            }) as Series['data']['photos'],
+        },
+    };
+}
+
+/**
+ * Loads every series in display order, translated into one language
+ * @param {Lang} lang - The page's language
+ * @returns {Promise<Series[]>} - Translated series sorted by their `order` field
+ */
+export async function getLocalizedSeries(lang: Lang): Promise<Series[]> {
+    const series = await getSortedSeries();
+    return series.map((entry) => localizeSeries(entry, lang));
+}
+
+/**
+ * Returns the URL of a series page
+ * @param {string} slug - The series slug
+ * @param {Lang} lang - The language of the page
+ * @returns {string} - e.g. "/en/series/urban-moments"
+ */
+export function seriesUrl(slug: string, lang: Lang): string {
+    return localizePath(`/series/${slug}`, lang);
+}
+
+/**
+ * Returns the link that opens the contact form about one photo
+ * @param {string} slug - The series slug
+ * @param {number} photo - The 1-based photo number within the series
+ * @param {Lang} lang - The language of the form
+ * @returns {string} - e.g. "/en/?series=urban-moments&photo=2#contact"
+ */
+export function inquiryUrl(slug: string, photo: number, lang: Lang): string {
+    return `${localizePath('/', lang)}?${new URLSearchParams({ series: slug, photo: String(photo) })}#contact`;
+}
+
+/**
+ * Builds the data the portfolio modal needs, keyed by series slug
+ * @param {Series[]} series - The series to expose to the client, already translated
+ * @param {Lang} lang - The page's language
+ * @returns {Promise<Record<string, object>>} - Modal data for public/scripts/portfolio.js
+ */
+export async function toPortfolioData(series: Series[], lang: Lang) {
+    const entries = await Promise.all(
+        series.map(async ({ data }) => [
+            data.slug,
+            {
+                title: data.title,
+                url: seriesUrl(data.slug, lang),
+                description: data.description,
+                longDescription: data.longDescription,
+                filmStock: data.filmStock,
+                format: data.format,
+                photos: await Promise.all(
+                    data.photos.map(async (photo, index) => ({
+                        image: await getResponsiveImage(photo.src, MODAL_WIDTHS, MODAL_SIZES),
+                        placeholder: await getPlaceholder(photo.src),
+                        alt: photo.alt,
+                        caption: photo.caption,
+                        specs: toSpecSheet(photo.metadata, lang),
+                        inquiryUrl: inquiryUrl(data.slug, index + 1, lang),
+                    }))
+                ),
+            },
+        ])
+    );
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Lists every series and every photo as feed items, in collection order
+ * @param {Lang} lang - The feed's language
+ * @param {URL} site - The deployed site, so links and thumbnails are absolute
+ * @returns {Promise<FeedItem[]>} - Each series followed by its photos; see latestItems() for feed order
+ */
+export async function getFeedItems(lang: Lang, site: URL): Promise<FeedItem[]> {
+    const t = useTranslations(lang);
+    const thumbnail = async (image: ImageMetadata) => absoluteUrl((await getShareImage(image, THUMBNAIL_WIDTH)).src, site);
+    const series = await getLocalizedSeries(lang);
+
+    const items = await Promise.all(
+        series.map(async ({ data }) => {
+            const pageUrl = absoluteUrl(canonicalPath(seriesUrl(data.slug, lang)), site);
+            const cameras = [...new Set(data.photos.map((photo) => photo.metadata.camera))];
+
+            const seriesItem: FeedItem = {
+                url: pageUrl,
+                title: data.title,
+                published: data.published,
+                summary: data.description,
+                image: await thumbnail(data.cover.src),
+                imageAlt: data.cover.alt,
+                details: [
+                    [t('spec.film'), data.filmStock],
+                    [t('spec.camera'), cameras.join(', ')],
+                ],
+            };
+            const photoItems = await Promise.all(
+                data.photos.map(
+                    async (photo, index): Promise<FeedItem> => ({
+                        url: `${pageUrl}#frame-${index + 1}`,
+                        title: photo.caption ?? t('feed.frame', { title: data.title, number: index + 1 }),
+                        published: photo.published ?? data.published,
+                        summary: photo.alt,
+                        image: await thumbnail(photo.src),
+                        imageAlt: photo.alt,
+                        details: [
+                            [t('spec.film'), photo.metadata.filmStock],
+                            [t('spec.camera'), photo.metadata.camera],
+                        ],
+                    })
+                )
+            );
+            return [seriesItem, ...photoItems];
+        })
+    );
+    return items.flat();
+}
+
+/**
+ * Lists every frame of every series, newest first by `published`; frames
+ * published the same day keep gallery order
+ * @param {Lang} lang - The archive's language
+ * @returns {Promise<ArchiveFrame[]>} - Frames with their thumbnails
+ */
+export async function getArchiveFrames(lang: Lang): Promise<ArchiveFrame[]> {
+    const series = await getLocalizedSeries(lang);
+    const entries = series.flatMap(({ data }) =>
+        data.photos.map((photo, index) => ({ data, photo, index, published: photo.published ?? data.published }))
+    );
+    entries.sort((a, b) => b.published.getTime() - a.published.getTime());
+
+    return Promise.all(
+        entries.map(async ({ data, photo, index }) => ({
+            url: `${canonicalPath(seriesUrl(data.slug, lang))}#frame-${index + 1}`,
+            title: photo.caption ?? translate(lang, 'feed.frame', { title: data.title, number: index + 1 }),
+            alt: photo.alt,
+            image: await getResponsiveImage(photo.src, ARCHIVE_WIDTHS, ARCHIVE_SIZES),
+            color: (await getPlaceholder(photo.src)).color,
+        }))
+    );
+}
+
+/**
+ * Loads the film log, translated into one language, with the frames published
+ * from each roll
+ * @param {Lang} lang - The page's language
+ * @returns {Promise<LoggedRoll[]>} - Rolls, most recently loaded first
+ * @throws {Error} - Listing every frame whose film record disagrees with its roll, or that shares its edge number with another
+ */
+export async function getLocalizedRolls(lang: Lang): Promise<LoggedRoll[]> {
+    const frames = toContactFrames(await getLocalizedSeries(lang));
+    const rolls = (await getCollection('rolls')).map((roll) => ({
+        roll: localizeRoll(roll, lang),
+        frames: frames.filter((frame) => frame.roll === roll.id).sort((a, b) => a.frame - b.frame),
+    }));
+
+    const problems = rolls.flatMap(({ roll, frames: rollFrames }) =>
+        findRollConflicts(roll, rollFrames).map((problem) => `  - ${problem} (src/content/rolls/${roll.id}.yaml)`)
+    );
+    if (problems.length > 0) {
+        throw new Error(`Frames that do not fit their roll:\n${problems.join('\n')}`);
+    }
+
+    return rolls.sort((a, b) => b.roll.data.loaded.getTime() - a.roll.data.loaded.getTime());
+}
+
+/**
+ * Serializes data for an inline `<script type="application/json">` block
+ * @param {unknown} data - The data to serialize
+ * @returns {string} - JSON that cannot close the surrounding script element
+ */
+export function serializeForScript(data: unknown): string {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
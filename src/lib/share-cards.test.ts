@@ -0,0 +1,65 @@
+// Unit tests for generated link preview cards
+// Requirements: 1200×630 card from the cover, title and film stock; cached by content hash
+
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, readdir, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import type { ImageMetadata } from 'astro';
+import sharp from 'sharp';
+import { getShareCard, shareCardHash, shareCardOverlay, wrapTitle } from './share-cards';
+
+const cover = {
+  src: '/_astro/project1.jpg',
+  width: 1600,
+  height: 1067,
+  format: 'jpg',
+  fsPath: 'src/assets/images/project1.jpg',
+} as ImageMetadata & { fsPath: string };
+const text = { title: 'Urban Moments', filmStock: 'Kodak Tri-X 400' };
+
+describe('Share cards - text', () => {
+  it('should wrap long titles onto a second line and cut off the rest', () => {
+    expect(wrapTitle('Urban Moments')).toEqual(['Urban Moments']);
+    expect(wrapTitle('Late Trains and Early Light Along the Coast of Shonan')).toEqual([
+      'Late Trains and Early',
+      'Light Along the Coast of…',
+    ]);
+  });
+
+  it('should set the title and film stock as escaped SVG text', () => {
+    const svg = shareCardOverlay({ title: 'Tea & <Rain>', filmStock: 'Kodak Tri-X 400' });
+    expect(svg).toContain('Tea &amp; &lt;Rain&gt;');
+    expect(svg).toContain('— Kodak Tri-X 400');
+  });
+
+  it('should set the text in the bundled serif', () => {
+    expect(shareCardOverlay(text)).toContain('font-family="Gelasio"');
+  });
+
+  it('should hash the cover together with the text and font', () => {
+    const source = Buffer.from('cover');
+    const fonts = [Buffer.from('font')];
+    expect(shareCardHash(source, text, fonts)).toBe(shareCardHash(Buffer.from('cover'), { ...text }, [Buffer.from('font')]));
+    expect(shareCardHash(source, text, fonts)).not.toBe(shareCardHash(source, { ...text, filmStock: 'Ilford HP5 Plus 400' }, fonts));
+    expect(shareCardHash(source, text, fonts)).not.toBe(shareCardHash(Buffer.from('other cover'), text, fonts));
+    expect(shareCardHash(source, text, fonts)).not.toBe(shareCardHash(source, text, [Buffer.from('other font')]));
+  });
+});
+
+describe('Share cards - getShareCard', () => {
+  it('should draw a 1200×630 JPEG and keep it in the cache', async () => {
+    const cacheDir = await mkdtemp(join(tmpdir(), 'share-cards-'));
+    const card = await getShareCard(cover, text, cacheDir);
+
+    expect(await sharp(card).metadata()).toMatchObject({ format: 'jpeg', width: 1200, height: 630 });
+    const [file] = await readdir(cacheDir);
+    expect(file).toMatch(/^[0-9a-f]{16}\.jpg$/);
+    expect(await readFile(join(cacheDir, file))).toEqual(card);
+    expect(await getShareCard(cover, text, cacheDir)).toEqual(card);
+  });
+
+  it('should fail loudly when the source file is unknown', async () => {
+    await expect(getShareCard({ src: '/remote.jpg', width: 1, height: 1, format: 'jpg' }, text)).rejects.toThrow(/share card/);
+  });
+});
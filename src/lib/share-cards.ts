@@ -0,0 +1,157 @@
+// Link preview cards for series pages, generated at build time
+//
+// Each card is the series cover cropped to 1200×630 with the title and film
+// stock set over it in Gelasio, a freely licensed serif drawn to Georgia's
+// measurements, so the card matches the serif of the site's titles. The font
+// lives in src/assets/fonts and sharp is pointed at it with a fontconfig file,
+// so every build machine draws the same card without network access or any
+// fonts of its own. Finished cards are kept in Astro's cache directory under a
+// hash of everything that goes into them, so a build only redraws the cards
+// whose cover, text or font changed.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import type { ImageMetadata } from 'astro';
+import sharp from 'sharp';
+import { escapeXml } from './xml';
+
+export const SHARE_CARD_WIDTH = 1200;
+export const SHARE_CARD_HEIGHT = 630;
+
+// Bump when the card design changes, so cached cards are redrawn
+const CARD_VERSION = 2;
+const CACHE_DIR = 'node_modules/.astro/share-cards';
+const FONT_DIR = 'src/assets/fonts';
+const FONT_FILES = ['Gelasio-Regular.ttf', 'Gelasio-Italic.ttf'];
+
+// fontconfig reads this once, when sharp first draws text, so it is set before any card is drawn
+process.env.FONTCONFIG_FILE = resolve(FONT_DIR, 'fonts.conf');
+
+// Longest title line, in characters, before it wraps; titles get two lines at most
+const TITLE_LINE_LENGTH = 24;
+const TITLE_LINES = 2;
+
+export interface ShareCardText {
+    title: string;
+    filmStock: string;
+}
+
+// Collection and imported images expose their source file as `fsPath`
+type ImageWithPath = ImageMetadata & { fsPath?: string };
+
+/**
+ * Returns where a series' card is published
+ * @param {string} slug - The series slug
+ * @returns {string} - e.g. "/og/urban-moments.jpg"
+ */
+export function shareCardUrl(slug: string): string {
+    return `/og/${slug}.jpg`;
+}
+
+/**
+ * Breaks a title into lines that fit the card, ending with an ellipsis if it runs over
+ * @param {string} title - The series title
+ * @returns {string[]} - One or two lines
+ */
+export function wrapTitle(title: string): string[] {
+    const lines: string[] = [];
+    for (const word of title.trim().split(/\s+/)) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= TITLE_LINE_LENGTH) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+
+    if (lines.length > TITLE_LINES) {
+        lines.splice(TITLE_LINES);
+        lines[TITLE_LINES - 1] = `${lines[TITLE_LINES - 1]}…`;
+    }
+    return lines;
+}
+
+/**
+ * Draws the text layer: a dark fade along the bottom with the title and film stock
+ * @param {ShareCardText} text - What the card says
+ * @returns {string} - An SVG the size of the card
+ */
+export function shareCardOverlay({ title, filmStock }: ShareCardText): string {
+    const lines = wrapTitle(title);
+    const stockY = SHARE_CARD_HEIGHT - 64;
+    const titleY = (index: number) => stockY - 64 - (lines.length - 1 - index) * 78;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${SHARE_CARD_WIDTH}" height="${SHARE_CARD_HEIGHT}">
+    <defs>
+        <linearGradient id="fade" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0.35" stop-color="#000" stop-opacity="0"/>
+            <stop offset="1" stop-color="#000" stop-opacity="0.75"/>
+        </linearGradient>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#fade)"/>
+    <g font-family="Gelasio" fill="#fff">
+        ${lines.map((line, index) => `<text x="64" y="${titleY(index)}" font-size="72" letter-spacing="1.5">${escapeXml(line)}</text>`).join('\n        ')}
+        <text x="64" y="${stockY}" font-size="36" font-style="italic" fill-opacity="0.85">— ${escapeXml(filmStock)}</text>
+    </g>
+</svg>`;
+}
+
+/**
+ * Names a card by everything that affects how it looks
+ * @param {Buffer} cover - The cover's source file
+ * @param {ShareCardText} text - What the card says
+ * @param {Buffer[]} fonts - The font files the text is set in
+ * @returns {string} - A hex digest to cache the card under
+ */
+export function shareCardHash(cover: Buffer, text: ShareCardText, fonts: Buffer[]): string {
+    const hash = createHash('sha256').update(`${CARD_VERSION}\0${text.title}\0${text.filmStock}\0`).update(cover);
+    for (const font of fonts) {
+        hash.update(font);
+    }
+    return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Draws a card
+ * @param {Buffer} cover - The cover's source file
+ * @param {ShareCardText} text - What the card says
+ * @returns {Promise<Buffer>} - A 1200×630 JPEG
+ */
+export function renderShareCard(cover: Buffer, text: ShareCardText): Promise<Buffer> {
+    return sharp(cover)
+        .resize(SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT, { fit: 'cover' })
+        .composite([{ input: Buffer.from(shareCardOverlay(text)) }])
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+}
+
+/**
+ * Returns a series' card, drawing it only if the cache has no card for this cover and text
+ * @param {ImageMetadata} cover - The series cover
+ * @param {ShareCardText} text - What the card says
+ * @param {string} cacheDir - Where finished cards are kept
+ * @returns {Promise<Buffer>} - A 1200×630 JPEG
+ */
+export async function getShareCard(cover: ImageMetadata, text: ShareCardText, cacheDir = CACHE_DIR): Promise<Buffer> {
+    const path = (cover as ImageWithPath).fsPath;
+    if (!path) {
+        throw new Error(`Cannot generate a share card for ${cover.src}: source file path unknown`);
+    }
+
+    const source = await readFile(path);
+    const fonts = await Promise.all(FONT_FILES.map((file) => readFile(join(FONT_DIR, file))));
+    const cached = join(cacheDir, `${shareCardHash(source, text, fonts)}.jpg`);
+    try {
+        return await readFile(cached);
+    } catch {
+        // Not drawn yet
+    }
+
+    const card = await renderShareCard(source, text);
+    await mkdir(cacheDir, { recursive: true });
+    // Write then rename, so a build stopped halfway never leaves a truncated card
+    await writeFile(`${cached}.tmp`, card);
+    await rename(`${cached}.tmp`, cached);
+    return card;
+}
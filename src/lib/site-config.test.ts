@@ -0,0 +1,63 @@
+// Unit tests for the site config schema
+// Requirements: placeholder social links fail the build; the footer shows the copyright years
+
+import { describe, it, expect } from 'vitest';
+import { defineSiteConfig, formatCopyrightYears, socialLabel } from './site-config';
+
+const seo = { title: 'ショーン - Film Photography', description: 'Film photography portfolio', keywords: ['film'] };
+const config = {
+  identity: { name: 'ショーン', since: 2025 },
+  contact: { email: 'photo@example.com' },
+  social: [{ platform: 'instagram' as const, url: 'https://www.instagram.com/shaun' }],
+  seo: { en: seo, ja: seo },
+};
+
+describe('Site config - defineSiteConfig', () => {
+  it('should accept a complete config', () => {
+    expect(defineSiteConfig(config)).toEqual({
+      ...config,
+      robots: [{ userAgent: '*', allow: [], disallow: ['/admin', '/api/'] }],
+      gallery: { layout: 'justified', rowHeight: 280, columnWidth: 320 },
+    });
+  });
+
+  it('should fill in robots.txt groups and reject paths that are not site paths', () => {
+    expect(defineSiteConfig({ ...config, robots: [{ disallow: ['/'] }] }).robots).toEqual([
+      { userAgent: '*', allow: [], disallow: ['/'] },
+    ]);
+    expect(() => defineSiteConfig({ ...config, robots: [{ disallow: ['admin'] }] })).toThrow('robots.0.disallow.0 must be a site path');
+  });
+
+  it('should only accept known gallery layouts', () => {
+    expect(defineSiteConfig({ ...config, gallery: { layout: 'masonry' } }).gallery).toEqual({ layout: 'masonry', rowHeight: 280, columnWidth: 320 });
+    expect(() => defineSiteConfig({ ...config, gallery: { layout: 'carousel' as 'grid' } })).toThrow('gallery.layout');
+  });
+
+  it('should fail on a social link that is still a placeholder', () => {
+    const social = [...config.social, { platform: 'flickr' as const, url: '#' }];
+    expect(() => defineSiteConfig({ ...config, social })).toThrow('social.1.url is still a placeholder');
+  });
+
+  it('should fail on a social link that is not a full URL', () => {
+    const social = [{ platform: 'vsco' as const, url: 'vsco.co/shaun' }];
+    expect(() => defineSiteConfig({ ...config, social })).toThrow('social.0.url must be a full URL');
+  });
+
+  it('should list every problem at once', () => {
+    expect(() =>
+      defineSiteConfig({ ...config, contact: { email: 'photo' }, seo: { en: seo, ja: { ...seo, description: '' } } })
+    ).toThrow(/contact\.email.*\n.*seo\.ja\.description/);
+  });
+});
+
+describe('Site config - helpers', () => {
+  it('should name a profile by its label or platform', () => {
+    expect(socialLabel({ platform: 'github', url: 'https://github.com/shaun' })).toBe('GitHub');
+    expect(socialLabel({ platform: 'mastodon', url: 'https://mastodon.social/@shaun', label: '@shaun' })).toBe('@shaun');
+  });
+
+  it('should show a range of copyright years once the site is older than a year', () => {
+    expect(formatCopyrightYears(2025, 2025)).toBe('2025');
+    expect(formatCopyrightYears(2025, 2027)).toBe('2025–2027');
+  });
+});
@@ -0,0 +1,125 @@
+// Schema for src/site.config.ts: who the site belongs to, how to reach them and
+// the default search metadata
+//
+// The config is checked when it is first imported, so `astro build` (and
+// `astro dev`) fail with a readable message instead of publishing a broken
+// link or an empty description.
+
+import { z } from 'astro/zod';
+
+// Platforms the layout has an icon for (see src/components/SocialIcon.astro)
+export const SOCIAL_PLATFORMS = {
+    instagram: 'Instagram',
+    flickr: 'Flickr',
+    vsco: 'VSCO',
+    linkedin: 'LinkedIn',
+    github: 'GitHub',
+    twitter: 'Twitter',
+    mastodon: 'Mastodon',
+    website: 'Website',
+} as const;
+
+export type SocialPlatform = keyof typeof SOCIAL_PLATFORMS;
+
+const socialProfile = z.object({
+    platform: z.enum(Object.keys(SOCIAL_PLATFORMS) as [SocialPlatform, ...SocialPlatform[]]),
+    url: z
+        .string()
+        .refine((url) => url.trim() !== '' && !url.trim().startsWith('#'), 'is still a placeholder; use the full profile URL')
+        .pipe(z.string().url('must be a full URL, e.g. https://www.instagram.com/your-name')),
+    // Shown instead of the platform name, e.g. "@your-name"
+    label: z.string().min(1).optional(),
+});
+
+// A robots.txt group; paths are site paths such as "/admin"
+const sitePath = z.string().startsWith('/', 'must be a site path starting with "/"');
+const robotsGroup = z.object({
+    userAgent: z.string().min(1).default('*'),
+    allow: z.array(sitePath).default([]),
+    disallow: z.array(sitePath).default([]),
+});
+
+// How the homepage gallery is laid out (see public/scripts/gallery-layout.js);
+// without JavaScript it is always the plain grid
+export const GALLERY_LAYOUTS = ['justified', 'masonry', 'grid'] as const;
+
+const galleryLayout = z.object({
+    // justified: rows of equal height; masonry: columns of equal width;
+    // grid: every cover cropped to the same box
+    layout: z.enum(GALLERY_LAYOUTS).default('justified'),
+    // Height justified rows aim for, in pixels
+    rowHeight: z.number().int().min(120).default(280),
+    // Narrowest a masonry column may be, in pixels
+    columnWidth: z.number().int().min(160).default(320),
+});
+
+const seoDefaults = z.object({
+    title: z.string().min(1),
+    description: z.string().min(1),
+    keywords: z.array(z.string().min(1)),
+});
+
+export const siteConfigSchema = z.object({
+    identity: z.object({
+        name: z.string().min(1),
+        // Year the site went up; the footer shows it to the current year
+        since: z.number().int().min(1900),
+        // Where the site is deployed, e.g. "https://example.com"; optional until there is a domain
+        url: z.string().url().optional(),
+    }),
+    contact: z.object({
+        // Shown on the page; the form's own recipient is the CONTACT_TO env variable
+        email: z.string().email(),
+    }),
+    social: z.array(socialProfile),
+    // Default title, description and keywords per language (src/lib/i18n)
+    seo: z.object({
+        en: seoDefaults,
+        ja: seoDefaults,
+    }),
+    // Licence the photos are published under, e.g. a Creative Commons deed;
+    // listed in the image sitemap and structured data
+    license: z.string().url().optional(),
+    // robots.txt, one group per crawler; the sitemap's address is added below them
+    robots: z.array(robotsGroup).default([{ userAgent: '*', disallow: ['/admin', '/api/'] }]),
+    gallery: galleryLayout.default({}),
+});
+
+export type SiteConfig = z.infer<typeof siteConfigSchema>;
+export type SocialProfile = SiteConfig['social'][number];
+export type RobotsGroup = SiteConfig['robots'][number];
+
+/**
+ * Validates the site config, failing loudly on anything that would publish a
+ * broken page
+ * @param {SiteConfig} config - The config as written in src/site.config.ts
+ * @returns {SiteConfig} - The validated config
+ * @throws {Error} - Listing every invalid setting, e.g. `social.0.url is still a placeholder`
+ */
+export function defineSiteConfig(config: z.input<typeof siteConfigSchema>): SiteConfig {
+    const result = siteConfigSchema.safeParse(config);
+    if (!result.success) {
+        const problems = result.error.issues.map((issue) => `  - ${issue.path.join('.')} ${issue.message}`);
+        throw new Error(`Invalid site config (src/site.config.ts):\n${problems.join('\n')}`);
+    }
+    return result.data;
+}
+
+/**
+ * Returns the display name of a social profile
+ * @param {SocialProfile} profile - The profile
+ * @returns {string} - Its label, or the platform name
+ */
+export function socialLabel(profile: SocialProfile): string {
+    return profile.label ?? SOCIAL_PLATFORMS[profile.platform];
+}
+
+/**
+ * Formats the copyright years
+ * @param {number} since - The first year
+ * @param {number} year - The current year
+ * @returns {string} - e.g. "2025" or "2025–2026"
+ */
+export function formatCopyrightYears(since: number, year: number): string {
+    return year > since ? `${since}–${year}` : String(since);
+}
@@ -0,0 +1,78 @@
+// Unit tests for sitemap.xml and robots.txt
+// Requirements: every page with its alternates and photos (caption, licence); configurable robots.txt
+
+import { describe, it, expect } from 'vitest';
+import { buildRobots, buildSitemap, sitemapLocation } from './sitemap';
+
+const entry = {
+  loc: 'https://shaun.example/en/series/landscapes/',
+  alternates: [
+    { lang: 'en', href: 'https://shaun.example/en/series/landscapes/' },
+    { lang: 'ja', href: 'https://shaun.example/ja/series/landscapes/' },
+  ],
+  images: [
+    {
+      loc: 'https://shaun.example/_astro/project3.jpg',
+      caption: 'Kinkaku-ji & its reflection',
+      license: 'https://creativecommons.org/licenses/by-nc-nd/4.0/',
+    },
+  ],
+};
+
+describe('Sitemap - buildSitemap', () => {
+  it('should list each page with its language alternates', () => {
+    const xml = buildSitemap([entry]);
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9"/);
+    expect(xml).toContain('<loc>https://shaun.example/en/series/landscapes/</loc>');
+    expect(xml).toContain('<xhtml:link rel="alternate" hreflang="ja" href="https://shaun.example/ja/series/landscapes/"/>');
+  });
+
+  it('should list each photo with its escaped caption and licence', () => {
+    const xml = buildSitemap([entry]);
+    expect(xml).toContain('<image:loc>https://shaun.example/_astro/project3.jpg</image:loc>');
+    expect(xml).toContain('<image:caption>Kinkaku-ji &amp; its reflection</image:caption>');
+    expect(xml).toContain('<image:license>https://creativecommons.org/licenses/by-nc-nd/4.0/</image:license>');
+  });
+
+  it('should leave out a caption and licence that are not set', () => {
+    const xml = buildSitemap([{ ...entry, images: [{ loc: entry.images[0].loc }] }]);
+    expect(xml).not.toContain('<image:caption>');
+    expect(xml).not.toContain('<image:license>');
+  });
+
+  it('should refuse relative URLs rather than write an invalid sitemap', () => {
+    expect(() => buildSitemap([{ ...entry, loc: '/en/series/landscapes/' }])).toThrow('Sitemap URLs must be absolute, got "/en/series/landscapes/"');
+    expect(() => buildSitemap([{ ...entry, images: [{ loc: '/_astro/project3.jpg' }] }])).toThrow('absolute');
+    expect(() => buildSitemap([{ ...entry, alternates: [{ lang: 'x-default', href: '/en/' }] }])).toThrow('absolute');
+  });
+});
+
+describe('Sitemap - sitemapLocation', () => {
+  it('should place the sitemap at the root of the site', () => {
+    expect(sitemapLocation(new URL('https://shaun.example/portfolio/'))).toBe('https://shaun.example/sitemap.xml');
+  });
+
+  it('should have no sitemap, and no robots.txt line for it, without the site address', () => {
+    expect(sitemapLocation(undefined)).toBeUndefined();
+    expect(buildRobots([{ userAgent: '*', allow: [], disallow: [] }], sitemapLocation(undefined))).not.toContain('Sitemap:');
+  });
+});
+
+describe('Sitemap - buildRobots', () => {
+  it('should write each group and point to the sitemap', () => {
+    const robots = buildRobots(
+      [
+        { userAgent: '*', allow: [], disallow: ['/admin', '/api/'] },
+        { userAgent: 'GPTBot', allow: [], disallow: ['/'] },
+      ],
+      'https://shaun.example/sitemap.xml'
+    );
+    expect(robots).toBe(
+      'User-agent: *\nDisallow: /admin\nDisallow: /api/\n\nUser-agent: GPTBot\nDisallow: /\n\nSitemap: https://shaun.example/sitemap.xml\n'
+    );
+  });
+
+  it('should allow everything for a group without rules and skip a relative sitemap', () => {
+    expect(buildRobots([{ userAgent: '*', allow: [], disallow: [] }], undefined)).toBe('User-agent: *\nDisallow:\n');
+  });
+});
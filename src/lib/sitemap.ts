@@ -0,0 +1,103 @@
+// sitemap.xml and robots.txt
+//
+// src/pages/sitemap.xml.ts lists every page in every language, with its
+// hreflang alternates and, through the image sitemap extension, every photo it
+// shows. Photos have no pages of their own (a frame is an anchor on its series
+// page), so each one is listed as an image of its series page. Sitemaps only
+// take absolute URLs, so there is no sitemap while the site's address is unknown.
+
+import type { RobotsGroup } from './site-config';
+import { escapeXml } from './xml';
+
+export interface SitemapImage {
+    loc: string;
+    caption?: string;
+    license?: string;
+}
+
+export interface SitemapEntry {
+    loc: string;
+    // The page in every language, by hreflang code (including "x-default")
+    alternates: { lang: string; href: string }[];
+    images: SitemapImage[];
+}
+
+/**
+ * Returns the sitemap's address, which robots.txt points to
+ * @param {URL | undefined} site - The deployed site, from Astro.site
+ * @returns {string | undefined} - e.g. "https://example.com/sitemap.xml", or undefined while the address is unknown
+ */
+export function sitemapLocation(site: URL | undefined): string | undefined {
+    return site && new URL('/sitemap.xml', site).href;
+}
+
+// Throws on a relative URL, which would make the whole sitemap invalid
+function requireAbsolute(url: string): string {
+    if (!URL.canParse(url)) {
+        throw new Error(`Sitemap URLs must be absolute, got "${url}"`);
+    }
+    return url;
+}
+
+function imageXml({ loc, caption, license }: SitemapImage): string {
+    return [
+        '    <image:image>',
+        `      <image:loc>${escapeXml(requireAbsolute(loc))}</image:loc>`,
+        ...(caption ? [`      <image:caption>${escapeXml(caption)}</image:caption>`] : []),
+        ...(license ? [`      <image:license>${escapeXml(license)}</image:license>`] : []),
+        '    </image:image>',
+    ].join('\n');
+}
+
+/**
+ * Writes the sitemap
+ * @param {SitemapEntry[]} entries - Every page, with its alternates and images
+ * @returns {string} - A sitemap document with the xhtml and image extensions
+ * @throws {Error} - When a URL is relative
+ */
+export function buildSitemap(entries: SitemapEntry[]): string {
+    const urls = entries.map((entry) =>
+        [
+            '  <url>',
+            `    <loc>${escapeXml(requireAbsolute(entry.loc))}</loc>`,
+            ...entry.alternates.map(
+                (alternate) =>
+                    `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.lang)}" href="${escapeXml(requireAbsolute(alternate.href))}"/>`
+            ),
+            ...entry.images.map(imageXml),
+            '  </url>',
+        ].join('\n')
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml"',
+        '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+        ...urls,
+        '</urlset>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Writes robots.txt
+ * @param {RobotsGroup[]} groups - Crawler rules from the site config
+ * @param {string | undefined} sitemap - Absolute sitemap URL; robots.txt cannot point to a relative one
+ * @returns {string} - The file's contents
+ */
+export function buildRobots(groups: RobotsGroup[], sitemap: string | undefined): string {
+    const blocks = groups.map((group) =>
+        [
+            `User-agent: ${group.userAgent}`,
+            ...group.allow.map((path) => `Allow: ${path}`),
+            ...group.disallow.map((path) => `Disallow: ${path}`),
+            // A group with no rules allows everything, which robots.txt spells as an empty Disallow
+            ...(group.allow.length + group.disallow.length === 0 ? ['Disallow:'] : []),
+        ].join('\n')
+    );
+    if (sitemap) {
+        blocks.push(`Sitemap: ${sitemap}`);
+    }
+    return `${blocks.join('\n\n')}\n`;
+}
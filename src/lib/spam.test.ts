@@ -0,0 +1,95 @@
+// Unit tests for contact form spam checks
+// Requirements: honeypot, minimum time-to-submit token and content filter
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkFormToken,
+  createFormToken,
+  isHoneypotFilled,
+  scoreContent,
+  MAX_TOKEN_AGE,
+  MIN_SUBMIT_TIME,
+  SPAM_SCORE_THRESHOLD,
+} from './spam';
+
+const secret = 'test-secret';
+const issuedAt = Date.UTC(2025, 0, 1);
+
+describe('Spam checks - form token', () => {
+  it('should accept a token submitted after the minimum time', () => {
+    const token = createFormToken(secret, issuedAt);
+
+    expect(checkFormToken(token, secret, issuedAt + MIN_SUBMIT_TIME)).toBe('valid');
+  });
+
+  it('should flag a form submitted faster than a person could fill it in', () => {
+    const token = createFormToken(secret, issuedAt);
+
+    expect(checkFormToken(token, secret, issuedAt + 500)).toBe('too-fast');
+  });
+
+  it('should expire tokens after a day', () => {
+    const token = createFormToken(secret, issuedAt);
+
+    expect(checkFormToken(token, secret, issuedAt + MAX_TOKEN_AGE + 1)).toBe('expired');
+  });
+
+  it('should reject a token whose timestamp was changed', () => {
+    const [, signature] = createFormToken(secret, issuedAt).split('.');
+
+    expect(checkFormToken(`${issuedAt - 60000}.${signature}`, secret, issuedAt + 5000)).toBe('invalid');
+  });
+
+  it('should reject tokens signed with another secret, malformed or missing', () => {
+    expect(checkFormToken(createFormToken('other', issuedAt), secret, issuedAt + 5000)).toBe('invalid');
+    expect(checkFormToken('not-a-token', secret, issuedAt + 5000)).toBe('invalid');
+    expect(checkFormToken('', secret)).toBe('missing');
+    expect(checkFormToken(undefined, secret)).toBe('missing');
+  });
+});
+
+describe('Spam checks - honeypot', () => {
+  it('should only trip when the hidden field has content', () => {
+    expect(isHoneypotFilled({ website: 'https://spam.example' })).toBe(true);
+    expect(isHoneypotFilled({ website: '  ' })).toBe(false);
+    expect(isHoneypotFilled({})).toBe(false);
+  });
+});
+
+describe('Spam checks - scoreContent', () => {
+  const submission = (message: string, name = 'Aiko') => ({ name, email: 'aiko@example.com', message, inquiryType: 'general', details: {} });
+
+  it('should let a genuine inquiry with a link through', () => {
+    const { score } = scoreContent(submission('Loved the Kyoto series! My portfolio is at https://aiko.example - do you sell prints?'));
+
+    expect(score).toBeLessThan(SPAM_SCORE_THRESHOLD);
+  });
+
+  it('should flag link markup', () => {
+    const { score, reasons } = scoreContent(submission('Great site [url=https://spam.example]cheap[/url]'));
+
+    expect(score).toBeGreaterThanOrEqual(SPAM_SCORE_THRESHOLD);
+    expect(reasons).toContain('link markup');
+  });
+
+  it('should flag link-stuffed sales pitches', () => {
+    const { score, reasons } = scoreContent(submission(
+      'We offer SEO services and backlinks: https://a.example https://b.example https://c.example'
+    ));
+
+    expect(score).toBeGreaterThanOrEqual(SPAM_SCORE_THRESHOLD);
+    expect(reasons).toContain('3 links');
+  });
+
+  it('should flag a link in the name field', () => {
+    const { reasons } = scoreContent(submission('Hello', 'Visit www.spam.example'));
+
+    expect(reasons).toContain('link in name');
+  });
+
+  it('should not treat Japanese text as shouting', () => {
+    const { reasons } = scoreContent(submission('京都のシリーズがとても素敵でした。プリントは購入できますか？'));
+
+    expect(reasons).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+// Spam checks for contact form submissions
+//
+// Bots are told their message was sent, so they have no signal to adapt to;
+// only the server log records that it was dropped.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import type { ContactSubmission } from './contact';
+
+// Name of the hidden field people never see or fill in
+export const HONEYPOT_FIELD = 'website';
+
+// A person needs at least this long to fill in the form
+export const MIN_SUBMIT_TIME = 3 * 1000;
+
+// Tokens older than this belong to a tab left open for a day; ask for a reload
+export const MAX_TOKEN_AGE = 24 * 60 * 60 * 1000;
+
+// Content scoring at or above this is treated as spam
+export const SPAM_SCORE_THRESHOLD = 3;
+
+const SPAM_PHRASES = [
+    'backlink',
+    'casino',
+    'crypto',
+    'seo service',
+    'rank your website',
+    'viagra',
+    'loan',
+    'forex',
+    'guest post',
+    'web traffic',
+];
+
+export type TokenCheck = 'valid' | 'missing' | 'invalid' | 'too-fast' | 'expired';
+
+function sign(issuedAt: string, secret: string): string {
+    return createHmac('sha256', secret).update(issuedAt).digest('base64url');
+}
+
+/**
+ * Creates a signed token recording when the form was loaded
+ * @param {string} secret - Server-side signing secret
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - "<issued-at>.<signature>"
+ */
+export function createFormToken(secret: string, now: number = Date.now()): string {
+    const issuedAt = String(now);
+    return `${issuedAt}.${sign(issuedAt, secret)}`;
+}
+
+/**
+ * Checks a form token's signature and how long ago it was issued
+ * @param {unknown} token - The submitted token
+ * @param {string} secret - Server-side signing secret
+ * @param {number} now - Current time in milliseconds
+ * @returns {TokenCheck} - 'valid', or why the token was rejected
+ */
+export function checkFormToken(token: unknown, secret: string, now: number = Date.now()): TokenCheck {
+    if (typeof token !== 'string' || token.length === 0) {
+        return 'missing';
+    }
+
+    const [issuedAt, signature = ''] = token.split('.');
+    const expected = Buffer.from(sign(issuedAt, secret));
+    const actual = Buffer.from(signature);
+    if (!/^\d+$/.test(issuedAt) || actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        return 'invalid';
+    }
+
+    const age = now - Number(issuedAt);
+    if (age < MIN_SUBMIT_TIME) {
+        return 'too-fast';
+    }
+    if (age > MAX_TOKEN_AGE) {
+        return 'expired';
+    }
+    return 'valid';
+}
+
+/**
+ * Checks whether the honeypot field was filled in
+ * @param {Record<string, unknown>} input - The raw submitted fields
+ * @returns {boolean} - True if a bot filled in the hidden field
+ */
+export function isHoneypotFilled(input: Record<string, unknown>): boolean {
+    const value = input[HONEYPOT_FIELD];
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Scores a submission on signs of spam content
+ * @param {ContactSubmission} submission - The validated fields
+ * @returns {{score: number, reasons: string[]}} - Total score and what contributed to it
+ */
+export function scoreContent(submission: ContactSubmission): { score: number; reasons: string[] } {
+    const reasons: string[] = [];
+    let score = 0;
+    const flag = (reason: string, weight: number) => {
+        reasons.push(reason);
+        score += weight;
+    };
+
+    const message = submission.message.toLowerCase();
+
+    const links = message.match(/https?:\/\/|www\./g) ?? [];
+    if (links.length > 2) {
+        flag(`${links.length} links`, 2);
+    }
+    // Link markup never renders in a plain-text email, so only bots send it
+    if (/\[url=|<a\s+href/.test(message)) {
+        flag('link markup', 3);
+    }
+    if (/https?:\/\/|www\./i.test(submission.name)) {
+        flag('link in name', 2);
+    }
+
+    const phrases = SPAM_PHRASES.filter((phrase) => message.includes(phrase));
+    if (phrases.length > 0) {
+        flag(`spam phrases: ${phrases.join(', ')}`, phrases.length);
+    }
+
+    const letters = submission.message.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 20 && letters === letters.toUpperCase()) {
+        flag('all capitals', 1);
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Records a dropped submission in the server log instead of emailing it
+ * @param {string} reason - Why it was rejected
+ * @param {{ip: string, input: Record<string, unknown>}} details - Who sent it and what they sent
+ */
+export function logRejectedSubmission(reason: string, details: { ip: string; input: Record<string, unknown> }): void {
+    const fields = Object.fromEntries(
+        Object.entries(details.input).map(([name, value]) => [name, String(value).slice(0, 500)])
+    );
+    console.warn(`[contact] Rejected submission: ${JSON.stringify({ reason, ip: details.ip, fields })}`);
+}
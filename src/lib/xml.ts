@@ -0,0 +1,15 @@
+// Escaping for the XML the build writes: share card overlays, the sitemap and feeds
+
+/**
+ * Escapes text for an XML text node or attribute value
+ * @param {string} text - Plain text
+ * @returns {string} - Text safe to place between tags or in quotes
+ */
+export function escapeXml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
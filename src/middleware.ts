@@ -0,0 +1,22 @@
+// Request middleware: password-protects everything under /admin
+
+import { defineMiddleware } from 'astro:middleware';
+import { ADMIN_PASSWORD } from 'astro:env/server';
+import { isAuthorized, unauthorized } from './lib/admin-auth';
+
+export const onRequest = defineMiddleware((context, next) => {
+    // Prerendered pages are public and have no request headers to check
+    if (context.isPrerendered || !/^\/admin(\/|$)/.test(context.url.pathname)) {
+        return next();
+    }
+
+    // Without a password the admin pages do not exist
+    if (!ADMIN_PASSWORD) {
+        return new Response('Not found', { status: 404 });
+    }
+    if (!isAuthorized(context.request.headers.get('authorization'), ADMIN_PASSWORD)) {
+        return unauthorized();
+    }
+
+    return next();
+});
@@ -0,0 +1,27 @@
+// One page of the archive as JSON, fetched by public/scripts/virtual-gallery.js
+// as the visitor scrolls (see src/lib/archive.ts)
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { countArchivePages, toArchivePage, type ArchiveFrame } from '../../../lib/archive';
+import { LOCALES, type Lang } from '../../../lib/i18n';
+import { getArchiveFrames } from '../../../lib/series';
+
+export const getStaticPaths = (async () => {
+    const paths = await Promise.all(
+        LOCALES.map(async (lang) => {
+            const frames = await getArchiveFrames(lang);
+            return Array.from({ length: countArchivePages(frames.length) }, (_, index) => ({
+                params: { lang, page: String(index + 1) },
+                props: { frames },
+            }));
+        })
+    );
+    return paths.flat();
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ frames: ArchiveFrame[] }> = ({ params, props }) => {
+    const page = toArchivePage(props.frames, Number(params.page), params.lang as Lang);
+    return new Response(JSON.stringify(page), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+};
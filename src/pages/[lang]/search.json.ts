@@ -0,0 +1,17 @@
+// Search index at /<lang>/search.json, fetched by public/scripts/search.js
+// the first time the search overlay opens (see src/lib/search-index.ts)
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { LOCALES, type Lang } from '../../lib/i18n';
+import { toSearchIndex } from '../../lib/search-index';
+import { getLocalizedSeries } from '../../lib/series';
+
+export const getStaticPaths = (() => LOCALES.map((lang) => ({ params: { lang } }))) satisfies GetStaticPaths;
+
+export const GET: APIRoute = async ({ params }) => {
+    const lang = params.lang as Lang;
+    const index = toSearchIndex(await getLocalizedSeries(lang), lang);
+    return new Response(JSON.stringify(index), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+};
@@ -0,0 +1,20 @@
+// CSV export of the admin inbox, honouring the same filters as /admin/inquiries
+
+import type { APIRoute } from 'astro';
+import { filterInquiries, getInquiryStore, readInquiryFilter, toCsv } from '../../lib/inquiry-store';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url }) => {
+    const inquiries = filterInquiries(await getInquiryStore().list(), readInquiryFilter(url.searchParams));
+    const date = new Date().toISOString().slice(0, 10);
+
+    // The byte order mark makes Excel read non-ASCII names as UTF-8
+    return new Response(`\uFEFF${toCsv(inquiries)}`, {
+        headers: {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="inquiries-${date}.csv"`,
+            'Cache-Control': 'no-store',
+        },
+    });
+};
@@ -0,0 +1,201 @@
+// Contact form endpoint: validates a submission and emails it to the site owner
+//
+// GET returns the time-to-submit token the form must send back. POST responses
+// are JSON so public/scripts/form-validation.js can show each error next to its
+// field:
+//   200 { ok: true }                     - sent, or silently dropped as spam
+//   400 { ok: false, message }           - unreadable body
+//   400 { ok: false, code: 'token', message }
+//                                        - missing, forged or expired token; fetch a new one and send again
+//   400 { ok: false, code: 'too-fast', retryAfter, message }
+//                                        - sent within seconds of the token being issued; send again after retryAfter seconds
+//   422 { ok: false, errors: { field } } - one message per invalid field
+//   429 { ok: false, message }           - too many requests from this IP, or messages from this IP or email
+//   502 { ok: false, message }           - the message could be neither saved nor sent
+//
+// Accepted messages are saved to the inquiry store (see /admin/inquiries) as
+// well as emailed, so a mail outage does not lose them.
+//
+// Messages are in the language of the form's `locale` field, or of the
+// browser's Accept-Language header before the body has been read.
+
+import { randomBytes, randomUUID } from 'node:crypto';
+import type { APIRoute } from 'astro';
+import { CONTACT_FROM, CONTACT_TO, CONTACT_TOKEN_SECRET } from 'astro:env/server';
+import { buildContactEmail, validateContact, type ContactSubmission } from '../../lib/contact';
+import { readLang, translate, type Lang } from '../../lib/i18n';
+import { getInquiryStore } from '../../lib/inquiry-store';
+import { getMailTransport } from '../../lib/mail';
+import { checkAttemptLimit, checkMessageLimit, getRateLimitStore, type RateLimitResult } from '../../lib/rate-limit';
+import {
+    checkFormToken,
+    createFormToken,
+    isHoneypotFilled,
+    logRejectedSubmission,
+    MIN_SUBMIT_TIME,
+    scoreContent,
+    SPAM_SCORE_THRESHOLD,
+} from '../../lib/spam';
+
+export const prerender = false;
+
+// Without a configured secret, tokens only verify on the server instance that issued them
+const tokenSecret = CONTACT_TOKEN_SECRET || randomBytes(32).toString('hex');
+
+function json(body: object, status: number, headers: Record<string, string> = {}): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+    });
+}
+
+function tooManyRequests(retryAfter: number, lang: Lang, key: 'status.rateLimited' | 'status.tooManyAttempts'): Response {
+    return json({ ok: false, message: translate(lang, key) }, 429, {
+        'Retry-After': String(retryAfter),
+    });
+}
+
+/**
+ * Runs a rate limit check, letting the request through if the store fails:
+ * losing a message is worse than missing a limit
+ * @param {() => Promise<RateLimitResult>} check - The check to run
+ * @returns {Promise<RateLimitResult>} - Its result, or allowed on error
+ */
+async function checkLimit(check: () => Promise<RateLimitResult>): Promise<RateLimitResult> {
+    try {
+        return await check();
+    } catch (error) {
+        console.error('Failed to check contact form rate limits', error);
+        return { allowed: true, retryAfter: 0 };
+    }
+}
+
+/**
+ * Reads the submitted fields from a JSON, urlencoded or multipart body
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Record<string, unknown> | null>} - The fields, or null if the body is unreadable
+ */
+async function readSubmission(request: Request): Promise<Record<string, unknown> | null> {
+    const contentType = request.headers.get('content-type') ?? '';
+
+    try {
+        if (contentType.includes('application/json')) {
+            const body = await request.json();
+            return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+        }
+        if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+            return Object.fromEntries(await request.formData());
+        }
+    } catch {
+        // Malformed body; fall through
+    }
+    return null;
+}
+
+/**
+ * Returns the sender's IP address, if the server can tell
+ * @param {() => string} getClientAddress - Reads Astro's clientAddress, which throws when unavailable
+ * @returns {string} - The IP address, or "unknown"
+ */
+function readClientAddress(getClientAddress: () => string): string {
+    try {
+        return getClientAddress();
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Saves an accepted submission to the inquiry store
+ * @param {ContactSubmission} submission - The validated fields
+ * @returns {Promise<boolean>} - True if it was saved
+ */
+async function saveInquiry(submission: ContactSubmission): Promise<boolean> {
+    try {
+        await getInquiryStore().add({
+            id: randomUUID(),
+            receivedAt: new Date().toISOString(),
+            ...submission,
+            repliedAt: null,
+        });
+        return true;
+    } catch (error) {
+        console.error('Failed to save contact form inquiry', error);
+        return false;
+    }
+}
+
+export const GET: APIRoute = () => json({ token: createFormToken(tokenSecret) }, 200);
+
+export const POST: APIRoute = async (context) => {
+    const ip = readClientAddress(() => context.clientAddress);
+    const store = getRateLimitStore();
+    const browserLang = readLang(context.preferredLocale);
+
+    // Every request counts here, with room for typos and retries; only valid
+    // submissions count towards the message limits below
+    const attemptLimit = await checkLimit(() => checkAttemptLimit(store, ip));
+    if (!attemptLimit.allowed) {
+        console.warn(`[contact] Rate limited ${ip}`);
+        return tooManyRequests(attemptLimit.retryAfter, browserLang, 'status.tooManyAttempts');
+    }
+
+    const submission = await readSubmission(context.request);
+    if (!submission) {
+        return json({ ok: false, message: translate(browserLang, 'status.unreadable') }, 400);
+    }
+    const lang = readLang(submission.locale, browserLang);
+
+    // Bots get the same response as a real sender so they cannot tell they were caught
+    if (isHoneypotFilled(submission)) {
+        logRejectedSubmission('honeypot', { ip, input: submission });
+        return json({ ok: true }, 200);
+    }
+
+    const token = checkFormToken(submission.token, tokenSecret);
+    // Likely a person whose token arrived late, so ask for the message again
+    // rather than drop it; the honeypot is what catches bots quietly
+    if (token === 'too-fast') {
+        const retryAfter = Math.ceil(MIN_SUBMIT_TIME / 1000);
+        return json({ ok: false, code: 'too-fast', retryAfter, message: translate(lang, 'status.tooFast') }, 400, {
+            'Retry-After': String(retryAfter),
+        });
+    }
+    if (token !== 'valid') {
+        logRejectedSubmission(`${token} token`, { ip, input: submission });
+        return json({ ok: false, code: 'token', message: translate(lang, 'status.expired') }, 400);
+    }
+
+    const result = validateContact(submission, Date.now(), lang);
+    if (!result.valid) {
+        return json({ ok: false, errors: result.errors }, 422);
+    }
+
+    const messageLimit = await checkLimit(() => checkMessageLimit(store, ip, result.data.email));
+    if (!messageLimit.allowed) {
+        logRejectedSubmission('message rate limit', { ip, input: submission });
+        return tooManyRequests(messageLimit.retryAfter, lang, 'status.rateLimited');
+    }
+
+    const content = scoreContent(result.data);
+    if (content.score >= SPAM_SCORE_THRESHOLD) {
+        logRejectedSubmission(`content (${content.reasons.join('; ')})`, { ip, input: submission });
+        return json({ ok: true }, 200);
+    }
+
+    const saved = await saveInquiry(result.data);
+
+    try {
+        const transport = getMailTransport();
+        await transport.send(buildContactEmail(result.data, { to: CONTACT_TO, from: CONTACT_FROM }));
+    } catch (error) {
+        console.error('Failed to send contact form message', error);
+
+        // A saved inquiry still reaches the owner through the admin page
+        if (!saved) {
+            return json({ ok: false, message: translate(lang, 'status.failed') }, 502);
+        }
+    }
+
+    return json({ ok: true }, 200);
+};
@@ -0,0 +1,17 @@
+// Atom feed of newly published series and photos (see src/lib/feeds.ts)
+
+import type { APIRoute } from 'astro';
+import { buildAtom, FEED_PATHS, feedInfo, latestItems, skipFeed } from '../lib/feeds';
+import { DEFAULT_LANG } from '../lib/i18n';
+import { getFeedItems } from '../lib/series';
+import { site } from '../site.config';
+
+export const GET: APIRoute = async ({ site: siteUrl }) => {
+    if (!siteUrl) {
+        return skipFeed(FEED_PATHS.atom);
+    }
+    const items = latestItems(await getFeedItems(DEFAULT_LANG, siteUrl));
+    return new Response(buildAtom(feedInfo(site, DEFAULT_LANG, siteUrl), items), {
+        headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+    });
+};
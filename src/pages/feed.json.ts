@@ -0,0 +1,17 @@
+// JSON Feed of newly published series and photos (see src/lib/feeds.ts)
+
+import type { APIRoute } from 'astro';
+import { buildJsonFeed, FEED_PATHS, feedInfo, latestItems, skipFeed } from '../lib/feeds';
+import { DEFAULT_LANG } from '../lib/i18n';
+import { getFeedItems } from '../lib/series';
+import { site } from '../site.config';
+
+export const GET: APIRoute = async ({ site: siteUrl }) => {
+    if (!siteUrl) {
+        return skipFeed(FEED_PATHS.json);
+    }
+    const items = latestItems(await getFeedItems(DEFAULT_LANG, siteUrl));
+    return new Response(buildJsonFeed(feedInfo(site, DEFAULT_LANG, siteUrl), items), {
+        headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+    });
+};
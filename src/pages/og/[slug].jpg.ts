@@ -0,0 +1,18 @@
+// Link preview card for each series at /og/<slug>.jpg, drawn at build time by
+// src/lib/share-cards.ts. Both languages share one card, set in the series'
+// own (English) title, since build machines rarely have Japanese fonts.
+
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getSortedSeries, type Series } from '../../lib/series';
+import { getShareCard } from '../../lib/share-cards';
+
+export const getStaticPaths = (async () => {
+    const series = await getSortedSeries();
+    return series.map((entry) => ({ params: { slug: entry.data.slug }, props: { series: entry } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ series: Series }> = async ({ props }) => {
+    const { cover, title, filmStock } = props.series.data;
+    const card = await getShareCard(cover.src, { title, filmStock });
+    return new Response(new Uint8Array(card), { headers: { 'Content-Type': 'image/jpeg' } });
+};
@@ -0,0 +1,11 @@
+// robots.txt, from the `robots` groups in src/site.config.ts
+
+import type { APIRoute } from 'astro';
+import { buildRobots, sitemapLocation } from '../lib/sitemap';
+import { site } from '../site.config';
+
+export const GET: APIRoute = ({ site: siteUrl }) => {
+    return new Response(buildRobots(site.robots, sitemapLocation(siteUrl)), {
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+};
@@ -0,0 +1,17 @@
+// RSS 2.0 feed of newly published series and photos (see src/lib/feeds.ts)
+
+import type { APIRoute } from 'astro';
+import { buildRss, FEED_PATHS, feedInfo, latestItems, skipFeed } from '../lib/feeds';
+import { DEFAULT_LANG } from '../lib/i18n';
+import { getFeedItems } from '../lib/series';
+import { site } from '../site.config';
+
+export const GET: APIRoute = async ({ site: siteUrl }) => {
+    if (!siteUrl) {
+        return skipFeed(FEED_PATHS.rss);
+    }
+    const items = latestItems(await getFeedItems(DEFAULT_LANG, siteUrl));
+    return new Response(buildRss(feedInfo(site, DEFAULT_LANG, siteUrl), items), {
+        headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' },
+    });
+};
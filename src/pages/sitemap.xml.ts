@@ -0,0 +1,71 @@
+// sitemap.xml: the homepage, every series page, the film log, the contact
+// sheets and the archive pages in each language, with the photos each series page shows (see
+// src/lib/sitemap.ts)
+
+import type { APIRoute } from 'astro';
+import { archivePageUrl, countArchivePages } from '../lib/archive';
+import { groupByRoll, rollContactSheetUrl, seriesContactSheetUrl, toContactFrames } from '../lib/contact-sheets';
+import { DEFAULT_LANG, LOCALES, localizePath, type Lang } from '../lib/i18n';
+import { getShareImage } from '../lib/images';
+import { absoluteUrl, canonicalPath } from '../lib/seo';
+import { rollUrl } from '../lib/rolls';
+import { getLocalizedRolls, getLocalizedSeries, seriesUrl } from '../lib/series';
+import { buildSitemap, sitemapLocation, type SitemapEntry, type SitemapImage } from '../lib/sitemap';
+import { site } from '../site.config';
+
+export const GET: APIRoute = async ({ site: siteUrl }) => {
+    // Without the site's address the URLs could not be absolute; a response
+    // without a body is not written, and robots.txt leaves the sitemap out too
+    if (!sitemapLocation(siteUrl)) {
+        console.warn('[sitemap] Skipped sitemap.xml: set identity.url in src/site.config.ts to publish one');
+        return new Response(null, { status: 404 });
+    }
+
+    const pageUrl = (path: string) => absoluteUrl(canonicalPath(path), siteUrl);
+    const page = (lang: Lang, pathFor: (lang: Lang) => string, images: SitemapImage[] = []): SitemapEntry => ({
+        loc: pageUrl(pathFor(lang)),
+        alternates: [
+            ...LOCALES.map((locale) => ({ lang: locale, href: pageUrl(pathFor(locale)) })),
+            { lang: 'x-default', href: pageUrl(pathFor(DEFAULT_LANG)) },
+        ],
+        images,
+    });
+
+    const entries = await Promise.all(
+        LOCALES.map(async (lang) => {
+            const series = await getLocalizedSeries(lang);
+            const seriesPages = await Promise.all(
+                series.map(async ({ data }) => {
+                    const images = await Promise.all(
+                        data.photos.map(async (photo) => ({
+                            loc: absoluteUrl((await getShareImage(photo.src)).src, siteUrl),
+                            caption: photo.caption ?? photo.alt,
+                            license: site.license,
+                        }))
+                    );
+                    return page(lang, (locale) => seriesUrl(data.slug, locale), images);
+                })
+            );
+            // Frames are listed as images of their series pages, so the film log, contact sheets and archive pages go in without them
+            const rollPages = [
+                page(lang, (locale) => localizePath('/rolls', locale)),
+                ...(await getLocalizedRolls(lang)).map(({ roll }) => page(lang, (locale) => rollUrl(roll.id, locale))),
+            ];
+            const contactSheets = [
+                ...series
+                    .filter((entry) => toContactFrames([entry]).length > 0)
+                    .map(({ data }) => page(lang, (locale) => seriesContactSheetUrl(data.slug, locale))),
+                ...groupByRoll(toContactFrames(series)).map((roll) => page(lang, (locale) => rollContactSheetUrl(roll.id, locale))),
+            ];
+            const frameCount = series.reduce((count, { data }) => count + data.photos.length, 0);
+            const archivePages = Array.from({ length: countArchivePages(frameCount) }, (_, index) =>
+                page(lang, (locale) => archivePageUrl(index + 1, locale))
+            );
+            return [page(lang, (locale) => localizePath('/', locale)), ...seriesPages, ...rollPages, ...contactSheets, ...archivePages];
+        })
+    );
+
+    return new Response(buildSitemap(entries.flat()), {
+        headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+    });
+};
@@ -0,0 +1,56 @@
+// Site identity, contact details, social profiles and default SEO
+//
+// Everything the layout says about the site's owner comes from here. The
+// schema lives in src/lib/site-config.ts; an invalid value, such as a social
+// link still set to "#", fails the build.
+
+import { defineSiteConfig } from './lib/site-config';
+
+export const site = defineSiteConfig({
+    identity: {
+        name: 'ショーン',
+        since: 2025,
+        // The site's address, for canonical links and link previews; on Vercel
+        // the production domain is used while this is unset
+        // url: 'https://your-name.com',
+    },
+
+    contact: {
+        email: 'photo@example.com',
+    },
+
+    // Shown with an icon in the contact section and the footer, in this order.
+    // Platforms: instagram, flickr, vsco, linkedin, github, twitter, mastodon, website
+    social: [
+        // { platform: 'instagram', url: 'https://www.instagram.com/your-name' },
+        // { platform: 'flickr', url: 'https://www.flickr.com/photos/your-name' },
+        // { platform: 'vsco', url: 'https://vsco.co/your-name' },
+        // { platform: 'linkedin', url: 'https://www.linkedin.com/in/your-name' },
+        // { platform: 'github', url: 'https://github.com/your-name' },
+        // { platform: 'twitter', url: 'https://twitter.com/your-name' },
+    ],
+
+    seo: {
+        en: {
+            title: 'ショーン - Film Photography',
+            description: 'Film photography portfolio showcasing analog photography, 35mm film work, and darkroom prints',
+            keywords: ['film photography', 'analog photography', '35mm', 'medium format', 'darkroom', 'portfolio'],
+        },
+        ja: {
+            title: 'ショーン - フィルム写真',
+            description: 'アナログ写真、35mmフィルム作品、暗室プリントを紹介するフィルム写真ポートフォリオ',
+            keywords: ['フィルム写真', 'アナログ写真', '35mm', '中判', '暗室', 'ポートフォリオ'],
+        },
+    },
+
+    // Licence for the photos, shown to image search; leave unset for all rights reserved
+    // license: 'https://creativecommons.org/licenses/by-nc-nd/4.0/',
+
+    // robots.txt: keep crawlers out of the inquiry inbox and the contact API.
+    // Add { userAgent: '*', disallow: ['/'] } to keep the whole site out of search.
+    robots: [{ userAgent: '*', disallow: ['/admin', '/api/'] }],
+
+    // Homepage gallery: 'justified' rows or 'masonry' columns that show each
+    // cover uncropped, or 'grid' for same-sized cropped cards
+    gallery: { layout: 'justified', rowHeight: 280 },
+});